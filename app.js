@@ -2,12 +2,64 @@
 import { parseJobWithLLM, fallbackParseJob } from './scraper/jobParser.js';
 import { scrapeWithExa } from './scraper/exaScraper.js';
 import { parseDocxStructure, mapTextToRuns, rebuildDocx } from './docxProcessor.js';
+import { isPdfFile, extractPdfStructure } from './pdfProcessor.js';
+import { buildExportFilename, renderRunsToHtml, renderPlainTextToHtml, exportElementToPdf } from './pdfExporter.js';
+import { validateDocxExport, applyPlainFormatting } from './exportValidator.js';
+import { renderDocxPreview } from './docxPreview.js';
+import { buildHunk, renderHunk } from './diffViewer.js';
+import { detectSections, getDocxHeadings, labelGroupsBySection } from './resumeSections.js';
+import { flagUnsupportedClaims, CLAIM_LABELS } from './truthGuard.js';
+import { extractJobRequirements, extractKeywords, buildJobTerms, scoreResume } from './atsScore.js';
+import { callLlm, getProvider, isLlmConfigured } from './llm/llmService.js';
+import { splitResumeIntoChunks, tailorInChunks } from './chunkTailor.js';
+import { parseEditList, editsToDiffs } from './structuredEdits.js';
+import { VARIANT_STYLES, groupsOverlap, combineGroups } from './tailorVariants.js';
+import { DEFAULT_TEMPLATES, renderTemplate, loadPromptPresets, getPresetTemplates, setActivePromptPreset } from './promptTemplates.js';
+import {
+  COVER_LETTER_TONES,
+  COVER_LETTER_LENGTHS,
+  extractCandidateHeader,
+  formatLetterDate,
+  buildCoverLetterText,
+  buildCoverLetterDocx
+} from './coverLetter.js';
+import {
+  APPLICATION_STATUSES,
+  saveApplication,
+  updateApplication,
+  getApplication,
+  listApplications,
+  deleteApplication,
+  duplicateApplication
+} from './applicationHistory.js';
+import { saveSession, loadSession, clearSession } from './sessionStore.js';
+import { parseUrlList, isLikelyJobUrl, runWithConcurrency } from './batchQueue.js';
+import {
+  EXPERIENCE_KINDS,
+  saveMasterResume,
+  getMasterResume,
+  listMasterResumes,
+  deleteMasterResume,
+  saveExperienceItem,
+  listExperienceItems,
+  deleteExperienceItem,
+  parseTags,
+  selectRelevantExperience,
+  formatExperienceForPrompt
+} from './resumeLibrary.js';
 
 // --- UI references and shared state ---
 const elements = {
   resumeFile: document.getElementById('resumeFile'),
   extractResume: document.getElementById('extractResume'),
   resumeText: document.getElementById('resumeText'),
+  masterResumeSelect: document.getElementById('masterResumeSelect'),
+  loadMasterResume: document.getElementById('loadMasterResume'),
+  deleteMasterResume: document.getElementById('deleteMasterResume'),
+  masterResumeName: document.getElementById('masterResumeName'),
+  saveMasterResume: document.getElementById('saveMasterResume'),
+  libraryStatus: document.getElementById('libraryStatus'),
+  resumeSourceNote: document.getElementById('resumeSourceNote'),
   jobUrl: document.getElementById('jobUrl'),
   jobTitle: document.getElementById('jobTitle'),
   companyName: document.getElementById('companyName'),
@@ -15,15 +67,73 @@ const elements = {
   additionalContext: document.getElementById('additionalContext'),
   scrapeJob: document.getElementById('scrapeJob'),
   deepScrape: document.getElementById('deepScrape'),
+  tailorModeInputs: document.querySelectorAll('input[name="tailorMode"]'),
+  useExperienceBank: document.getElementById('useExperienceBank'),
+  promptPreset: document.getElementById('promptPreset'),
+  previewPrompt: document.getElementById('previewPrompt'),
+  promptPreview: document.getElementById('promptPreview'),
   generateResume: document.getElementById('generateResume'),
+  generateVariants: document.getElementById('generateVariants'),
+  variantCount: document.getElementById('variantCount'),
+  variantPanel: document.getElementById('variantPanel'),
+  variantBaseline: document.getElementById('variantBaseline'),
+  variantGrid: document.getElementById('variantGrid'),
+  combineVariants: document.getElementById('combineVariants'),
+  cancelGenerate: document.getElementById('cancelGenerate'),
+  generateProgress: document.getElementById('generateProgress'),
+  streamOutput: document.getElementById('streamOutput'),
   status: document.getElementById('status'),
   diffList: document.getElementById('diffList'),
   applyDiff: document.getElementById('applyDiff'),
   selectAllDiffs: document.getElementById('selectAllDiffs'),
+  diffViewInputs: document.querySelectorAll('input[name="diffView"]'),
+  atsPanel: document.getElementById('atsPanel'),
+  atsScores: document.getElementById('atsScores'),
+  atsRequired: document.getElementById('atsRequired'),
+  atsPreferred: document.getElementById('atsPreferred'),
   finalText: document.getElementById('finalText'),
+  docxPreview: document.getElementById('docxPreview'),
+  previewChanges: document.getElementById('previewChanges'),
+  previewSource: document.getElementById('previewSource'),
   exportDocx: document.getElementById('exportDocx'),
+  exportPdf: document.getElementById('exportPdf'),
+  pdfContent: document.getElementById('pdfContent'),
   copyText: document.getElementById('copyText'),
   exportStatus: document.getElementById('exportStatus'),
+  exportReport: document.getElementById('exportReport'),
+  exportIssues: document.getElementById('exportIssues'),
+  downloadAsIs: document.getElementById('downloadAsIs'),
+  downloadPlainFallback: document.getElementById('downloadPlainFallback'),
+  coverLetterTone: document.getElementById('coverLetterTone'),
+  coverLetterLength: document.getElementById('coverLetterLength'),
+  generateCoverLetter: document.getElementById('generateCoverLetter'),
+  cancelCoverLetter: document.getElementById('cancelCoverLetter'),
+  coverLetterText: document.getElementById('coverLetterText'),
+  exportCoverLetterDocx: document.getElementById('exportCoverLetterDocx'),
+  exportCoverLetterText: document.getElementById('exportCoverLetterText'),
+  copyCoverLetter: document.getElementById('copyCoverLetter'),
+  coverLetterStatus: document.getElementById('coverLetterStatus'),
+  restoreBanner: document.getElementById('restoreBanner'),
+  restoreMessage: document.getElementById('restoreMessage'),
+  restoreSession: document.getElementById('restoreSession'),
+  discardSession: document.getElementById('discardSession'),
+  experienceText: document.getElementById('experienceText'),
+  experienceKind: document.getElementById('experienceKind'),
+  experienceContext: document.getElementById('experienceContext'),
+  experienceTags: document.getElementById('experienceTags'),
+  addExperience: document.getElementById('addExperience'),
+  experienceStatus: document.getElementById('experienceStatus'),
+  experienceList: document.getElementById('experienceList'),
+  batchUrls: document.getElementById('batchUrls'),
+  addOpenTabs: document.getElementById('addOpenTabs'),
+  batchConcurrency: document.getElementById('batchConcurrency'),
+  startBatch: document.getElementById('startBatch'),
+  cancelBatch: document.getElementById('cancelBatch'),
+  batchStatus: document.getElementById('batchStatus'),
+  batchList: document.getElementById('batchList'),
+  saveApplication: document.getElementById('saveApplication'),
+  historyStatus: document.getElementById('historyStatus'),
+  historyList: document.getElementById('historyList'),
   openSettings: document.getElementById('openSettings')
 };
 
@@ -31,8 +141,18 @@ const defaults = {
   exaApiKey: '',
   llmEndpoint: 'https://api.openai.com/v1/chat/completions',
   llmModel: 'gpt-4o-mini',
-  llmMode: 'openai',
-  llmApiKey: '' // Load from environment variable or user settings
+  llmMode: 'openai',       // Provider id, see llm/llmService.js
+  llmApiKey: '', // Load from environment variable or user settings
+  openaiApi: 'chat',       // 'chat' (Chat Completions) or 'responses'
+  azureEndpoint: '',
+  azureDeployment: '',
+  azureApiVersion: '2024-10-21',
+  azureApiKey: '',
+  anthropicModel: 'claude-sonnet-4-5',
+  anthropicApiKey: '',
+  ollamaEndpoint: 'http://localhost:11434',
+  ollamaModel: 'llama3.1',
+  ollamaApiKey: ''
 };
 
 const state = {
@@ -40,11 +160,40 @@ const state = {
   tailoredText: '',
   diffsWithGroup: [],
   diffGroups: [],
+  templates: DEFAULT_TEMPLATES, // Prompt templates of the active preset (promptTemplates.js)
+  promptPresets: [],       // Presets in the picker, so switching applies without a reload
+  tailorMode: 'whole',     // 'whole' (one request), 'sections' (one request per chunk) or 'edits' (explained edit list)
+  diffView: 'unified',     // Hunk layout in the review list: 'unified' or 'split'
+  atsTerms: null,          // Required/preferred job terms for the match score
+  experience: [],          // Experience bank items offered to the current tailoring run
+  batchJobs: [],           // Batch queue: { url, status, message, title, company, applicationId }
+  variants: [],            // Generated variants: { style, tailoredText, diffsWithGroup, groups, flaggedCount, score } or { style, error }
+  resumeSource: null,      // 'docx' or 'pdf'
   docxBuffer: null,        // Original DOCX buffer
   docxStructure: null,     // Parsed structure with runs
-  originalRuns: []         // Original run mapping
+  originalRuns: [],        // Original run mapping
+  applicationId: null,     // History record of this session (applicationHistory.js)
+  applicationKey: '',      // URL/title/company the record was saved for
+  pendingExport: null,     // Rebuilt DOCX held back by the export check: { blob, runs, report, finalText }
+  previewText: '',         // Text currently shown in the preview pane
+  previewLabel: ''
 };
 
+let previewTimer = null;
+let generation = null;     // Running tailoring request: { controller, startedAt, text, timer }
+let coverLetterController = null;  // Aborts a running cover letter request
+let batchController = null;  // Aborts a running batch
+let sessionPage = null;    // Page URL the autosaved session is stored under
+let autosaveTimer = null;
+let autosaveEnabled = false;  // Off until a saved session is restored or discarded
+let autosaveFailed = false;   // Reported once until a save succeeds again
+
+// Quiet period before the workspace is autosaved
+const AUTOSAVE_DELAY_MS = 800;
+
+// Unchanged lines shown around each change in the review list
+const DIFF_CONTEXT_LINES = 2;
+
 // --- Settings + text helpers ---
 function setStatus(message, tone = 'info') {
   elements.status.textContent = message;
@@ -56,6 +205,41 @@ function setExportStatus(message, tone = 'info') {
   elements.exportStatus.style.color = tone === 'error' ? '#b42318' : '#1b7f79';
 }
 
+function setCoverLetterStatus(message, tone = 'info') {
+  elements.coverLetterStatus.textContent = message;
+  elements.coverLetterStatus.style.color = tone === 'error' ? '#b42318' : '#1b7f79';
+}
+
+function setLibraryStatus(message, tone = 'info') {
+  elements.libraryStatus.textContent = message;
+  elements.libraryStatus.style.color = tone === 'error' ? '#b42318' : '#1b7f79';
+}
+
+function setExperienceStatus(message, tone = 'info') {
+  elements.experienceStatus.textContent = message;
+  elements.experienceStatus.style.color = tone === 'error' ? '#b42318' : '#1b7f79';
+}
+
+function setBatchStatus(message, tone = 'info') {
+  elements.batchStatus.textContent = message;
+  elements.batchStatus.style.color = tone === 'error' ? '#b42318' : '#1b7f79';
+}
+
+function setHistoryStatus(message, tone = 'info') {
+  elements.historyStatus.textContent = message;
+  elements.historyStatus.style.color = tone === 'error' ? '#b42318' : '#1b7f79';
+}
+
+function setResumeSource(source) {
+  state.resumeSource = source;
+  const isPdf = source === 'pdf';
+  elements.resumeSourceNote.hidden = !isPdf;
+  elements.exportDocx.disabled = isPdf;
+  elements.exportDocx.title = isPdf
+    ? 'Formatted DOCX export is not available for PDF resumes.'
+    : '';
+}
+
 async function getSettings() {
   return chrome.storage.sync.get(defaults);
 }
@@ -89,98 +273,162 @@ async function prefillActiveTab() {
 
 async function scrapeCurrentTab() {
   setStatus('Scraping job URL...');
-  console.log('Scraping URL:', elements.jobUrl.value);
+  const url = elements.jobUrl.value.trim();
+  if (!url) {
+    setStatus('Add a job URL first.', 'error');
+    return;
+  }
+
   try {
-    const url = elements.jobUrl.value.trim();
-    if (!url) {
-      setStatus('Add a job URL first.', 'error');
-      console.log('No job URL provided.');
-      return;
-    }
+    const scrapedData = await requestScrape(url);
+    const job = await parseScrapedJob(scrapedData, url, await getSettings());
 
-    const response = await chrome.runtime.sendMessage({ type: 'SCRAPE_URL', url });
-    if (!response || !response.ok) {
-      setStatus(response && response.error ? response.error : 'Scrape failed.', 'error');
-      console.log('Scrape failed:', response && response.error);
-      return;
-    }
+    // Populate fields; a field the page did not provide keeps its current value
+    if (job.title) elements.jobTitle.value = job.title;
+    if (job.company) elements.companyName.value = job.company;
+    elements.jobDescription.value = job.description;
+    if (job.additional) elements.additionalContext.value = job.additional;
 
-    const scrapedData = response.data;
-    if (!scrapedData) {
-      setStatus('Could not read this page.', 'error');
-      console.log('No data returned from background scrape.');
-      return;
+    setStatus('Job details extracted and populated.');
+  } catch (error) {
+    console.log('Scrape error:', error);
+    setStatus(error.message || 'Scrape failed. Check the URL and try again.', 'error');
+  }
+}
+
+/**
+ * Scrape a job URL (scraper/scraperService.js). A tab that already shows the URL, such as
+ * the page hosting the overlay, is read in place so logged-in and interactive pages keep
+ * their state; otherwise, or when that finds no job text, the URL is loaded in a new
+ * background tab.
+ * @param {string} url - Job listing URL
+ * @returns {Promise<Object>} Page data from extractJobData: title, company, location, salary,
+ *   description, requirements, metaDescription, posting (JSON-LD JobPosting fields), source
+ */
+async function requestScrape(url) {
+  try {
+    const data = await sendScrapeMessage({ type: 'SCRAPE_TAB', url });
+    if (data.description || data.requirements) {
+      return data;
     }
+  } catch (error) {
+    console.log('Open tab scrape unavailable, loading the URL in a new tab:', error.message);
+  }
+  return sendScrapeMessage({ type: 'SCRAPE_URL', url });
+}
+
+async function sendScrapeMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response || !response.ok) {
+    throw new Error(response && response.error ? response.error : 'Scrape failed.');
+  }
+  if (!response.data) {
+    throw new Error('Could not read this page.');
+  }
+  return response.data;
+}
 
-    // Combine all text for parsing
-    const rawText = [
+/**
+ * Job fields from scraped page data. Pages with a JobPosting description in their JSON-LD
+ * are used as-is; other pages are parsed by the LLM when one is configured and by the
+ * fallback parser otherwise (or when LLM parsing fails)
+ * @param {Object} scrapedData - Output of requestScrape (extractJobData fields)
+ * @param {string} url - Job listing URL
+ * @param {Object} settings - Stored settings
+ * @param {Function} [report] - Progress messages
+ * @returns {Promise<Object>} { title, company, description, additional }; empty strings when not found
+ */
+async function parseScrapedJob(scrapedData, url, settings, report = setStatus) {
+  const posting = scrapedData.posting || null;
+  if (posting && posting.description) {
+    report('Reading job details from the page\'s structured data...');
+    const description = [
       scrapedData.description,
-      scrapedData.metaDescription
+      scrapedData.requirements ? `Requirements:\n${scrapedData.requirements}` : ''
     ].filter(Boolean).join('\n\n');
+    return {
+      title: scrapedData.title || '',
+      company: scrapedData.company || '',
+      description: [description, ...describePostingRequirements(posting, description)].join('\n\n'),
+      additional: describePostingDetails(scrapedData).join('\n')
+    };
+  }
 
-    if (!rawText) {
-      setStatus('No content found on this page.', 'error');
-      return;
-    }
-
-    // Try LLM parsing if available
-    const settings = await getSettings();
-    let parsedData = null;
-
-    if (settings.llmEndpoint && settings.llmApiKey) {
-      try {
-        setStatus('Parsing job details with LLM...');
-        parsedData = await parseJobWithLLMWrapper(rawText, url, settings);
-        console.log('LLM parsed data:', parsedData);
-      } catch (error) {
-        console.log('LLM parsing failed, using fallback:', error);
-        // Fall through to fallback parsing
-      }
-    }
+  // Combine all text for parsing
+  const rawText = [
+    scrapedData.description,
+    scrapedData.requirements ? `Requirements:\n${scrapedData.requirements}` : '',
+    scrapedData.metaDescription
+  ].filter(Boolean).join('\n\n');
 
-    // Use fallback parsing if LLM parsing failed or isn't available
-    if (!parsedData) {
-      setStatus('Parsing job details...');
-      parsedData = fallbackParseJobWrapper(rawText, url, scrapedData);
-      console.log('Fallback parsed data:', parsedData);
-    }
+  if (!rawText) {
+    throw new Error('No content found on this page.');
+  }
 
-    // Populate fields
-    if (parsedData.jobTitle) {
-      elements.jobTitle.value = parsedData.jobTitle;
-    } else if (scrapedData.title) {
-      elements.jobTitle.value = scrapedData.title;
+  let parsedData = null;
+  if (isLlmConfigured(settings)) {
+    try {
+      report('Parsing job details with LLM...');
+      parsedData = await parseJobWithLLMWrapper(rawText, url, settings);
+    } catch (error) {
+      console.log('LLM parsing failed, using fallback:', error);
     }
+  }
 
-    if (parsedData.companyName) {
-      elements.companyName.value = parsedData.companyName;
-    } else if (scrapedData.company) {
-      elements.companyName.value = scrapedData.company;
-    }
+  if (!parsedData) {
+    report('Parsing job details...');
+    parsedData = fallbackParseJobWrapper(rawText, url, scrapedData);
+  }
 
-    // Combine description and requirements for job description field
-    const jobDescriptionParts = [
-      parsedData.description,
-      parsedData.requirements
-    ].filter(Boolean);
+  // Description and requirements go into the job description; raw text when neither was found
+  const descriptionParts = [parsedData.description, parsedData.requirements].filter(Boolean);
+  const description = descriptionParts.length ? descriptionParts.join('\n\n') : rawText;
+  // Page details (site adapter or JSON-LD) are added to the context unless the parser kept them
+  const context = parsedData.additionalContext || '';
+  const pageDetails = describePostingDetails(scrapedData)
+    .filter(line => !context.includes(line.slice(line.indexOf(': ') + 2)));
+  // Site adapters read the title and company from the page's own fields
+  const fromAdapter = scrapedData.source && scrapedData.source !== 'generic';
 
-    if (jobDescriptionParts.length > 0) {
-      elements.jobDescription.value = jobDescriptionParts.join('\n\n');
-    } else if (rawText) {
-      // Fallback to raw text if parsing didn't extract description
-      elements.jobDescription.value = rawText;
-    }
+  return {
+    title: (fromAdapter && scrapedData.title) || parsedData.jobTitle || scrapedData.title || '',
+    company: (fromAdapter && scrapedData.company) || parsedData.companyName || scrapedData.company || '',
+    description: [description, ...(posting ? describePostingRequirements(posting, description) : [])].join('\n\n'),
+    additional: [context, ...pageDetails].filter(Boolean).join('\n')
+  };
+}
 
-    // Populate additional context
-    if (parsedData.additionalContext) {
-      elements.additionalContext.value = parsedData.additionalContext;
-    }
+/**
+ * Job details for the additional context as "Label: value" lines: location and salary
+ * (site adapter or JSON-LD) plus the JobPosting's employment type and dates
+ */
+function describePostingDetails(scrapedData) {
+  const posting = scrapedData.posting || {};
+  return [
+    ['Location', scrapedData.location],
+    ['Salary', scrapedData.salary],
+    ['Employment type', posting.employmentType],
+    ['Posted', posting.datePosted],
+    ['Apply by', posting.validThrough]
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`);
+}
 
-    setStatus('Job details extracted and populated.');
-  } catch (error) {
-    setStatus('Scrape failed. Check the URL and try again.', 'error');
-    console.log('Scrape error:', error);
-  }
+/**
+ * JobPosting requirement fields as titled blocks for the job description, skipping
+ * any whose text the description already contains
+ */
+function describePostingRequirements(posting, description) {
+  return [
+    ['Responsibilities', posting.responsibilities],
+    ['Qualifications', posting.qualifications],
+    ['Skills', posting.skills],
+    ['Experience', posting.experienceRequirements],
+    ['Education', posting.educationRequirements]
+  ]
+    .filter(([, value]) => value && !description.includes(value))
+    .map(([label, value]) => `${label}:\n${value}`);
 }
 
 // --- Exa deep scrape ---
@@ -205,7 +453,7 @@ async function deepScrapeExa() {
     // Try LLM parsing if available
     let parsedData = null;
 
-    if (settings.llmEndpoint && settings.llmApiKey) {
+    if (isLlmConfigured(settings)) {
       try {
         setStatus('Parsing Exa content with LLM...');
         parsedData = await parseJobWithLLMWrapper(rawText, url, settings);
@@ -266,7 +514,14 @@ async function deepScrapeExa() {
 // Job parsing functions are now imported from scraper/jobParser.js
 // Wrapper functions to maintain compatibility with existing code
 async function parseJobWithLLMWrapper(rawText, url, settings) {
-  return parseJobWithLLM(rawText, url, settings, callOpenAi, callGeneric);
+  return parseJobWithLLM(
+    rawText,
+    url,
+    settings,
+    (llmSettings, prompt, system) => callLlm(llmSettings, { prompt, system }),
+    (llmSettings, payload) => callLlm(llmSettings, { payload }),
+    state.templates
+  );
 }
 
 function fallbackParseJobWrapper(rawText, url, scrapedData) {
@@ -276,129 +531,72 @@ function fallbackParseJobWrapper(rawText, url, scrapedData) {
 // --- LLM tailoring + diffing ---
 
 /**
- * Extract key requirements and skills from job description
- * @param {string} jobDescription - The full job description text
- * @returns {Object} Contains requirements, skills, and qualifications
+ * Build an enhanced prompt that focuses on matching resume to job requirements,
+ * from the active preset's tailoring template
+ * @param {string} resumeText - The original resume
+ * @param {Object} job - Job details (title, company, description, additional)
+ * @param {Array} [experience] - Experience bank items to offer (defaults to the current run's)
+ * @returns {string} Rendered prompt
  */
-function extractJobRequirements(jobDescription) {
-  const requirements = [];
-  const skills = [];
-  
-  // Extract "Required" section
-  const requiredMatch = jobDescription.match(/(?:required|must have|required skills|key qualifications)[\s\n:]*([\s\S]*?)(?:\n\n|$|preferred|nice to have|additional)/i);
-  if (requiredMatch) {
-    const requiredSection = requiredMatch[1];
-    const bulletPoints = requiredSection.match(/[-•*]\s*(.+?)(?=\n[-•*]|\n\n|$)/gi) || [];
-    bulletPoints.forEach(point => {
-      const cleaned = point.replace(/^[-•*]\s*/, '').trim();
-      if (cleaned) requirements.push(cleaned);
-    });
-  }
-  
-  // Extract skill keywords (common tech terms, programming languages, tools)
-  const skillPatterns = [
-    /(?:experience with|proficiency in|knowledge of|familiar with|expertise in)\s+(.+?)(?:\.|,|;|\n)/gi,
-    /(?:skills?|technologies?|tools?|frameworks?|languages?)[:\s]+([^.]+)/gi
-  ];
-  
-  skillPatterns.forEach(pattern => {
-    const matches = jobDescription.matchAll(pattern);
-    for (const match of matches) {
-      const skillText = match[1];
-      const skillList = skillText.split(/[,;]/).map(s => s.trim()).filter(s => s);
-      skills.push(...skillList);
-    }
-  });
-  
-  // Extract preferred skills/qualifications
-  const preferredMatch = jobDescription.match(/(?:preferred|nice to have|additional qualifications)[\s\n:]*([\s\S]*?)(?:\n\n|$)/i);
-  const preferred = [];
-  if (preferredMatch) {
-    const preferredSection = preferredMatch[1];
-    const bulletPoints = preferredSection.match(/[-•*]\s*(.+?)(?=\n[-•*]|\n\n|$)/gi) || [];
-    bulletPoints.forEach(point => {
-      const cleaned = point.replace(/^[-•*]\s*/, '').trim();
-      if (cleaned) preferred.push(cleaned);
-    });
-  }
-  
-  return {
-    requirements: [...new Set(requirements)].slice(0, 8),
-    skills: [...new Set(skills)].slice(0, 10),
-    preferred: [...new Set(preferred)].slice(0, 5),
-    fullDescription: jobDescription
-  };
+function buildEnhancedPrompt(resumeText, job, experience = state.experience) {
+  return renderTemplate(state.templates.tailor, { ...buildJobVariables(job, experience), resume: resumeText });
 }
 
 /**
- * Build an enhanced prompt for OpenAI that focuses on matching resume to job requirements
- * Includes structured analysis of key skills, requirements, and experience alignment
- * @param {string} resumeText - The original resume
+ * Build a prompt that tailors one chunk of the resume (section-by-section mode).
+ * The job requirements are repeated in every chunk prompt so each edit has them in context.
+ * @param {Object} chunk - Chunk from splitResumeIntoChunks (label, text)
  * @param {Object} job - Job details (title, company, description, additional)
- * @returns {string} Crafted prompt optimized for OpenAI's GPT-4o-mini
+ * @param {Array} [experience] - Experience bank items to offer (defaults to the current run's)
+ * @returns {string} Prompt for the chunk
  */
-function buildEnhancedPrompt(resumeText, job) {
-  const jobRequirements = extractJobRequirements(job.description);
-  
-  const requirementsList = jobRequirements.requirements
-    .map((req, idx) => `  ${idx + 1}. ${req}`)
-    .join('\n');
-    
-  const skillsList = jobRequirements.skills
-    .map(skill => `  - ${skill}`)
-    .join('\n');
-    
-  const preferredList = jobRequirements.preferred.length > 0
-    ? `\n\nPreferred qualifications:\n${jobRequirements.preferred.map(pref => `  - ${pref}`).join('\n')}`
-    : '';
-  
-  return `You are an expert resume writer specializing in tailoring resumes to job postings.
-
-ORIGINAL RESUME:
-${resumeText}
-
-POSITION DETAILS:
-- Role: ${job.title}
-- Company: ${job.company}
-${job.url ? `- URL: ${job.url}` : ''}
-
-KEY REQUIREMENTS TO ADDRESS (PRIORITY):
-${requirementsList}
-
-REQUIRED SKILLS & TECHNOLOGIES:
-${skillsList}${preferredList}
+function buildChunkPrompt(chunk, job, experience = state.experience) {
+  return renderTemplate(state.templates.section, { ...buildJobVariables(job, experience), section: chunk.label, text: chunk.text });
+}
 
-COMPANY CONTEXT:
-${job.additional || '(No additional context provided)'}
+/**
+ * Build a prompt that asks for a JSON list of explained edits instead of a rewritten resume.
+ * Each edit quotes the exact text it replaces so it can be placed in the original.
+ * @param {string} resumeText - The original resume
+ * @param {Object} job - Job details (title, company, description, additional)
+ * @param {Array} [experience] - Experience bank items to offer (defaults to the current run's)
+ * @returns {string} Prompt for structured edits
+ */
+function buildEditsPrompt(resumeText, job, experience = state.experience) {
+  return renderTemplate(state.templates.edits, { ...buildJobVariables(job, experience), resume: resumeText });
+}
 
-INSTRUCTIONS:
-1. Analyze each key requirement and identify matching experience in the resume
-2. Rewrite sections to emphasize relevant skills and experience
-3. Use terminology and keywords from the job description where truthful
-4. Reorganize bullet points to highlight most relevant experience first
-5. Maintain truthfulness - do NOT invent roles, companies, degrees, dates, or achievements
-6. Preserve the overall structure and professional tone
-7. Make each bullet point impactful and achievement-focused
-8. Remove or de-emphasize less relevant experience
-9. Highlight transferable skills that align with the role
+/**
+ * Template variables for a job: the job itself, its requirements, skills and preferred
+ * qualifications, and the experience bank items offered to this run, as prompt lists
+ * @param {Object} job - Job details
+ * @param {Array} [experience] - Experience bank items (selectRelevantExperience)
+ * @returns {Object} { job, requirements, skills, preferred, experience }
+ */
+function buildJobVariables(job, experience = state.experience) {
+  const jobRequirements = extractJobRequirements(job.description);
 
-OUTPUT:
-Return ONLY the tailored resume text. No explanations or markdown formatting.`;
+  return {
+    job,
+    requirements: jobRequirements.requirements
+      .map((req, idx) => `  ${idx + 1}. ${req}`)
+      .join('\n'),
+    skills: jobRequirements.skills
+      .map(skill => `  - ${skill}`)
+      .join('\n'),
+    preferred: jobRequirements.preferred
+      .map(pref => `  - ${pref}`)
+      .join('\n'),
+    experience: formatExperienceForPrompt(experience)
+  };
 }
 
 /**
- * Build a system message for OpenAI with clear instructions
- * @returns {string} System message for GPT assistant
+ * Build the system message from the active preset
+ * @returns {string} System message for the assistant
  */
 function buildSystemMessage() {
-  return `You are an expert resume writer and recruiter with over 15 years of experience. Your expertise includes:
-- Identifying key qualifications and skills from job descriptions
-- Highlighting relevant candidate experience to match job requirements
-- Maintaining truthfulness and ethical standards in resume tailoring
-- Using strong action verbs and achievement-focused language
-- Understanding industry-specific terminology and best practices
-
-Your goal is to tailor resumes to job descriptions by strategically emphasizing the most relevant experience and skills while always remaining truthful. Never invent information, but do reorganize and reframe existing content to best match the target role.`;
+  return state.templates.system;
 }
 
 /**
@@ -419,112 +617,6 @@ function safeJsonParse(text) {
   }
 }
 
-async function callOpenAi(settings, prompt, systemMessage = 'You are an expert resume writer and recruiter. Your goal is to tailor resumes to job descriptions by highlighting the most relevant experience and skills, while always remaining truthful and never inventing information. Focus on matching the candidate\'s background to the specific requirements of the role.') {
-  // LINE 1: Validate API key and endpoint
-  if (!settings.llmApiKey || !settings.llmEndpoint) {
-    throw new Error('OpenAI API key and endpoint are required');
-  }
-  
-  // LINE 2: Prepare request headers with Bearer token authentication
-  const headers = {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${settings.llmApiKey}`
-  };
-  
-  // LINE 3: Build request body with OpenAI API format
-  const requestBody = {
-    model: settings.llmModel || 'gpt-4o-mini',
-    messages: [
-      {
-        role: 'system',
-        content: systemMessage
-      },
-      {
-        role: 'user',
-        content: prompt
-      }
-    ],
-    temperature: 0.3,  // LINE 4: Lower temperature for more consistent, focused responses
-    max_completion_tokens: 4000   // LINE 5: Set token limit for cost control and reasonable response length
-  };
-  
-  // LINE 6: Make POST request to OpenAI API endpoint
-  const response = await fetch(settings.llmEndpoint, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(requestBody)
-  });
-
-  // LINE 7: Check for HTTP errors and provide helpful error messages
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    const errorMessage = errorData.error?.message || `OpenAI API error: ${response.status}`;
-    throw new Error(errorMessage);
-  }
-
-  // LINE 8: Parse response JSON and extract message content
-  const data = await response.json();
-  const content = data.choices && data.choices[0] && data.choices[0].message
-    ? data.choices[0].message.content
-    : '';
-
-  // LINE 9: Return trimmed content or throw error if empty
-  if (!content) {
-    throw new Error('Empty response from OpenAI API');
-  }
-  
-  return content.trim();
-}
-
-async function callGeneric(settings, payload) {
-  const headers = {
-    'Content-Type': 'application/json'
-  };
-  if (settings.llmApiKey) {
-    headers.Authorization = `Bearer ${settings.llmApiKey}`;
-  }
-
-  const response = await fetch(settings.llmEndpoint, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(payload)
-  });
-
-  if (!response.ok) {
-    throw new Error('Generic LLM request failed.');
-  }
-
-  const data = await response.json();
-  // Support multiple response formats
-  if (typeof data === 'string') {
-    return data;
-  }
-  return data.tailoredText || data.text || data.response || data.content || '';
-}
-
-function extractKeywords(text, limit = 14) {
-  const stopwords = new Set([
-    'the', 'and', 'with', 'for', 'that', 'this', 'from', 'are', 'you', 'your', 'will', 'our',
-    'into', 'about', 'able', 'have', 'has', 'had', 'job', 'role', 'team', 'work', 'can', 'use',
-    'using', 'who', 'what', 'when', 'where', 'why', 'how', 'per', 'via', 'all', 'any', 'not',
-    'but', 'out', 'in', 'on', 'of', 'to', 'a', 'an', 'or', 'as', 'be', 'by', 'is', 'at'
-  ]);
-
-  const words = (text || '').toLowerCase().match(/[a-z][a-z0-9+.#-]{2,}/g) || [];
-  const counts = {};
-  words.forEach((word) => {
-    if (stopwords.has(word)) {
-      return;
-    }
-    counts[word] = (counts[word] || 0) + 1;
-  });
-
-  return Object.entries(counts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, limit)
-    .map(([word]) => word);
-}
-
 function fallbackTailor(resumeText, job) {
   // Extract job requirements for better matching
   const jobRequirements = extractJobRequirements(job.description);
@@ -585,7 +677,13 @@ function computeDiffs(originalText, tailoredText) {
   });
 
   const groups = [];
+  let originalOffset = 0;
   diffsWithGroup.forEach((segment) => {
+    const segmentStart = originalOffset;
+    if (segment.op !== window.DIFF_INSERT) {
+      originalOffset += segment.text.length;
+    }
+
     if (segment.groupId === null) {
       return;
     }
@@ -596,6 +694,9 @@ function computeDiffs(originalText, tailoredText) {
         id: segment.groupId,
         deleteText: '',
         insertText: '',
+        editedText: null,   // Reviewer's replacement for insertText, when edited
+        start: segmentStart, // Offsets of the replaced text in the original
+        end: segmentStart,
         accepted: true
       };
       groups.push(group);
@@ -603,6 +704,7 @@ function computeDiffs(originalText, tailoredText) {
 
     if (segment.op === window.DIFF_DELETE) {
       group.deleteText += segment.text;
+      group.end = originalOffset;
     } else if (segment.op === window.DIFF_INSERT) {
       group.insertText += segment.text;
     }
@@ -616,7 +718,8 @@ function buildFinalText() {
     return state.tailoredText || state.resumeText;
   }
 
-  const acceptance = new Map(state.diffGroups.map((group) => [group.id, group.accepted]));
+  const groups = new Map(state.diffGroups.map((group) => [group.id, group]));
+  const written = new Set();
   let result = '';
 
   state.diffsWithGroup.forEach((segment) => {
@@ -625,10 +728,21 @@ function buildFinalText() {
       return;
     }
 
-    const accepted = acceptance.get(segment.groupId);
-    if (accepted && segment.op === window.DIFF_INSERT) {
-      result += segment.text;
-    } else if (!accepted && segment.op === window.DIFF_DELETE) {
+    const group = groups.get(segment.groupId);
+    if (!group.accepted) {
+      if (segment.op === window.DIFF_DELETE) {
+        result += segment.text;
+      }
+      return;
+    }
+
+    if (group.editedText !== null) {
+      // An edited hunk replaces all of its inserted text at once
+      if (!written.has(group.id)) {
+        result += group.editedText;
+        written.add(group.id);
+      }
+    } else if (segment.op === window.DIFF_INSERT) {
       result += segment.text;
     }
   });
@@ -666,6 +780,11 @@ function renderDiffs() {
   const checkboxes = [];
 
   state.diffGroups.forEach((group, index) => {
+    const previous = state.diffGroups[index - 1];
+    if (!previous || previous.section.id !== group.section.id) {
+      elements.diffList.appendChild(createSectionHeader(group.section));
+    }
+
     const item = document.createElement('div');
     item.className = 'diff-item';
 
@@ -674,7 +793,9 @@ function renderDiffs() {
 
     const title = document.createElement('div');
     title.className = 'diff-title';
-    title.textContent = `Change ${index + 1}`;
+    const place = group.section.entry ? `${group.section.title} › ${group.section.entry}` : group.section.title;
+    title.textContent = `${place} · line ${group.line}${group.variant ? ` · ${group.variant}` : ''}`;
+    title.title = `Change ${index + 1}`;
 
     const toggle = document.createElement('label');
     toggle.className = 'diff-toggle';
@@ -685,6 +806,7 @@ function renderDiffs() {
       group.accepted = checkbox.checked;
       // Update select all state
       updateSelectAllState();
+      previewDiffSelections();
     });
     toggle.appendChild(checkbox);
     const toggleText = document.createElement('span');
@@ -693,36 +815,59 @@ function renderDiffs() {
 
     checkboxes.push(checkbox);
 
-    header.appendChild(title);
-    header.appendChild(toggle);
-
     const body = document.createElement('div');
-    body.className = 'diff-body';
+    const renderBody = () => renderHunk(
+      body,
+      buildHunk(state.resumeText, group, DIFF_CONTEXT_LINES),
+      state.diffView
+    );
+    renderBody();
+
+    const edited = document.createElement('span');
+    edited.className = 'diff-edited';
+    edited.textContent = 'Edited';
+    edited.hidden = group.editedText === null;
+
+    const editor = createHunkEditor(group, () => {
+      edited.hidden = group.editedText === null;
+      renderBody();
+      previewDiffSelections();
+    });
 
-    const originalBlock = document.createElement('div');
-    originalBlock.className = 'diff-block diff-delete';
-    const originalPre = document.createElement('pre');
-    originalPre.textContent = group.deleteText || '(no text)';
-    originalBlock.appendChild(originalPre);
+    const editButton = document.createElement('button');
+    editButton.className = 'ghost';
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => {
+      editor.hidden = !editor.hidden;
+      if (!editor.hidden) editor.querySelector('textarea').focus();
+    });
 
-    const newBlock = document.createElement('div');
-    newBlock.className = 'diff-block diff-insert';
-    const newPre = document.createElement('pre');
-    newPre.textContent = group.insertText || '(no text)';
-    newBlock.appendChild(newPre);
+    const actions = document.createElement('div');
+    actions.className = 'diff-actions';
+    actions.appendChild(edited);
+    actions.appendChild(editButton);
+    actions.appendChild(toggle);
 
-    body.appendChild(originalBlock);
-    body.appendChild(newBlock);
+    header.appendChild(title);
+    header.appendChild(actions);
 
     item.appendChild(header);
+    if (group.rationale || group.requirement) {
+      item.appendChild(createRationale(group));
+    }
+    if (group.warnings && group.warnings.length) {
+      item.classList.add('diff-item-flagged');
+      item.appendChild(createClaimWarnings(group.warnings));
+    }
     item.appendChild(body);
+    item.appendChild(editor);
     elements.diffList.appendChild(item);
   });
 
   // Handle select all checkbox
   if (elements.selectAllDiffs) {
-    elements.selectAllDiffs.onchange = null; // Remove old listener
-    elements.selectAllDiffs.addEventListener('change', (e) => {
+    // Assigned rather than added: renderDiffs runs again on every layout switch
+    elements.selectAllDiffs.onchange = (e) => {
       const checked = e.target.checked;
       state.diffGroups.forEach((group, idx) => {
         group.accepted = checked;
@@ -730,8 +875,137 @@ function renderDiffs() {
           checkboxes[idx].checked = checked;
         }
       });
+      previewDiffSelections();
+    };
+  }
+}
+
+/**
+ * Heading for a resume section in the review list, with accept/reject-all for its changes
+ */
+function createSectionHeader(section) {
+  const groups = state.diffGroups.filter(group => group.section.id === section.id);
+
+  const header = document.createElement('div');
+  header.className = 'diff-section-head';
+
+  const title = document.createElement('div');
+  title.className = 'diff-section-title';
+  title.textContent = `${section.title} (${groups.length} ${groups.length === 1 ? 'change' : 'changes'})`;
+
+  const actions = document.createElement('div');
+  actions.className = 'diff-actions';
+  [['Accept all', true], ['Reject all', false]].forEach(([label, accepted]) => {
+    const button = document.createElement('button');
+    button.className = 'ghost';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      groups.forEach((group) => {
+        group.accepted = accepted;
+      });
+      renderDiffs();
+      previewDiffSelections();
     });
+    actions.appendChild(button);
+  });
+
+  header.appendChild(title);
+  header.appendChild(actions);
+  return header;
+}
+
+/**
+ * Why a change was proposed: the rationale and the job requirement it targets (explained edits)
+ */
+function createRationale(group) {
+  const container = document.createElement('div');
+  container.className = 'diff-rationale';
+
+  if (group.rationale) {
+    const why = document.createElement('p');
+    const label = document.createElement('strong');
+    label.textContent = 'Why: ';
+    why.appendChild(label);
+    why.appendChild(document.createTextNode(group.rationale));
+    container.appendChild(why);
   }
+
+  if (group.requirement) {
+    const target = document.createElement('p');
+    target.className = 'hint';
+    target.textContent = `Targets: ${group.requirement}`;
+    container.appendChild(target);
+  }
+
+  return container;
+}
+
+/**
+ * Warning badge and list for claims in a change that the original resume does not support
+ */
+function createClaimWarnings(warnings) {
+  const container = document.createElement('div');
+  container.className = 'diff-warnings';
+
+  const badge = document.createElement('span');
+  badge.className = 'diff-warning-badge';
+  badge.textContent = '⚠ Not in your resume';
+  container.appendChild(badge);
+
+  const list = document.createElement('ul');
+  warnings.forEach((warning) => {
+    const entry = document.createElement('li');
+    entry.textContent = `New ${CLAIM_LABELS[warning.kind]}: "${warning.value}"`;
+    list.appendChild(entry);
+  });
+  container.appendChild(list);
+
+  const hint = document.createElement('p');
+  hint.className = 'hint';
+  hint.textContent = 'Left unaccepted. Accept only if the claim is true.';
+  container.appendChild(hint);
+
+  return container;
+}
+
+/**
+ * Editor for a hunk's proposed text. Edits are kept on the group (editedText) and
+ * used by buildFinalText when the change is accepted.
+ */
+function createHunkEditor(group, onEdit) {
+  const editor = document.createElement('div');
+  editor.className = 'diff-editor';
+  editor.hidden = group.editedText === null;
+
+  const textarea = document.createElement('textarea');
+  textarea.value = group.editedText ?? group.insertText;
+  textarea.rows = Math.min(Math.max(textarea.value.split('\n').length, 2), 8);
+  textarea.addEventListener('input', () => {
+    group.editedText = textarea.value === group.insertText ? null : textarea.value;
+    onEdit();
+  });
+
+  const reset = document.createElement('button');
+  reset.className = 'ghost';
+  reset.textContent = 'Reset to suggestion';
+  reset.addEventListener('click', () => {
+    textarea.value = group.insertText;
+    group.editedText = null;
+    onEdit();
+  });
+
+  const hint = document.createElement('p');
+  hint.className = 'hint';
+  hint.textContent = 'Proposed text for this change. Edits are used when the change is accepted.';
+
+  const row = document.createElement('div');
+  row.className = 'row';
+  row.appendChild(reset);
+
+  editor.appendChild(hint);
+  editor.appendChild(textarea);
+  editor.appendChild(row);
+  return editor;
 }
 
 function updateSelectAllState() {
@@ -740,78 +1014,730 @@ function updateSelectAllState() {
   elements.selectAllDiffs.checked = allAccepted;
 }
 
-async function generateTailoredResume() {
-  setStatus('Generating tailored resume...');
-  const resumeText = elements.resumeText.value.trim();
-  if (!resumeText) {
-    setStatus('Please upload and extract a resume DOCX first.', 'error');
-    return;
-  }
+// --- Live preview ---
 
-  const job = {
-    url: elements.jobUrl.value.trim(),
-    title: elements.jobTitle.value.trim(),
-    company: elements.companyName.value.trim(),
-    description: elements.jobDescription.value.trim().slice(0, 6000),
-    additional: elements.additionalContext.value.trim().slice(0, 2000)
-  };
+/**
+ * Render the preview pane for a version of the final text (the textarea by default).
+ * DOCX resumes are rendered with their formatting and the changes highlighted;
+ * other sources as plain paragraphs.
+ */
+function updatePreview(text = elements.finalText.value, label = 'Preview of final text') {
+  scheduleAutosave();
+  state.previewText = text;
+  state.previewLabel = label;
+  elements.previewSource.textContent = label;
 
-  if (!job.description) {
-    setStatus('Add a job description first.', 'error');
+  const finalText = text.trim();
+  if (!finalText) {
+    elements.docxPreview.innerHTML = '';
     return;
   }
 
-  const settings = await getSettings();
-  let tailoredText = '';
-
   try {
-    // LINE 1: Check if OpenAI API key is configured
-    if (!settings.llmApiKey) {
-      setStatus('OpenAI API key not configured. Using fallback method.', 'info');
-      tailoredText = fallbackTailor(resumeText, job);
-    } 
-    // LINE 2: Use OpenAI API with enhanced prompt for better accuracy
-    else if (settings.llmMode === 'openai') {
-      const prompt = buildEnhancedPrompt(resumeText, job);
-      const responseText = await callOpenAi(settings, prompt, buildSystemMessage());
-      // LINE 3: Parse response and extract tailored text
-      const parsed = safeJsonParse(responseText);
-      tailoredText = parsed && parsed.tailoredText ? parsed.tailoredText : responseText;
-    } 
-    // LINE 4: Fallback to generic LLM endpoint if specified
-    else if (settings.llmMode === 'generic') {
-      tailoredText = await callGeneric(settings, {
-        resumeText,
-        job,
-        instructions: 'Tailor the resume to the job while remaining truthful and highlighting relevant experience.'
+    if (state.docxStructure && state.docxStructure.runs.length) {
+      const runs = mapTextToRuns(state.resumeText, finalText, state.docxStructure.runs, { includeDeleted: true });
+      renderDocxPreview(elements.docxPreview, state.docxStructure, runs, {
+        showChanges: elements.previewChanges.checked
       });
+    } else {
+      renderPlainTextToHtml(elements.docxPreview, finalText);
     }
+  } catch (error) {
+    console.error('Preview error:', error);
+    elements.docxPreview.textContent = `Preview unavailable: ${error.message}`;
+  }
+}
 
-    if (!tailoredText) {
-      throw new Error('Empty response from LLM');
-    }
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(() => updatePreview(), 250);
+}
 
-    // LINE 5: Store original and tailored text in state for diffing
+function previewDiffSelections() {
+  const selectedText = buildFinalText();
+  updatePreview(selectedText, 'Preview of selected changes (not applied yet)');
+  renderAtsPanel(selectedText);
+}
+
+// --- ATS match score ---
+
+/**
+ * Show the match score of the original resume and of the selected changes, with the
+ * status of each job term in the selected version
+ */
+function renderAtsPanel(selectedText) {
+  const terms = state.atsTerms;
+  if (!terms || (!terms.required.length && !terms.preferred.length)) {
+    elements.atsPanel.hidden = true;
+    return;
+  }
+
+  const original = scoreResume(state.resumeText, terms);
+  const selected = scoreResume(selectedText, terms);
+  const delta = selected.score - original.score;
+
+  elements.atsPanel.hidden = false;
+  elements.atsScores.innerHTML = '';
+  [['Original', original.score], ['With selected changes', selected.score]].forEach(([label, score]) => {
+    const block = document.createElement('div');
+    block.className = 'ats-score';
+    const value = document.createElement('strong');
+    value.textContent = `${score}%`;
+    const caption = document.createElement('span');
+    caption.textContent = label;
+    block.appendChild(value);
+    block.appendChild(caption);
+    elements.atsScores.appendChild(block);
+  });
+  const change = document.createElement('span');
+  change.className = `ats-delta ${delta >= 0 ? 'ats-delta-up' : 'ats-delta-down'}`;
+  change.textContent = `${delta >= 0 ? '+' : ''}${delta} points`;
+  elements.atsScores.appendChild(change);
+
+  renderAtsTerms(elements.atsRequired, selected.required, original.required);
+  renderAtsTerms(elements.atsPreferred, selected.preferred, original.preferred);
+}
+
+function renderAtsTerms(container, items, originalItems) {
+  container.innerHTML = '';
+  if (!items.length) {
+    container.textContent = 'None found in the job description.';
+    return;
+  }
+
+  const before = new Map(originalItems.map(item => [item.term, item.status]));
+  items.forEach((item) => {
+    const chip = document.createElement('span');
+    chip.className = `ats-term ats-${item.status}`;
+    chip.textContent = item.term;
+    const previous = before.get(item.term);
+    chip.title = previous === item.status ? item.status : `${item.status} (was ${previous})`;
+    if (previous !== item.status) {
+      chip.classList.add('ats-term-changed');
+    }
+    container.appendChild(chip);
+  });
+}
+
+/**
+ * Resume text and job details from the form, or null (with a status message) when either is missing
+ * @param {Function} [report] - Status setter for the message
+ */
+function readTailorInput(report = setStatus) {
+  const resumeText = elements.resumeText.value.trim();
+  if (!resumeText) {
+    report('Please upload and extract a resume first.', 'error');
+    return null;
+  }
+
+  const job = {
+    url: elements.jobUrl.value.trim(),
+    title: elements.jobTitle.value.trim(),
+    company: elements.companyName.value.trim(),
+    description: elements.jobDescription.value.trim().slice(0, 6000),
+    additional: elements.additionalContext.value.trim().slice(0, 2000)
+  };
+
+  if (!job.description) {
+    report('Add a job description first.', 'error');
+    return null;
+  }
+  return { resumeText, job };
+}
+
+/**
+ * Diffs for a tailored text, labelled by resume section and checked for unsupported claims
+ * @param {string} resumeText - Original resume
+ * @param {string} tailoredText - Tailored resume
+ * @param {Object} [diffResult] - Precomputed { diffsWithGroup, groups } (explained edits)
+ * @param {Array} [experience] - Experience bank items offered to the model
+ * @returns {Object} { tailoredText, diffsWithGroup, groups, flaggedCount }
+ */
+function buildReview(resumeText, tailoredText, diffResult = computeDiffs(resumeText, tailoredText), experience = state.experience) {
+  const groups = labelGroupsBySection(
+    diffResult.groups,
+    resumeText,
+    detectSections(resumeText, getDocxHeadings(state.docxStructure))
+  );
+  // Experience bank items offered to the model are the candidate's own, so they support claims too
+  const flaggedCount = flagUnsupportedClaims(
+    groups,
+    diffResult.diffsWithGroup,
+    resumeText,
+    tailoredText,
+    experience.map(item => [item.text, item.context].join('\n'))
+  );
+  return { tailoredText, diffsWithGroup: diffResult.diffsWithGroup, groups, flaggedCount };
+}
+
+async function generateTailoredResume() {
+  setStatus('Generating tailored resume...');
+  const input = readTailorInput();
+  if (!input) return;
+  const { resumeText, job } = input;
+
+  const settings = await getSettings();
+  await loadRelevantExperience(resumeText, job);
+  let tailoredText = '';
+  let keptChunks = [];
+  let editResult = null;     // Diffs built from an explained edit list
+  const controller = new AbortController();
+  const streamOptions = { signal: controller.signal, onToken: (delta, text) => showGenerationText(text) };
+  startGenerationProgress(controller);
+
+  try {
+    // LINE 1: Check if the LLM provider is configured
+    if (!isLlmConfigured(settings)) {
+      setStatus(`${getProvider(settings).label} is not configured. Using fallback method.`, 'info');
+      tailoredText = fallbackTailor(resumeText, job);
+    }
+    // LINE 2: Call the provider in the selected mode (generic endpoints get the JSON payload)
+    else {
+      ({ tailoredText, keptChunks, editResult } = await tailorWithLlm(settings, resumeText, job, streamOptions));
+    }
+
+    if (!tailoredText) {
+      throw new Error('Empty response from LLM');
+    }
+
+    // LINE 5: Store original and tailored text in state for diffing
     state.resumeText = resumeText;
     state.tailoredText = tailoredText;
     
     // LINE 6: Compute differences between original and tailored resume
-    const diffResult = computeDiffs(resumeText, tailoredText);
-    state.diffsWithGroup = diffResult.diffsWithGroup;
-    state.diffGroups = diffResult.groups;
+    const review = buildReview(resumeText, tailoredText, editResult || undefined);
+    const flaggedCount = review.flaggedCount;
+    state.atsTerms = buildJobTerms(job);
+    state.variants = [];
+    renderVariantGrid();
     
     // LINE 7: Render diffs to UI for user review
-    renderDiffs();
-    elements.finalText.value = buildFinalText();
-    setStatus('Tailored resume ready. Review changes below.');
+    showReview(review);
+    let keptNote = keptChunks.length
+      ? ` ${keptChunks.length} ${keptChunks.length === 1 ? 'part' : 'parts'} kept as written after repeated failures (${keptChunks.map(chunk => chunk.label).join(', ')}).`
+      : '';
+    if (editResult && editResult.skipped.length) {
+      const count = editResult.skipped.length;
+      keptNote += ` ${count} suggested ${count === 1 ? 'edit was' : 'edits were'} skipped because ${count === 1 ? 'its' : 'their'} original text was not found in your resume.`;
+    }
+    const bankNote = state.experience.length && isLlmConfigured(settings)
+      ? ` ${state.experience.length} matching experience bank ${state.experience.length === 1 ? 'item was' : 'items were'} offered for tailoring.`
+      : '';
+    if (flaggedCount) {
+      setStatus(`Tailored resume ready. ${flaggedCount} ${flaggedCount === 1 ? 'change adds' : 'changes add'} claims not found in your resume and ${flaggedCount === 1 ? 'was' : 'were'} left unaccepted.${keptNote}${bankNote}`, 'error');
+    } else if (keptNote) {
+      setStatus(`Tailored resume ready.${keptNote}${bankNote}`, 'error');
+    } else {
+      setStatus(`Tailored resume ready. Review changes below.${bankNote}`);
+    }
   } catch (error) {
+    if (error.name === 'AbortError') {
+      setStatus('Generation cancelled.');
+      return;
+    }
     console.error('Resume tailoring error:', error);
-    setStatus('Tailoring failed. Check your OpenAI API key and try again.', 'error');
+    setStatus(`Tailoring failed: ${error.message}`, 'error');
+  } finally {
+    stopGenerationProgress();
+  }
+}
+
+/**
+ * Tailor the resume to a job with the provider, in the selected tailoring mode
+ * @param {Object} settings - Stored settings
+ * @param {string} resumeText - Resume to tailor
+ * @param {Object} job - Job details
+ * @param {Object} options - { signal, onToken, experience, report (progress messages) }
+ * @returns {Promise<Object>} { tailoredText, keptChunks, editResult } (editResult only in edits mode)
+ */
+async function tailorWithLlm(settings, resumeText, job, { signal, onToken, experience = state.experience, report = setStatus }) {
+  if (state.tailorMode === 'sections') {
+    const result = await tailorBySection(settings, resumeText, job, { signal, onToken, experience, report });
+    return { tailoredText: result.text, keptChunks: result.failed, editResult: null };
+  }
+
+  if (state.tailorMode === 'edits') {
+    const responseText = await callLlm(settings, {
+      system: buildSystemMessage(),
+      prompt: buildEditsPrompt(resumeText, job, experience),
+      payload: {
+        resumeText,
+        job,
+        experience: experience.map(item => item.text),
+        format: 'edits',
+        instructions: 'Return {"edits": [{"original", "replacement", "requirement", "rationale"}]} where original is copied exactly from the resume.'
+      },
+      signal,
+      onToken
+    });
+    const editResult = editsToDiffs(resumeText, parseEditList(responseText));
+    return { tailoredText: editResult.tailoredText, keptChunks: [], editResult };
+  }
+
+  const responseText = await callLlm(settings, {
+    system: buildSystemMessage(),
+    prompt: buildEnhancedPrompt(resumeText, job, experience),
+    payload: {
+      resumeText,
+      job,
+      experience: experience.map(item => item.text),
+      instructions: 'Tailor the resume to the job while remaining truthful and highlighting relevant experience.'
+    },
+    signal,
+    onToken
+  });
+  // Parse response and extract tailored text
+  const parsed = safeJsonParse(responseText);
+  return {
+    tailoredText: parsed && parsed.tailoredText ? parsed.tailoredText : responseText,
+    keptChunks: [],
+    editResult: null
+  };
+}
+
+/**
+ * Tailor the resume one section or experience entry at a time. Headings and the contact
+ * header are kept as written, each chunk is retried on its own, and a chunk that keeps
+ * failing is left unchanged rather than failing the whole run.
+ * @returns {Promise<Object>} { text, failed } from tailorInChunks
+ */
+async function tailorBySection(settings, resumeText, job, { signal, onToken, experience, report }) {
+  const sections = detectSections(resumeText, getDocxHeadings(state.docxStructure));
+  const chunks = splitResumeIntoChunks(resumeText, sections);
+  const system = buildSystemMessage();
+
+  return tailorInChunks(chunks, {
+    signal,
+    tailorChunk: (chunk, onChunkToken) => callLlm(settings, {
+      system,
+      prompt: buildChunkPrompt(chunk, job, experience),
+      payload: {
+        resumeText: chunk.text,
+        section: chunk.label,
+        job,
+        instructions: 'Tailor this part of the resume to the job. Return only the rewritten part, keeping names, titles, companies and dates as written.'
+      },
+      signal,
+      onToken: onChunkToken
+    }).then((text) => {
+      const parsed = safeJsonParse(text);
+      return parsed && parsed.tailoredText ? parsed.tailoredText : text;
+    }),
+    onProgress: ({ chunk, position, total, text }) => {
+      report(`Tailoring ${chunk.label} (${position} of ${total})...`);
+      onToken('', text);
+    }
+  });
+}
+
+/**
+ * Load diffs into the review list, final text, preview and match score
+ */
+function showReview({ tailoredText, diffsWithGroup, groups }) {
+  state.tailoredText = tailoredText;
+  state.diffsWithGroup = diffsWithGroup;
+  state.diffGroups = groups;
+  renderDiffs();
+  elements.finalText.value = buildFinalText();
+  updatePreview();
+  renderAtsPanel(elements.finalText.value);
+}
+
+// --- Variants ---
+
+/**
+ * Generate one tailored version per variant style (whole-resume prompt, the style's
+ * instruction and temperature) and show them side by side. Variants are generated one
+ * after another; a failed variant is shown with its error and does not stop the others.
+ */
+async function generateVariants() {
+  const input = readTailorInput();
+  if (!input) return;
+  const { resumeText, job } = input;
+
+  const settings = await getSettings();
+  if (!isLlmConfigured(settings)) {
+    setStatus(`${getProvider(settings).label} is not configured. Variants need an LLM provider; add its details in Settings.`, 'error');
+    return;
+  }
+
+  await loadRelevantExperience(resumeText, job);
+  const styles = VARIANT_STYLES.slice(0, Number(elements.variantCount.value) || 3);
+  const controller = new AbortController();
+  const variants = [];
+  startGenerationProgress(controller);
+
+  state.resumeText = resumeText;
+  state.atsTerms = buildJobTerms(job);
+
+  try {
+    for (const [index, style] of styles.entries()) {
+      setStatus(`Generating variant ${index + 1} of ${styles.length} (${style.label})...`);
+      showGenerationText('');
+      try {
+        const responseText = await callLlm(settings, {
+          system: buildSystemMessage(),
+          prompt: `${buildEnhancedPrompt(resumeText, job)}\n\nVARIANT STYLE (${style.label}):\n${style.instruction}`,
+          payload: {
+            resumeText,
+            job,
+            style: style.id,
+            temperature: style.temperature,
+            instructions: `Tailor the resume to the job while remaining truthful. ${style.instruction}`
+          },
+          temperature: style.temperature,
+          signal: controller.signal,
+          onToken: (delta, text) => showGenerationText(text)
+        });
+        const parsed = safeJsonParse(responseText);
+        const tailoredText = parsed && parsed.tailoredText ? parsed.tailoredText : responseText;
+        variants.push({
+          style,
+          ...buildReview(resumeText, tailoredText),
+          score: scoreResume(tailoredText, state.atsTerms).score
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.error(`Variant "${style.label}" failed:`, error);
+        variants.push({ style, error: error.message });
+      }
+    }
+    const failed = variants.filter(variant => variant.error).length;
+    setStatus(
+      failed
+        ? `${variants.length - failed} of ${variants.length} variants ready. Compare them and pick changes below.`
+        : 'Variants ready. Compare them and pick changes below.',
+      failed ? 'error' : 'info'
+    );
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Variant generation error:', error);
+      setStatus(`Variant generation failed: ${error.message}`, 'error');
+      return;
+    }
+    setStatus(variants.length ? 'Generation cancelled. Showing the variants finished so far.' : 'Generation cancelled.');
+  } finally {
+    stopGenerationProgress();
+    state.variants = variants;
+    renderVariantGrid();
+  }
+}
+
+/**
+ * Comparison grid: one column per variant with its match score, change counts and
+ * changes. Picked changes can be combined into the review list with "Use picked changes".
+ */
+function renderVariantGrid() {
+  elements.variantGrid.innerHTML = '';
+  elements.variantPanel.hidden = !state.variants.length;
+  if (!state.variants.length) return;
+
+  const baseline = scoreResume(state.resumeText, state.atsTerms).score;
+  elements.variantBaseline.textContent = `Original resume match: ${baseline}%`;
+  const originalWords = countWords(state.resumeText);
+
+  state.variants.forEach((variant) => {
+    const card = document.createElement('div');
+    card.className = 'variant-card';
+
+    const title = document.createElement('h3');
+    title.textContent = variant.style.label;
+    card.appendChild(title);
+
+    if (variant.error) {
+      const error = document.createElement('p');
+      error.className = 'hint';
+      error.textContent = `Failed: ${variant.error}`;
+      card.appendChild(error);
+      elements.variantGrid.appendChild(card);
+      return;
+    }
+
+    const lengthChange = Math.round((countWords(variant.tailoredText) / Math.max(originalWords, 1) - 1) * 100);
+    const metrics = document.createElement('dl');
+    metrics.className = 'variant-metrics';
+    [
+      ['Match', `${variant.score}%`],
+      ['Changes', String(variant.groups.length)],
+      ['Flagged', String(variant.flaggedCount)],
+      ['Length', `${lengthChange > 0 ? '+' : ''}${lengthChange}%`]
+    ].forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      metrics.appendChild(term);
+      metrics.appendChild(detail);
+    });
+    card.appendChild(metrics);
+
+    const review = document.createElement('button');
+    review.className = 'ghost';
+    review.textContent = 'Review this variant';
+    review.addEventListener('click', () => {
+      showReview({
+        tailoredText: variant.tailoredText,
+        diffsWithGroup: variant.diffsWithGroup,
+        groups: variant.groups.map(({ picked, ...group }) => group)
+      });
+      setStatus(`Reviewing the ${variant.style.label} variant.`);
+    });
+    card.appendChild(review);
+
+    const list = document.createElement('div');
+    list.className = 'variant-changes';
+    variant.groups.forEach((group) => {
+      const row = document.createElement('label');
+      row.className = 'variant-change';
+      row.title = `${group.deleteText ? `- ${group.deleteText}\n` : ''}${group.insertText ? `+ ${group.insertText}` : ''}`;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = Boolean(group.picked);
+      checkbox.addEventListener('change', () => pickVariantGroup(group, checkbox.checked));
+
+      const text = document.createElement('span');
+      const place = group.section.entry ? `${group.section.title} › ${group.section.entry}` : group.section.title;
+      const preview = (group.insertText || `(removes "${group.deleteText}")`).trim().replace(/\s+/g, ' ');
+      text.textContent = `${group.warnings && group.warnings.length ? '⚠ ' : ''}${place} · line ${group.line}: ${preview.length > 80 ? `${preview.slice(0, 80)}…` : preview}`;
+
+      row.appendChild(checkbox);
+      row.appendChild(text);
+      list.appendChild(row);
+    });
+    card.appendChild(list);
+
+    elements.variantGrid.appendChild(card);
+  });
+
+  const pickedCount = getPickedGroups().length;
+  elements.combineVariants.disabled = !pickedCount;
+  elements.combineVariants.textContent = pickedCount ? `Use ${pickedCount} picked ${pickedCount === 1 ? 'change' : 'changes'}` : 'Use picked changes';
+}
+
+/**
+ * Pick or unpick a variant's change. Picking drops any overlapping pick, since two
+ * changes to the same text cannot both be applied.
+ */
+function pickVariantGroup(group, picked) {
+  if (picked) {
+    state.variants
+      .flatMap(variant => variant.groups || [])
+      .filter(other => other !== group && other.picked && groupsOverlap(other, group))
+      .forEach((other) => {
+        other.picked = false;
+      });
+  }
+  group.picked = picked;
+  renderVariantGrid();
+}
+
+function getPickedGroups() {
+  return state.variants.flatMap(variant => (variant.groups || [])
+    .filter(group => group.picked)
+    .map(group => ({ ...group, variant: variant.style.label })));
+}
+
+/**
+ * Load the picked changes from all variants into the review list
+ */
+function combineVariantPicks() {
+  const picks = getPickedGroups().map(({ picked, ...group }) => group);
+  if (!picks.length) return;
+  // changesToDiffs needs non-overlapping changes
+  if (picks.some((group, index) => picks.slice(index + 1).some(other => groupsOverlap(group, other)))) {
+    setStatus('Some picked changes edit the same text. Unpick one of each overlapping pair and try again.', 'error');
+    return;
+  }
+
+  const combined = combineGroups(state.resumeText, picks);
+  // Flagged changes stay unaccepted, as in a single run
+  combined.groups.forEach((group) => {
+    group.accepted = !(group.warnings && group.warnings.length);
+  });
+  showReview(combined);
+  setStatus(`Combined ${picks.length} picked ${picks.length === 1 ? 'change' : 'changes'} from ${new Set(picks.map(group => group.variant)).size} variants. Review them below.`);
+}
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+// --- Prompt presets ---
+
+/**
+ * Load the stored prompt presets into the preset picker and use the active one
+ */
+async function loadPromptTemplates() {
+  const { presets, activeId } = await loadPromptPresets();
+  state.promptPresets = presets;
+  elements.promptPreset.innerHTML = '';
+  presets.forEach((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    elements.promptPreset.appendChild(option);
+  });
+  elements.promptPreset.value = activeId;
+  state.templates = getPresetTemplates(presets.find(preset => preset.id === activeId));
+  if (!elements.promptPreview.hidden) {
+    renderPromptPreview();
+  }
+}
+
+/**
+ * Show the system message and the first prompt the selected tailoring mode would send
+ * for the current resume and job fields
+ */
+async function renderPromptPreview() {
+  const resumeText = elements.resumeText.value.trim();
+  const job = {
+    url: elements.jobUrl.value.trim(),
+    title: elements.jobTitle.value.trim(),
+    company: elements.companyName.value.trim(),
+    description: elements.jobDescription.value.trim().slice(0, 6000),
+    additional: elements.additionalContext.value.trim().slice(0, 2000)
+  };
+
+  if (job.description) {
+    await loadRelevantExperience(resumeText, job);
+  }
+
+  let prompt;
+  if (state.tailorMode === 'sections') {
+    const chunks = splitResumeIntoChunks(resumeText, detectSections(resumeText, getDocxHeadings(state.docxStructure)));
+    const chunk = chunks.find(item => item.tailor) || { label: 'Resume', text: resumeText };
+    prompt = buildChunkPrompt({ ...chunk, text: chunk.text.trim() }, job);
+  } else if (state.tailorMode === 'edits') {
+    prompt = buildEditsPrompt(resumeText, job);
+  } else {
+    prompt = buildEnhancedPrompt(resumeText, job);
+  }
+
+  elements.promptPreview.textContent = `SYSTEM:\n${buildSystemMessage()}\n\nPROMPT:\n${prompt}`;
+}
+
+function togglePromptPreview() {
+  elements.promptPreview.hidden = !elements.promptPreview.hidden;
+  elements.previewPrompt.textContent = elements.promptPreview.hidden ? 'Preview prompt' : 'Hide prompt';
+  if (!elements.promptPreview.hidden) {
+    renderPromptPreview();
+  }
+}
+
+// --- Generation progress ---
+
+/**
+ * Show the cancel button, the streamed text and a token/time counter while a
+ * tailoring request runs. The counter ticks even when nothing arrives, so a hung
+ * request is visible.
+ */
+function startGenerationProgress(controller) {
+  generation = {
+    controller,
+    startedAt: Date.now(),
+    text: '',
+    timer: setInterval(renderGenerationProgress, 250)
+  };
+  elements.generateResume.disabled = true;
+  elements.generateVariants.disabled = true;
+  elements.cancelGenerate.hidden = false;
+  elements.streamOutput.textContent = '';
+  renderGenerationProgress();
+}
+
+function showGenerationText(text) {
+  if (!generation) return;
+  generation.text = text;
+  elements.streamOutput.hidden = false;
+  elements.streamOutput.textContent = text;
+  elements.streamOutput.scrollTop = elements.streamOutput.scrollHeight;
+}
+
+function renderGenerationProgress() {
+  const seconds = ((Date.now() - generation.startedAt) / 1000).toFixed(1);
+  // Roughly four characters per token
+  const tokens = Math.round(generation.text.length / 4);
+  elements.generateProgress.textContent = tokens
+    ? `~${tokens} tokens · ${seconds}s`
+    : `Waiting for response · ${seconds}s`;
+}
+
+function stopGenerationProgress() {
+  if (!generation) return;
+  clearInterval(generation.timer);
+  const seconds = ((Date.now() - generation.startedAt) / 1000).toFixed(1);
+  const tokens = Math.round(generation.text.length / 4);
+  elements.generateProgress.textContent = tokens ? `~${tokens} tokens in ${seconds}s` : '';
+  elements.generateResume.disabled = false;
+  elements.generateVariants.disabled = false;
+  elements.cancelGenerate.hidden = true;
+  elements.streamOutput.hidden = true;
+  generation = null;
+}
+
+function cancelGeneration() {
+  if (generation) {
+    generation.controller.abort();
   }
 }
 
 // --- Export actions ---
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function hideExportReport() {
+  state.pendingExport = null;
+  elements.exportReport.hidden = true;
+  elements.exportIssues.innerHTML = '';
+}
+
+/**
+ * List the differences found by the export check; the plain-formatting fallback is only
+ * offered when at least one issue can be fixed by rewriting its paragraphs
+ */
+function renderExportReport(report) {
+  elements.exportIssues.innerHTML = '';
+  report.issues.forEach((issue) => {
+    const item = document.createElement('li');
+    item.className = `export-issue export-issue-${issue.kind}`;
+
+    const title = document.createElement('div');
+    title.className = 'export-issue-title';
+    title.textContent = `Line ${issue.line}: ${issue.message}`;
+    item.appendChild(title);
+
+    if (issue.expected) {
+      const expected = document.createElement('pre');
+      expected.textContent = `Final text: ${issue.expected}`;
+      item.appendChild(expected);
+    }
+    if (issue.actual && issue.actual !== issue.expected) {
+      const actual = document.createElement('pre');
+      actual.textContent = `In DOCX:    ${issue.actual}`;
+      item.appendChild(actual);
+    }
+    elements.exportIssues.appendChild(item);
+  });
+
+  elements.downloadPlainFallback.disabled = !report.issues.some(issue => issue.paragraphIds.length > 0);
+  elements.exportReport.hidden = false;
+}
+
 async function exportDocx() {
+  if (state.resumeSource === 'pdf') {
+    setExportStatus('Formatted DOCX export is not available for PDF resumes. Use Copy text instead.', 'error');
+    return;
+  }
+
   if (!state.docxStructure) {
     setExportStatus('No DOCX file loaded. Cannot export with formatting.', 'error');
     return;
@@ -824,6 +1750,7 @@ async function exportDocx() {
   }
   
   try {
+    hideExportReport();
     setExportStatus('Building DOCX...');
     
     // Map text changes to runs while preserving formatting
@@ -838,18 +1765,20 @@ async function exportDocx() {
       state.docxBuffer,
       modifiedRuns
     );
+
+    // Read the result back and compare it with the final text before handing it over
+    setExportStatus('Checking exported DOCX...');
+    const report = await validateDocxExport(docxBlob, finalText, modifiedRuns);
+    if (!report.ok) {
+      state.pendingExport = { blob: docxBlob, runs: modifiedRuns, report, finalText };
+      renderExportReport(report);
+      setExportStatus(`The DOCX differs from the final text in ${report.issues.length} place(s). Review before downloading.`, 'error');
+      return;
+    }
     
-    // Trigger download
-    const url = URL.createObjectURL(docxBlob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'tailored-resume.docx';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
+    downloadBlob(docxBlob, 'tailored-resume.docx');
     setExportStatus('DOCX exported.');
+    recordExport(docxBlob, 'tailored-resume.docx');
   } catch (error) {
     console.error('DOCX export error:', error);
     const errorMessage = error.message || 'Unknown error';
@@ -857,6 +1786,8 @@ async function exportDocx() {
     // Provide user-friendly error messages
     if (errorMessage.includes('JSZip') || errorMessage.includes('not loaded')) {
       setExportStatus('JSZip library not loaded. Please refresh the page.', 'error');
+    } else if (errorMessage.includes('read back')) {
+      setExportStatus(`Export check failed: ${errorMessage}`, 'error');
     } else if (errorMessage.includes('corrupted') || errorMessage.includes('Invalid')) {
       setExportStatus('DOCX file appears corrupted. Try a different file.', 'error');
     } else if (errorMessage.includes('No paragraphs') || errorMessage.includes('empty')) {
@@ -876,6 +1807,80 @@ async function exportDocx() {
   }
 }
 
+function downloadPendingExport() {
+  if (!state.pendingExport) return;
+  const { blob } = state.pendingExport;
+  downloadBlob(blob, 'tailored-resume.docx');
+  hideExportReport();
+  setExportStatus('DOCX exported with the differences listed.');
+  recordExport(blob, 'tailored-resume.docx');
+}
+
+/**
+ * Rebuild with plain formatting for the paragraphs the export check flagged, check again,
+ * and download the result
+ */
+async function downloadPlainFallback() {
+  if (!state.pendingExport) return;
+  // Check against the text the runs were built from, not later edits
+  const { finalText } = state.pendingExport;
+
+  try {
+    setExportStatus('Rebuilding affected lines with plain formatting...');
+    const fallbackRuns = applyPlainFormatting(state.pendingExport.runs, state.pendingExport.report);
+    const docxBlob = await rebuildDocx(state.docxBuffer, fallbackRuns);
+    const report = await validateDocxExport(docxBlob, finalText, fallbackRuns);
+
+    downloadBlob(docxBlob, 'tailored-resume.docx');
+    hideExportReport();
+    recordExport(docxBlob, 'tailored-resume.docx');
+    if (report.ok) {
+      setExportStatus('DOCX exported; flagged lines use plain formatting.');
+    } else {
+      setExportStatus(`DOCX exported; ${report.issues.length} difference(s) remain (e.g. line ${report.issues[0].line}).`, 'error');
+    }
+  } catch (error) {
+    console.error('DOCX fallback export error:', error);
+    setExportStatus(`Export failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
+
+async function exportPdf() {
+  const finalText = elements.finalText.value.trim();
+  if (!finalText) {
+    setExportStatus('Add final text before exporting.', 'error');
+    return;
+  }
+
+  try {
+    setExportStatus('Building PDF...');
+
+    // Reuse the DOCX run formatting when we have it, otherwise render plain lines
+    if (state.docxStructure && state.docxStructure.runs.length) {
+      const modifiedRuns = mapTextToRuns(
+        state.resumeText,
+        finalText,
+        state.docxStructure.runs
+      );
+      renderRunsToHtml(elements.pdfContent, modifiedRuns);
+    } else {
+      renderPlainTextToHtml(elements.pdfContent, finalText);
+    }
+
+    const filename = buildExportFilename(
+      elements.companyName.value.trim(),
+      elements.jobTitle.value.trim(),
+      'pdf'
+    );
+    const pdfBlob = await exportElementToPdf(elements.pdfContent, filename);
+    setExportStatus(`PDF exported as ${filename}.`);
+    recordExport(pdfBlob, filename);
+  } catch (error) {
+    console.error('PDF export error:', error);
+    setExportStatus(`PDF export failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
+
 async function copyFinalText() {
   const text = elements.finalText.value.trim();
   if (!text) {
@@ -891,11 +1896,39 @@ async function copyFinalText() {
   }
 }
 
+async function extractPdfResume(file) {
+  try {
+    const structure = await extractPdfStructure(file);
+    state.docxBuffer = null;
+    state.docxStructure = null;
+    state.originalRuns = [];
+
+    const text = normalizeText(structure.plainText);
+    elements.resumeText.value = text;
+    state.resumeText = text;
+    setResumeSource('pdf');
+    console.log('PDF extraction succeeded:', {
+      pageCount: structure.pageCount,
+      lineCount: structure.lines.length,
+      textLength: text.length
+    });
+    setStatus('Resume extracted from PDF. Formatted DOCX export is not available for this source.');
+  } catch (error) {
+    console.error('PDF extraction error:', error);
+    setStatus(`PDF extraction failed: ${error.message}`, 'error');
+  }
+}
+
 async function handleExtractResume() {
   setStatus('Extracting resume...');
   const file = elements.resumeFile.files[0];
   if (!file) {
-    setStatus('Select a DOCX file first.', 'error');
+    setStatus('Select a DOCX or PDF file first.', 'error');
+    return;
+  }
+
+  if (isPdfFile(file)) {
+    await extractPdfResume(file);
     return;
   }
 
@@ -911,8 +1944,11 @@ async function handleExtractResume() {
       const text = structure.plainText || await extractDocxText(file);
       elements.resumeText.value = text;
       state.resumeText = text;
+      setResumeSource('docx');
       console.log('DOCX extraction succeeded:', {
         runsCount: structure.runs.length,
+        paragraphCount: structure.paragraphs.length,
+        regions: [...new Set(structure.paragraphs.map(paragraph => paragraph.region))],
         textLength: text.length,
         formattingPreserved: true
       });
@@ -927,6 +1963,7 @@ async function handleExtractResume() {
         state.docxBuffer = null;
         state.docxStructure = null;
         state.originalRuns = [];
+        setResumeSource('docx');
         console.log('DOCX extraction succeeded (plain text fallback):', {
           textLength: text.length,
           formattingPreserved: false
@@ -945,20 +1982,1025 @@ async function handleExtractResume() {
 
 function applyDiffSelections() {
   elements.finalText.value = buildFinalText();
+  updatePreview();
   setExportStatus('Applied selected changes.');
 }
 
-// --- UI wiring ---
-function attachListeners() {
-  elements.extractResume.addEventListener('click', handleExtractResume);
-  elements.scrapeJob.addEventListener('click', scrapeCurrentTab);
-  elements.deepScrape.addEventListener('click', deepScrapeExa);
-  elements.generateResume.addEventListener('click', generateTailoredResume);
-  elements.applyDiff.addEventListener('click', applyDiffSelections);
-  elements.exportDocx.addEventListener('click', exportDocx);
+// --- Cover letter ---
+
+/**
+ * Draft a cover letter from the final resume (the original when nothing is tailored yet)
+ * and the job details, streaming it into the editor
+ */
+async function generateCoverLetter() {
+  const input = readTailorInput(setCoverLetterStatus);
+  if (!input) return;
+  const { job } = input;
+  const resumeText = elements.finalText.value.trim() || input.resumeText;
+  const header = extractCandidateHeader(resumeText);
+
+  const settings = await getSettings();
+  if (!isLlmConfigured(settings)) {
+    elements.coverLetterText.value = fallbackCoverLetter(resumeText, job, header);
+    setCoverLetterStatus(`${getProvider(settings).label} is not configured. Drafted a basic letter from the job skills found in your resume.`);
+    return;
+  }
+
+  const tone = COVER_LETTER_TONES[elements.coverLetterTone.value];
+  const words = COVER_LETTER_LENGTHS[elements.coverLetterLength.value];
+  const previous = elements.coverLetterText.value;
+  coverLetterController = new AbortController();
+  elements.generateCoverLetter.disabled = true;
+  elements.cancelCoverLetter.hidden = false;
+  setCoverLetterStatus('Drafting cover letter...');
+
+  try {
+    const letter = await callLlm(settings, {
+      prompt: renderTemplate(state.templates.coverLetter, {
+        ...buildJobVariables(job),
+        resume: resumeText,
+        name: header.name,
+        tone,
+        words
+      }),
+      payload: {
+        resumeText,
+        job,
+        task: 'cover_letter',
+        tone,
+        words,
+        instructions: `Write a ${tone} cover letter of about ${words} words, grounded in the resume. Return only the letter text.`
+      },
+      signal: coverLetterController.signal,
+      onToken: (delta, text) => {
+        elements.coverLetterText.value = text;
+      }
+    });
+    const parsed = safeJsonParse(letter);
+    elements.coverLetterText.value = parsed && (parsed.coverLetter || parsed.text) ? parsed.coverLetter || parsed.text : letter;
+    setCoverLetterStatus('Cover letter drafted. Edit it as needed, then export.');
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      elements.coverLetterText.value = previous;
+      setCoverLetterStatus('Cover letter cancelled.');
+      return;
+    }
+    console.error('Cover letter error:', error);
+    setCoverLetterStatus(`Cover letter failed: ${error.message}`, 'error');
+  } finally {
+    coverLetterController = null;
+    elements.generateCoverLetter.disabled = false;
+    elements.cancelCoverLetter.hidden = true;
+  }
+}
+
+/**
+ * Short letter without an LLM: names the role and the job skills the resume mentions
+ */
+function fallbackCoverLetter(resumeText, job, header) {
+  const jobRequirements = extractJobRequirements(job.description);
+  const matched = jobRequirements.skills
+    .filter(skill => resumeText.toLowerCase().includes(skill.toLowerCase()))
+    .slice(0, 4);
+  const skills = matched.length > 1
+    ? `${matched.slice(0, -1).join(', ')} and ${matched[matched.length - 1]}`
+    : matched[0];
+
+  return [
+    'Dear Hiring Manager,',
+    `I am writing to apply for the ${job.title || 'open'} position at ${job.company || 'your company'}.${skills ? ` My experience with ${skills} matches what the role asks for.` : ''}`,
+    'My resume describes this experience in more detail. I would welcome the chance to discuss how I can contribute to your team.',
+    `Sincerely,${header.name ? `\n${header.name}` : ''}`
+  ].join('\n\n');
+}
+
+/**
+ * Letter body, candidate header and date for export, or null when there is no letter
+ */
+function readCoverLetter() {
+  const body = elements.coverLetterText.value.trim();
+  if (!body) {
+    setCoverLetterStatus('Draft a cover letter first.', 'error');
+    return null;
+  }
+  const resumeText = elements.finalText.value.trim() || elements.resumeText.value.trim();
+  return { body, header: extractCandidateHeader(resumeText), date: formatLetterDate() };
+}
+
+function buildCoverLetterFilename(extension) {
+  return buildExportFilename(
+    elements.companyName.value.trim(),
+    elements.jobTitle.value.trim(),
+    extension,
+    'cover-letter'
+  );
+}
+
+async function exportCoverLetterDocx() {
+  const letter = readCoverLetter();
+  if (!letter) return;
+
+  try {
+    const blob = await buildCoverLetterDocx(letter.body, letter.header, letter.date);
+    const filename = buildCoverLetterFilename('docx');
+    downloadBlob(blob, filename);
+    setCoverLetterStatus(`Cover letter exported as ${filename}.`);
+  } catch (error) {
+    console.error('Cover letter export error:', error);
+    setCoverLetterStatus(`DOCX export failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
+
+function exportCoverLetterText() {
+  const letter = readCoverLetter();
+  if (!letter) return;
+
+  const text = buildCoverLetterText(letter.body, letter.header, letter.date);
+  const filename = buildCoverLetterFilename('txt');
+  downloadBlob(new Blob([text], { type: 'text/plain;charset=utf-8' }), filename);
+  setCoverLetterStatus(`Cover letter exported as ${filename}.`);
+}
+
+async function copyCoverLetter() {
+  const text = elements.coverLetterText.value.trim();
+  if (!text) {
+    setCoverLetterStatus('Nothing to copy.', 'error');
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(text);
+    setCoverLetterStatus('Copied to clipboard.');
+  } catch (error) {
+    setCoverLetterStatus('Copy failed.', 'error');
+  }
+}
+
+// --- Resume library ---
+
+async function renderMasterResumes(selectedId = elements.masterResumeSelect.value) {
+  let resumes;
+  try {
+    resumes = await listMasterResumes();
+  } catch (error) {
+    console.error('Resume library load error:', error);
+    setLibraryStatus(`Resume library unavailable: ${error.message}`, 'error');
+    return;
+  }
+
+  elements.masterResumeSelect.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = resumes.length ? 'Choose a master resume' : 'No master resumes saved';
+  elements.masterResumeSelect.appendChild(placeholder);
+  resumes.forEach((resume) => {
+    const option = document.createElement('option');
+    option.value = resume.id;
+    option.textContent = resume.name;
+    elements.masterResumeSelect.appendChild(option);
+  });
+  elements.masterResumeSelect.value = resumes.some(resume => resume.id === selectedId) ? selectedId : '';
+}
+
+/**
+ * Store the current resume (text, source and original DOCX) as a master resume. Saving
+ * under the name of an existing master resume replaces it.
+ */
+async function saveCurrentAsMasterResume() {
+  const name = elements.masterResumeName.value.trim();
+  const text = elements.resumeText.value.trim();
+  if (!name) {
+    setLibraryStatus('Name the master resume first (e.g. Backend).', 'error');
+    return;
+  }
+  if (!text) {
+    setLibraryStatus('Extract or paste a resume first.', 'error');
+    return;
+  }
+
+  try {
+    const existing = (await listMasterResumes()).find(resume => resume.name.toLowerCase() === name.toLowerCase());
+    const record = await saveMasterResume({
+      id: existing ? existing.id : null,
+      name,
+      text,
+      source: state.resumeSource || 'text',
+      docxBuffer: state.resumeSource === 'docx' ? state.docxBuffer : null
+    });
+    await renderMasterResumes(record.id);
+    setLibraryStatus(existing ? `Master resume "${record.name}" updated.` : `Saved as master resume "${record.name}".`);
+  } catch (error) {
+    console.error('Resume library save error:', error);
+    setLibraryStatus(`Save failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Use the selected master resume as the resume to tailor, with its DOCX formatting
+ */
+async function loadSelectedMasterResume() {
+  const id = elements.masterResumeSelect.value;
+  if (!id) {
+    setLibraryStatus('Choose a master resume first.', 'error');
+    return;
+  }
+
+  try {
+    const resume = await getMasterResume(id);
+    if (!resume) {
+      setLibraryStatus('That master resume no longer exists.', 'error');
+      await renderMasterResumes();
+      return;
+    }
+    await restoreResume(resume.text, resume.source, resume.docxBuffer);
+    elements.masterResumeName.value = resume.name;
+    setLibraryStatus(`Loaded master resume "${resume.name}".`);
+    scheduleAutosave();
+  } catch (error) {
+    console.error('Resume library load error:', error);
+    setLibraryStatus(`Load failed: ${error.message}`, 'error');
+  }
+}
+
+async function deleteSelectedMasterResume() {
+  const option = elements.masterResumeSelect.selectedOptions[0];
+  if (!option || !option.value) {
+    setLibraryStatus('Choose a master resume first.', 'error');
+    return;
+  }
+  if (!window.confirm(`Delete the master resume "${option.textContent}"?`)) return;
+
+  try {
+    await deleteMasterResume(option.value);
+    await renderMasterResumes('');
+    setLibraryStatus('Master resume deleted.');
+  } catch (error) {
+    console.error('Resume library delete error:', error);
+    setLibraryStatus(`Delete failed: ${error.message}`, 'error');
+  }
+}
+
+// --- Experience bank ---
+
+/**
+ * Experience bank items that match the job and are missing from the resume, when the
+ * "pull in" option is on
+ * @returns {Promise<Array>} Items for the prompts and the claim check
+ */
+async function findRelevantExperience(resumeText, job) {
+  if (!elements.useExperienceBank.checked) return [];
+  try {
+    return selectRelevantExperience(await listExperienceItems(), resumeText, buildJobTerms(job));
+  } catch (error) {
+    console.warn('Experience bank unavailable, tailoring without it:', error);
+    return [];
+  }
+}
+
+async function loadRelevantExperience(resumeText, job) {
+  state.experience = await findRelevantExperience(resumeText, job);
+}
+
+async function addExperienceItem() {
+  const text = elements.experienceText.value.trim();
+  if (!text) {
+    setExperienceStatus('Write the bullet or project first.', 'error');
+    return;
+  }
+
+  try {
+    await saveExperienceItem({
+      kind: elements.experienceKind.value,
+      text,
+      context: elements.experienceContext.value.trim(),
+      tags: parseTags(elements.experienceTags.value)
+    });
+    elements.experienceText.value = '';
+    elements.experienceTags.value = '';
+    setExperienceStatus('Added to the experience bank.');
+    await renderExperienceBank();
+  } catch (error) {
+    console.error('Experience bank save error:', error);
+    setExperienceStatus(`Save failed: ${error.message}`, 'error');
+  }
+}
+
+async function renderExperienceBank() {
+  let items;
+  try {
+    items = await listExperienceItems();
+  } catch (error) {
+    console.error('Experience bank load error:', error);
+    setExperienceStatus(`Experience bank unavailable: ${error.message}`, 'error');
+    return;
+  }
+
+  elements.experienceList.innerHTML = '';
+  if (!items.length) {
+    const empty = document.createElement('div');
+    empty.className = 'hint';
+    empty.textContent = 'No stored bullets or projects yet.';
+    elements.experienceList.appendChild(empty);
+    return;
+  }
+
+  items.forEach((item) => {
+    const entry = document.createElement('div');
+    entry.className = 'experience-item';
+
+    const text = document.createElement('div');
+    text.className = 'experience-text';
+    text.textContent = item.text;
+
+    const meta = document.createElement('div');
+    meta.className = 'hint';
+    meta.textContent = [
+      EXPERIENCE_KINDS[item.kind] || item.kind,
+      item.context,
+      item.tags.length ? `Tags: ${item.tags.join(', ')}` : ''
+    ].filter(Boolean).join(' · ');
+
+    const remove = document.createElement('button');
+    remove.className = 'ghost';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', async () => {
+      try {
+        await deleteExperienceItem(item.id);
+        await renderExperienceBank();
+      } catch (error) {
+        console.error('Experience bank delete error:', error);
+        setExperienceStatus(`Delete failed: ${error.message}`, 'error');
+      }
+    });
+
+    entry.appendChild(text);
+    entry.appendChild(meta);
+    entry.appendChild(remove);
+    elements.experienceList.appendChild(entry);
+  });
+}
+
+// --- Batch tailoring ---
+
+const BATCH_STATUS_LABELS = {
+  queued: 'Queued',
+  scraping: 'Scraping',
+  parsing: 'Parsing',
+  tailoring: 'Tailoring',
+  done: 'Draft ready',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Add the open tabs that look like job postings to the batch URL list
+ */
+async function addOpenJobTabs() {
+  try {
+    const tabs = await chrome.tabs.query({ currentWindow: true });
+    const listed = parseUrlList(elements.batchUrls.value);
+    const added = [...new Set(tabs.map(tab => tab.url).filter(isLikelyJobUrl))]
+      .filter(url => !listed.includes(url));
+    if (!added.length) {
+      setBatchStatus('No new job tabs found among the open tabs.', 'error');
+      return;
+    }
+    elements.batchUrls.value = [...listed, ...added].join('\n');
+    setBatchStatus(`Added ${added.length} job ${added.length === 1 ? 'tab' : 'tabs'}.`);
+  } catch (error) {
+    console.error('Open tabs error:', error);
+    setBatchStatus(`Could not read the open tabs: ${error.message}`, 'error');
+  }
+}
+
+async function startBatch() {
+  const urls = parseUrlList(elements.batchUrls.value);
+  if (!urls.length) {
+    setBatchStatus('Paste job URLs or add the open job tabs first.', 'error');
+    return;
+  }
+  state.batchJobs = urls.map(url => ({ url, status: 'queued', message: '', title: '', company: '', applicationId: null }));
+  await runBatch(state.batchJobs);
+}
+
+/**
+ * Scrape, parse and tailor each job with the current resume and tailoring mode, a few
+ * at a time. Every finished job is saved to the application history as a draft; a
+ * failed job keeps its error and does not stop the others.
+ * @param {Array} jobs - Entries of state.batchJobs to run
+ */
+async function runBatch(jobs) {
+  if (batchController) return;
+  const resumeText = elements.resumeText.value.trim();
+  if (!resumeText) {
+    setBatchStatus('Please upload and extract a resume first.', 'error');
+    return;
+  }
+
+  const settings = await getSettings();
+  const limit = Number(elements.batchConcurrency.value) || 2;
+  batchController = new AbortController();
+  const { signal } = batchController;
+  jobs.forEach((job) => {
+    Object.assign(job, { status: 'queued', message: '', applicationId: null });
+  });
+  elements.startBatch.disabled = true;
+  elements.cancelBatch.hidden = false;
+  setBatchStatus(isLlmConfigured(settings)
+    ? `Tailoring ${jobs.length} ${jobs.length === 1 ? 'job' : 'jobs'}, ${limit} at a time...`
+    : `${getProvider(settings).label} is not configured. Tailoring ${jobs.length} ${jobs.length === 1 ? 'job' : 'jobs'} with the fallback method...`);
+  renderBatchList();
+
+  try {
+    await runWithConcurrency(jobs, limit, job => runBatchJob(job, { settings, resumeText, signal }), signal);
+  } finally {
+    jobs.filter(job => job.status === 'queued').forEach((job) => {
+      job.status = 'cancelled';
+    });
+    batchController = null;
+    elements.startBatch.disabled = false;
+    elements.cancelBatch.hidden = true;
+    renderBatchList();
+    await renderHistory();
+  }
+
+  const done = jobs.filter(job => job.status === 'done').length;
+  const failed = jobs.filter(job => job.status === 'failed').length;
+  const message = `${done} of ${jobs.length} drafts ready${failed ? `, ${failed} failed` : ''}${signal.aborted ? ' (cancelled)' : ''}.`;
+  setBatchStatus(message, failed ? 'error' : 'info');
+}
+
+/**
+ * One job of a batch: scrape the URL, parse the posting, tailor the resume and save the
+ * result as a drafted application
+ */
+async function runBatchJob(job, { settings, resumeText, signal }) {
+  const update = (changes) => {
+    Object.assign(job, changes);
+    renderBatchList();
+  };
+
+  try {
+    update({ status: 'scraping', message: '' });
+    const scrapedData = await requestScrape(job.url);
+    signal.throwIfAborted();
+
+    update({ status: 'parsing' });
+    const parsed = await parseScrapedJob(scrapedData, job.url, settings, message => update({ message }));
+    signal.throwIfAborted();
+    const details = {
+      url: job.url,
+      title: parsed.title,
+      company: parsed.company,
+      description: parsed.description.trim().slice(0, 6000),
+      additional: parsed.additional.trim().slice(0, 2000)
+    };
+
+    update({ status: 'tailoring', title: details.title, company: details.company, message: '' });
+    const experience = await findRelevantExperience(resumeText, details);
+    const result = isLlmConfigured(settings)
+      ? await tailorWithLlm(settings, resumeText, details, {
+        signal,
+        onToken: () => {},
+        experience,
+        report: message => update({ message })
+      })
+      : { tailoredText: fallbackTailor(resumeText, details), keptChunks: [], editResult: null };
+    if (!result.tailoredText) {
+      throw new Error('Empty response from LLM');
+    }
+
+    const review = buildReview(resumeText, result.tailoredText, result.editResult || undefined, experience);
+    const record = await saveApplication({
+      ...details,
+      resumeText,
+      resumeSource: state.resumeSource,
+      docxBuffer: state.docxBuffer,
+      tailoredText: review.tailoredText,
+      diffsWithGroup: review.diffsWithGroup,
+      diffGroups: review.groups,
+      finalText: '',
+      coverLetter: ''
+    });
+
+    const notes = [`${review.groups.length} ${review.groups.length === 1 ? 'change' : 'changes'}`];
+    if (review.flaggedCount) notes.push(`${review.flaggedCount} flagged`);
+    if (result.keptChunks.length) notes.push(`${result.keptChunks.length} ${result.keptChunks.length === 1 ? 'part' : 'parts'} kept as written`);
+    update({ status: 'done', applicationId: record.id, message: notes.join(', ') });
+  } catch (error) {
+    if (signal.aborted) {
+      update({ status: 'cancelled', message: '' });
+      return;
+    }
+    console.error(`Batch job failed (${job.url}):`, error);
+    update({ status: 'failed', message: error.message });
+  }
+}
+
+function renderBatchList() {
+  elements.batchList.innerHTML = '';
+  state.batchJobs.forEach((job) => {
+    const item = document.createElement('div');
+    item.className = 'batch-item';
+
+    const head = document.createElement('div');
+    head.className = 'batch-head';
+    const title = document.createElement('div');
+    title.className = 'batch-title';
+    title.textContent = job.title ? [job.title, job.company].filter(Boolean).join(' · ') : job.url;
+    title.title = job.url;
+    const status = document.createElement('span');
+    status.className = `batch-status batch-status-${job.status}`;
+    status.textContent = BATCH_STATUS_LABELS[job.status];
+    head.appendChild(title);
+    head.appendChild(status);
+    item.appendChild(head);
+
+    if (job.message) {
+      const message = document.createElement('div');
+      message.className = 'hint';
+      message.textContent = job.message;
+      item.appendChild(message);
+    }
+
+    if (job.status === 'done') {
+      const review = document.createElement('button');
+      review.className = 'ghost';
+      review.textContent = 'Review';
+      review.addEventListener('click', async () => {
+        try {
+          await reopenApplication(job.applicationId);
+          document.getElementById('diff-section').scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+          console.error('Batch review error:', error);
+          setBatchStatus(`Review failed: ${error.message}`, 'error');
+        }
+      });
+      item.appendChild(review);
+    } else if ((job.status === 'failed' || job.status === 'cancelled') && !batchController) {
+      const retry = document.createElement('button');
+      retry.className = 'ghost';
+      retry.textContent = 'Retry';
+      retry.addEventListener('click', () => runBatch([job]));
+      item.appendChild(retry);
+    }
+
+    elements.batchList.appendChild(item);
+  });
+}
+
+// --- Application history ---
+
+/**
+ * The current session as an application record (without id, status or timestamps)
+ */
+function buildApplicationSnapshot() {
+  return {
+    url: elements.jobUrl.value.trim(),
+    title: elements.jobTitle.value.trim(),
+    company: elements.companyName.value.trim(),
+    description: elements.jobDescription.value.trim(),
+    additional: elements.additionalContext.value.trim(),
+    resumeText: state.resumeText || elements.resumeText.value.trim(),
+    resumeSource: state.resumeSource,
+    docxBuffer: state.docxBuffer,
+    tailoredText: state.tailoredText,
+    diffsWithGroup: state.diffsWithGroup,
+    diffGroups: state.diffGroups,
+    finalText: elements.finalText.value,
+    coverLetter: elements.coverLetterText.value
+  };
+}
+
+function getApplicationKey(application) {
+  return [application.url, application.title, application.company].join('|');
+}
+
+/**
+ * Save the session to history. The session's record is updated while the job stays
+ * the same; a different job gets a new record.
+ * @param {Object} [changes] - Extra fields, e.g. exportFile
+ * @returns {Promise<Object>} The stored record
+ */
+async function saveCurrentApplication(changes = {}) {
+  const snapshot = { ...buildApplicationSnapshot(), ...changes };
+  const key = getApplicationKey(snapshot);
+  const existing = state.applicationId && state.applicationKey === key
+    ? await getApplication(state.applicationId)
+    : null;
+
+  const record = existing
+    ? await updateApplication(existing.id, snapshot)
+    : await saveApplication(snapshot);
+  state.applicationId = record.id;
+  state.applicationKey = key;
+  await renderHistory();
+  return record;
+}
+
+async function saveApplicationFromForm() {
+  if (!elements.jobTitle.value.trim() && !elements.companyName.value.trim() && !elements.jobUrl.value.trim()) {
+    setHistoryStatus('Add the job title, company or URL before saving.', 'error');
+    return;
+  }
+  try {
+    await saveCurrentApplication();
+    setHistoryStatus('Application saved.');
+  } catch (error) {
+    console.error('History save error:', error);
+    setHistoryStatus(`Save failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Keep the exported resume with the session's history record
+ */
+async function recordExport(blob, filename) {
+  try {
+    await saveCurrentApplication({
+      exportFile: { name: filename, type: blob.type, blob, exportedAt: Date.now() }
+    });
+  } catch (error) {
+    console.warn('Could not record the export in history:', error);
+  }
+}
+
+async function renderHistory() {
+  let applications;
+  try {
+    applications = await listApplications();
+  } catch (error) {
+    console.error('History load error:', error);
+    setHistoryStatus(`History unavailable: ${error.message}`, 'error');
+    return;
+  }
+
+  elements.historyList.innerHTML = '';
+  if (!applications.length) {
+    const empty = document.createElement('div');
+    empty.className = 'hint';
+    empty.textContent = 'No saved applications yet. Sessions are saved here when you export or click "Save to history".';
+    elements.historyList.appendChild(empty);
+    return;
+  }
+
+  applications.forEach((application) => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    if (application.id === state.applicationId) {
+      item.classList.add('history-item-current');
+    }
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    title.textContent = [application.title || 'Untitled role', application.company].filter(Boolean).join(' · ');
+
+    const meta = document.createElement('div');
+    meta.className = 'hint';
+    const changes = (application.diffGroups || []).filter(group => group.accepted).length;
+    meta.textContent = `Updated ${new Date(application.updatedAt).toLocaleString()} · ${changes} accepted ${changes === 1 ? 'change' : 'changes'}`;
+    if (application.url) {
+      meta.title = application.url;
+    }
+
+    const status = document.createElement('select');
+    status.setAttribute('aria-label', 'Application status');
+    APPLICATION_STATUSES.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value[0].toUpperCase() + value.slice(1);
+      status.appendChild(option);
+    });
+    status.value = application.status;
+    status.addEventListener('change', async () => {
+      try {
+        await updateApplication(application.id, { status: status.value });
+        await renderHistory();
+      } catch (error) {
+        console.error('History status error:', error);
+        status.value = application.status;
+        setHistoryStatus(error.message, 'error');
+      }
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    const addAction = (label, handler) => {
+      const button = document.createElement('button');
+      button.className = 'ghost';
+      button.textContent = label;
+      button.addEventListener('click', async () => {
+        try {
+          await handler();
+        } catch (error) {
+          console.error(`History ${label.toLowerCase()} error:`, error);
+          setHistoryStatus(`${label} failed: ${error.message}`, 'error');
+        }
+      });
+      actions.appendChild(button);
+    };
+    addAction('Reopen', () => reopenApplication(application.id));
+    addAction('Duplicate', async () => {
+      await duplicateApplication(application.id);
+      setHistoryStatus('Application duplicated as a new draft.');
+      await renderHistory();
+    });
+    if (application.exportFile) {
+      addAction('Download export', async () => downloadBlob(application.exportFile.blob, application.exportFile.name));
+    }
+    addAction('Delete', async () => {
+      if (!window.confirm(`Delete the saved application for ${title.textContent}?`)) return;
+      await deleteApplication(application.id);
+      if (state.applicationId === application.id) {
+        state.applicationId = null;
+        state.applicationKey = '';
+      }
+      setHistoryStatus('Application deleted.');
+      await renderHistory();
+    });
+
+    actions.prepend(status);
+    item.appendChild(title);
+    item.appendChild(meta);
+    item.appendChild(actions);
+    elements.historyList.appendChild(item);
+  });
+}
+
+/**
+ * Load a saved application back into the workspace and continue its history record
+ */
+async function reopenApplication(id) {
+  const application = await getApplication(id);
+  if (!application) {
+    setHistoryStatus('That application no longer exists.', 'error');
+    await renderHistory();
+    return;
+  }
+
+  await applySnapshot(application);
+  state.applicationId = application.id;
+  state.applicationKey = getApplicationKey(application);
+  setHistoryStatus(`Reopened ${[application.title, application.company].filter(Boolean).join(' at ') || 'application'}.`);
+  await renderHistory();
+}
+
+/**
+ * Make a stored resume the one being tailored. A stored DOCX is parsed again so the
+ * preview and formatted export work as after an upload.
+ */
+async function restoreResume(text, source, docxBuffer) {
+  elements.resumeText.value = text;
+  state.resumeText = text;
+  state.docxBuffer = null;
+  state.docxStructure = null;
+  state.originalRuns = [];
+  if (docxBuffer) {
+    try {
+      const structure = await parseDocxStructure(new Blob([docxBuffer]));
+      state.docxBuffer = structure.buffer;
+      state.docxStructure = structure;
+      state.originalRuns = structure.runs;
+    } catch (error) {
+      console.warn('Saved DOCX could not be parsed again:', error);
+    }
+  }
+  setResumeSource(source);
+}
+
+/**
+ * Load a snapshot (an application record or autosaved session) into the workspace: job
+ * fields, resume, review list, final text and cover letter
+ */
+async function applySnapshot(snapshot) {
+  elements.jobUrl.value = snapshot.url || '';
+  elements.jobTitle.value = snapshot.title || '';
+  elements.companyName.value = snapshot.company || '';
+  elements.jobDescription.value = snapshot.description || '';
+  elements.additionalContext.value = snapshot.additional || '';
+  elements.coverLetterText.value = snapshot.coverLetter || '';
+  await restoreResume(snapshot.resumeText || '', snapshot.resumeSource, snapshot.docxBuffer);
+
+  state.variants = [];
+  renderVariantGrid();
+  state.atsTerms = snapshot.description
+    ? buildJobTerms({ description: snapshot.description, additional: snapshot.additional })
+    : null;
+  showReview({
+    tailoredText: snapshot.tailoredText || '',
+    diffsWithGroup: snapshot.diffsWithGroup || [],
+    groups: snapshot.diffGroups || []
+  });
+  // Keep the saved final text, which may include manual edits
+  if (snapshot.finalText) {
+    elements.finalText.value = snapshot.finalText;
+    updatePreview();
+    renderAtsPanel(snapshot.finalText);
+  }
+}
+
+// --- Session autosave ---
+
+/**
+ * Everything needed to pick the workspace up again: the application snapshot plus the
+ * workspace options and the history record it belongs to
+ */
+function buildSessionSnapshot() {
+  return {
+    ...buildApplicationSnapshot(),
+    tailorMode: state.tailorMode,
+    diffView: state.diffView,
+    coverLetterTone: elements.coverLetterTone.value,
+    coverLetterLength: elements.coverLetterLength.value,
+    useExperienceBank: elements.useExperienceBank.checked,
+    applicationId: state.applicationId,
+    applicationKey: state.applicationKey
+  };
+}
+
+function hasSessionContent(session) {
+  return Boolean(session.resumeText || session.description || session.title || session.finalText || session.coverLetter);
+}
+
+function scheduleAutosave() {
+  if (!autosaveEnabled) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(saveWorkspaceSession, AUTOSAVE_DELAY_MS);
+}
+
+async function saveWorkspaceSession() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  const session = buildSessionSnapshot();
+  if (!hasSessionContent(session)) return;
+  try {
+    await saveSession(sessionPage, session);
+    autosaveFailed = false;
+  } catch (error) {
+    console.warn('Workspace autosave failed:', error);
+    if (!autosaveFailed) {
+      autosaveFailed = true;
+      setStatus(`Autosave failed, this session is not being saved: ${error.message}`, 'error');
+    }
+  }
+}
+
+/**
+ * Look up the session saved for this page and offer to restore it. Autosave starts
+ * once the user has restored or discarded it, so the saved session is not overwritten
+ * by the empty workspace first.
+ */
+async function initSession() {
+  // The overlay passes the page it was opened on; otherwise use the job URL from the active tab
+  sessionPage = new URLSearchParams(window.location.search).get('page') || elements.jobUrl.value.trim() || 'workspace';
+
+  let session = null;
+  try {
+    session = await loadSession(sessionPage);
+  } catch (error) {
+    console.warn('Saved session could not be loaded:', error);
+  }
+
+  if (!session || !hasSessionContent(session)) {
+    autosaveEnabled = true;
+    return;
+  }
+
+  const label = [session.title, session.company].filter(Boolean).join(' at ');
+  elements.restoreMessage.textContent = `You have an unsaved session${label ? ` for ${label}` : ''} from ${new Date(session.savedAt).toLocaleString()}.`;
+  elements.restoreBanner.hidden = false;
+  elements.restoreSession.onclick = () => restoreWorkspaceSession(session);
+  elements.discardSession.onclick = async () => {
+    elements.restoreBanner.hidden = true;
+    autosaveEnabled = true;
+    try {
+      await clearSession(sessionPage);
+    } catch (error) {
+      console.warn('Saved session could not be cleared:', error);
+    }
+    scheduleAutosave();
+  };
+}
+
+async function restoreWorkspaceSession(session) {
+  elements.restoreBanner.hidden = true;
+  try {
+    state.tailorMode = session.tailorMode || 'whole';
+    state.diffView = session.diffView || 'unified';
+    elements.tailorModeInputs.forEach((input) => {
+      input.checked = input.value === state.tailorMode;
+    });
+    elements.diffViewInputs.forEach((input) => {
+      input.checked = input.value === state.diffView;
+    });
+    if (session.coverLetterTone) elements.coverLetterTone.value = session.coverLetterTone;
+    if (session.coverLetterLength) elements.coverLetterLength.value = session.coverLetterLength;
+    elements.useExperienceBank.checked = Boolean(session.useExperienceBank);
+
+    await applySnapshot(session);
+    state.applicationId = session.applicationId || null;
+    state.applicationKey = session.applicationKey || '';
+    await renderHistory();
+    setStatus('Previous session restored.');
+  } catch (error) {
+    console.error('Session restore error:', error);
+    setStatus(`Session restore failed: ${error.message}`, 'error');
+  } finally {
+    autosaveEnabled = true;
+  }
+}
+
+// --- UI wiring ---
+function attachListeners() {
+  elements.extractResume.addEventListener('click', async () => {
+    await handleExtractResume();
+    scheduleAutosave();
+  });
+  elements.scrapeJob.addEventListener('click', scrapeCurrentTab);
+  elements.deepScrape.addEventListener('click', deepScrapeExa);
+  elements.generateResume.addEventListener('click', generateTailoredResume);
+  elements.generateVariants.addEventListener('click', generateVariants);
+  elements.combineVariants.addEventListener('click', combineVariantPicks);
+  elements.cancelGenerate.addEventListener('click', cancelGeneration);
+  elements.applyDiff.addEventListener('click', applyDiffSelections);
+  elements.exportDocx.addEventListener('click', exportDocx);
+  elements.downloadAsIs.addEventListener('click', downloadPendingExport);
+  elements.downloadPlainFallback.addEventListener('click', downloadPlainFallback);
+  elements.exportPdf.addEventListener('click', exportPdf);
   elements.copyText.addEventListener('click', copyFinalText);
+  elements.finalText.addEventListener('input', () => {
+    // A held-back export no longer matches the edited text; export again
+    if (state.pendingExport) {
+      hideExportReport();
+      setExportStatus('Final text changed. Export again to include your edits.');
+    }
+    schedulePreview();
+  });
+  elements.previewChanges.addEventListener('change', () => updatePreview(state.previewText, state.previewLabel));
+  elements.tailorModeInputs.forEach((input) => {
+    input.addEventListener('change', () => {
+      state.tailorMode = input.value;
+      if (!elements.promptPreview.hidden) renderPromptPreview();
+    });
+  });
+  elements.promptPreset.addEventListener('change', () => {
+    // Use the picked preset right away; the stored choice reloads the same templates
+    const id = elements.promptPreset.value;
+    state.templates = getPresetTemplates(state.promptPresets.find(preset => preset.id === id));
+    if (!elements.promptPreview.hidden) {
+      renderPromptPreview();
+    }
+    setActivePromptPreset(id).catch((error) => {
+      console.error('Prompt preset save error:', error);
+      setStatus(`Could not save the prompt preset choice: ${error.message}`, 'error');
+    });
+  });
+  elements.previewPrompt.addEventListener('click', togglePromptPreview);
+  // Presets are edited on the options page; picking one here is stored too
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.promptPresets || changes.promptPresetId)) {
+      loadPromptTemplates();
+    }
+  });
+  elements.diffViewInputs.forEach((input) => {
+    input.addEventListener('change', () => {
+      state.diffView = input.value;
+      renderDiffs();
+    });
+  });
+  elements.generateCoverLetter.addEventListener('click', generateCoverLetter);
+  elements.cancelCoverLetter.addEventListener('click', () => {
+    if (coverLetterController) coverLetterController.abort();
+  });
+  elements.exportCoverLetterDocx.addEventListener('click', exportCoverLetterDocx);
+  elements.exportCoverLetterText.addEventListener('click', exportCoverLetterText);
+  elements.copyCoverLetter.addEventListener('click', copyCoverLetter);
+  elements.loadMasterResume.addEventListener('click', loadSelectedMasterResume);
+  elements.saveMasterResume.addEventListener('click', saveCurrentAsMasterResume);
+  elements.deleteMasterResume.addEventListener('click', deleteSelectedMasterResume);
+  elements.addExperience.addEventListener('click', addExperienceItem);
+  elements.useExperienceBank.addEventListener('change', () => {
+    if (!elements.promptPreview.hidden) renderPromptPreview();
+  });
+  elements.addOpenTabs.addEventListener('click', addOpenJobTabs);
+  elements.startBatch.addEventListener('click', startBatch);
+  elements.cancelBatch.addEventListener('click', () => {
+    if (batchController) batchController.abort();
+  });
+  elements.saveApplication.addEventListener('click', saveApplicationFromForm);
+  // Typing in the job fields, cover letter and options; other changes go through updatePreview
+  document.addEventListener('input', scheduleAutosave);
+  document.addEventListener('change', scheduleAutosave);
+  // Removing the overlay unloads the workspace; save what is pending
+  window.addEventListener('pagehide', () => {
+    if (autosaveTimer) saveWorkspaceSession();
+  });
   elements.openSettings.addEventListener('click', () => chrome.runtime.openOptionsPage());
 }
 
 attachListeners();
-prefillActiveTab();
+loadPromptTemplates();
+renderHistory();
+renderMasterResumes();
+renderExperienceBank();
+prefillActiveTab().then(initSession);
@@ -0,0 +1,70 @@
+/**
+ * Application History Module
+ * Saved tailoring sessions in IndexedDB (database.js), one record per job application:
+ * job details, resume and tailored text, diff groups with their accepted state, the last
+ * exported file and an application status
+ */
+
+import { STORES, withStore } from './database.js';
+
+export const APPLICATION_STATUSES = ['drafted', 'applied', 'interviewing', 'rejected', 'offer'];
+
+/**
+ * Create or update an application. Records without an id get one, a createdAt time
+ * and the 'drafted' status.
+ * @param {Object} application - Record fields (see README for the stored fields)
+ * @returns {Promise<Object>} The stored record
+ */
+export async function saveApplication(application) {
+  const now = Date.now();
+  const record = {
+    status: 'drafted',
+    createdAt: now,
+    ...application,
+    id: application.id || `app-${now}-${Math.random().toString(36).slice(2, 8)}`,
+    updatedAt: now
+  };
+  await withStore(STORES.applications, 'readwrite', store => store.put(record));
+  return record;
+}
+
+/**
+ * Merge changes into a stored application
+ * @returns {Promise<Object>} The updated record
+ */
+export async function updateApplication(id, changes) {
+  const current = await getApplication(id);
+  if (!current) {
+    throw new Error(`Application history: no application with id ${id}`);
+  }
+  return saveApplication({ ...current, ...changes, id });
+}
+
+export async function getApplication(id) {
+  return withStore(STORES.applications, 'readonly', store => store.get(id));
+}
+
+/**
+ * All applications, most recently updated first
+ */
+export async function listApplications() {
+  const records = await withStore(STORES.applications, 'readonly', store => store.getAll());
+  return records.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function deleteApplication(id) {
+  await withStore(STORES.applications, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Copy an application as a new draft (without its exported file)
+ * @returns {Promise<Object>} The new record
+ */
+export async function duplicateApplication(id) {
+  const source = await getApplication(id);
+  if (!source) {
+    throw new Error(`Application history: no application with id ${id}`);
+  }
+  const { id: sourceId, createdAt, updatedAt, ...fields } = source;
+  return saveApplication({ ...fields, status: 'drafted', exportFile: null });
+}
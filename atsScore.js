@@ -0,0 +1,214 @@
+/**
+ * ATS Score Module
+ * Pulls required and preferred skills out of a job description and scores how well a
+ * resume covers them, the way applicant tracking systems match keywords
+ */
+
+/**
+ * Extract key requirements and skills from job description
+ * @param {string} jobDescription - The full job description text
+ * @returns {Object} Contains requirements, skills, and qualifications
+ */
+export function extractJobRequirements(jobDescription) {
+  const requirements = [];
+  const skills = [];
+  
+  // Extract "Required" section
+  const requiredMatch = jobDescription.match(/(?:required|must have|required skills|key qualifications)[\s\n:]*([\s\S]*?)(?:\n\n|$|preferred|nice to have|additional)/i);
+  if (requiredMatch) {
+    const requiredSection = requiredMatch[1];
+    const bulletPoints = requiredSection.match(/[-•*]\s*(.+?)(?=\n[-•*]|\n\n|$)/gi) || [];
+    bulletPoints.forEach(point => {
+      const cleaned = point.replace(/^[-•*]\s*/, '').trim();
+      if (cleaned) requirements.push(cleaned);
+    });
+  }
+  
+  // Extract skill keywords (common tech terms, programming languages, tools)
+  const skillPatterns = [
+    /(?:experience with|proficiency in|knowledge of|familiar with|expertise in)\s+(.+?)(?:\.|,|;|\n)/gi,
+    /(?:skills?|technologies?|tools?|frameworks?|languages?)[:\s]+([^.]+)/gi
+  ];
+  
+  skillPatterns.forEach(pattern => {
+    const matches = jobDescription.matchAll(pattern);
+    for (const match of matches) {
+      const skillText = match[1];
+      const skillList = skillText.split(/[,;]/).map(s => s.trim()).filter(s => s);
+      skills.push(...skillList);
+    }
+  });
+  
+  // Extract preferred skills/qualifications
+  const preferredMatch = jobDescription.match(/(?:preferred|nice to have|additional qualifications)[\s\n:]*([\s\S]*?)(?:\n\n|$)/i);
+  const preferred = [];
+  if (preferredMatch) {
+    const preferredSection = preferredMatch[1];
+    const bulletPoints = preferredSection.match(/[-•*]\s*(.+?)(?=\n[-•*]|\n\n|$)/gi) || [];
+    bulletPoints.forEach(point => {
+      const cleaned = point.replace(/^[-•*]\s*/, '').trim();
+      if (cleaned) preferred.push(cleaned);
+    });
+  }
+  
+  return {
+    requirements: [...new Set(requirements)].slice(0, 8),
+    skills: [...new Set(skills)].slice(0, 10),
+    preferred: [...new Set(preferred)].slice(0, 5),
+    fullDescription: jobDescription
+  };
+}
+
+/**
+ * Most frequent non-stopword terms in a text
+ * @param {string} text - Source text
+ * @param {number} limit - Maximum number of keywords
+ * @returns {string[]} Lowercase keywords, most frequent first
+ */
+export function extractKeywords(text, limit = 14) {
+  const stopwords = new Set([
+    'the', 'and', 'with', 'for', 'that', 'this', 'from', 'are', 'you', 'your', 'will', 'our',
+    'into', 'about', 'able', 'have', 'has', 'had', 'job', 'role', 'team', 'work', 'can', 'use',
+    'using', 'who', 'what', 'when', 'where', 'why', 'how', 'per', 'via', 'all', 'any', 'not',
+    'but', 'out', 'in', 'on', 'of', 'to', 'a', 'an', 'or', 'as', 'be', 'by', 'is', 'at'
+  ]);
+
+  const words = (text || '').toLowerCase().match(/[a-z][a-z0-9+.#-]{2,}/g) || [];
+  const counts = {};
+  words.forEach((word) => {
+    if (stopwords.has(word)) {
+      return;
+    }
+    counts[word] = (counts[word] || 0) + 1;
+  });
+
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([word]) => word);
+}
+
+// Common spellings of the same skill; either side counts as an exact match
+const ALIASES = [
+  ['javascript', 'js'],
+  ['typescript', 'ts'],
+  ['kubernetes', 'k8s'],
+  ['postgresql', 'postgres'],
+  ['node.js', 'nodejs', 'node'],
+  ['react', 'react.js', 'reactjs'],
+  ['amazon web services', 'aws'],
+  ['google cloud', 'gcp'],
+  ['continuous integration', 'ci/cd', 'ci'],
+  ['machine learning', 'ml'],
+  ['user experience', 'ux']
+];
+
+// Phrases that are job-ad wording rather than skills
+const FILLER_TERMS = /^(experience|years?|skills?|ability|strong|solid|excellent|proven|knowledge|understanding|proficiency|familiarity|familiar|practices?|working|including|etc|plus|degree|equivalent|related|field|background|environment|requirements?|preferred|required|candidate|responsibilities|opportunity)$/;
+
+/**
+ * Terms an ATS would look for, split into required and preferred
+ * @param {Object} job - Job details (description, additional)
+ * @returns {Object} { required: string[], preferred: string[] } lowercase terms
+ */
+export function buildJobTerms(job) {
+  const description = job.description || '';
+  const jobRequirements = extractJobRequirements(description);
+
+  const preferredText = jobRequirements.preferred.join('\n').toLowerCase();
+  const skillTerms = uniqueTerms(jobRequirements.skills.flatMap(skill => skill.split(/\s+(?:and|or)\s+/i)))
+    .filter(term => term.split(' ').length <= 3);
+
+  // Skills named only in the preferred bullets are preferred, not required
+  const isPreferredOnly = term => preferredText.includes(term) &&
+    !jobRequirements.requirements.some(requirement => requirement.toLowerCase().includes(term));
+
+  const requiredSource = jobRequirements.requirements.length
+    ? jobRequirements.requirements.join('\n')
+    : `${description} ${job.additional || ''}`;
+  const required = uniqueTerms([
+    ...skillTerms.filter(term => !isPreferredOnly(term)),
+    ...extractKeywords(requiredSource, 12)
+  ]).slice(0, 20);
+
+  const preferred = uniqueTerms([
+    ...skillTerms.filter(isPreferredOnly),
+    ...extractKeywords(preferredText, 8)
+  ]).filter(term => !required.includes(term)).slice(0, 10);
+
+  return { required, preferred };
+}
+
+/**
+ * Score a resume against job terms
+ * @param {string} text - Resume text
+ * @param {Object} terms - Output of buildJobTerms
+ * @returns {Object} { score (0-100), required, preferred } where each term is
+ *   { term, status: 'matched' | 'implied' | 'missing' }
+ */
+export function scoreResume(text, terms) {
+  const resume = indexResume(text);
+  const required = terms.required.map(term => ({ term, status: matchTerm(term, resume) }));
+  const preferred = terms.preferred.map(term => ({ term, status: matchTerm(term, resume) }));
+
+  // Required terms weigh twice as much; implied matches count half
+  const credit = { matched: 1, implied: 0.5, missing: 0 };
+  const earned = required.reduce((sum, item) => sum + 2 * credit[item.status], 0) +
+    preferred.reduce((sum, item) => sum + credit[item.status], 0);
+  const possible = 2 * required.length + preferred.length;
+
+  return {
+    score: possible ? Math.round((100 * earned) / possible) : 0,
+    required,
+    preferred
+  };
+}
+
+function cleanTerm(term) {
+  return term
+    .toLowerCase()
+    .replace(/\(.*?\)|e\.g\.|i\.e\.|etc\.?/g, ' ')
+    .replace(/^(?:a|an|the|such as|including|like)\s+/, '')
+    .replace(/[^a-z0-9+.#/ -]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.-]+|[\s.-]+$/g, '');
+}
+
+function uniqueTerms(terms) {
+  return [...new Set(terms.map(cleanTerm))].filter(term => term.length > 1 && !FILLER_TERMS.test(term));
+}
+
+/**
+ * Lowercase text plus its word stems, for matching terms
+ */
+function indexResume(text) {
+  const lower = (text || '').toLowerCase();
+  const words = lower.match(/[a-z0-9][a-z0-9+.#-]*/g) || [];
+  return {
+    text: lower,
+    stems: new Set(words.map(word => stem(word.replace(/[.-]+$/, ''))))
+  };
+}
+
+function matchTerm(term, resume) {
+  const variants = ALIASES.find(group => group.includes(term)) || [term];
+  if (variants.some(variant => containsPhrase(resume.text, variant))) {
+    return 'matched';
+  }
+
+  // Implied: every word appears in some form ("tested" for "testing", "APIs" for "api design")
+  const words = term.split(/[\s/-]+/).filter(Boolean);
+  if (words.length && words.every(word => resume.stems.has(stem(word)))) {
+    return 'implied';
+  }
+  return 'missing';
+}
+
+function containsPhrase(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9+#])${escaped}(?![a-z0-9+#])`).test(text);
+}
+
+function stem(word) {
+  return word.replace(/(?:ing|ed|es|s|er|ment|ion|ions)$/, '') || word;
+}
@@ -1,5 +1,5 @@
 // Import scraper service
-import { scrapeUrl } from './scraper/scraperService.js';
+import { scrapeUrl, scrapeOpenTab } from './scraper/scraperService.js';
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || !message.type) {
@@ -17,4 +17,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       .catch((error) => sendResponse({ ok: false, error: error.message }));
     return true;
   }
+
+  // The workspace overlay's own tab is checked first
+  if (message.type === 'SCRAPE_TAB') {
+    scrapeOpenTab(message.url, sender.tab)
+      .then((data) => sendResponse({ ok: true, data }))
+      .catch((error) => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
 });
@@ -0,0 +1,57 @@
+/**
+ * Batch Queue Module
+ * URL list handling and a concurrency-limited runner for tailoring several job postings
+ * in one go. The per-job work (scrape, parse, tailor, save) lives in app.js.
+ */
+
+// Hosts and paths of job postings, used to pick job tabs out of the open tabs
+const JOB_URL_PATTERNS = [
+  /linkedin\.com\/jobs\//i,
+  /indeed\.[a-z.]+\/(?:viewjob|rc\/clk|jobs|m\/basecamp\/viewjob)/i,
+  /glassdoor\.[a-z.]+\/(?:job-listing|Job)\//i,
+  /(?:boards|job-boards)\.greenhouse\.io\//i,
+  /jobs\.lever\.co\//i,
+  /\.myworkdayjobs\.com\//i,
+  /jobs\.ashbyhq\.com\//i,
+  /(?:jobs|careers)\.smartrecruiters\.com\//i,
+  /\/(?:jobs?|careers?|positions?|openings?|vacanc(?:y|ies))(?:\/|\?|#|$)/i
+];
+
+/**
+ * Unique http(s) URLs from pasted text (one per line, or separated by spaces or commas)
+ * @param {string} text - Pasted URL list
+ * @returns {Array<string>} URLs in the order given
+ */
+export function parseUrlList(text) {
+  const urls = (text.match(/https?:\/\/[^\s,<>"']+/gi) || [])
+    .map(url => url.replace(/[).;]+$/, ''));
+  return [...new Set(urls)];
+}
+
+/**
+ * Whether a URL looks like a job posting
+ */
+export function isLikelyJobUrl(url) {
+  return /^https?:\/\//i.test(url) && JOB_URL_PATTERNS.some(pattern => pattern.test(url));
+}
+
+/**
+ * Run a worker for each item with at most `limit` running at once. Items are started in
+ * order; once the signal is aborted no new item is started.
+ * @param {Array} items - Work items
+ * @param {number} limit - Maximum number of items in progress
+ * @param {Function} worker - async (item, index) => void; should handle its own errors
+ * @param {AbortSignal} [signal] - Stops starting new items
+ * @returns {Promise<void>} Resolves when every started item has finished
+ */
+export async function runWithConcurrency(items, limit, worker, signal) {
+  let next = 0;
+  const runNext = async () => {
+    while (next < items.length && !(signal && signal.aborted)) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext);
+  await Promise.all(runners);
+}
@@ -0,0 +1,179 @@
+/**
+ * Chunked Tailoring Module
+ * Splits a resume into section and entry sized chunks, tailors them one at a time with
+ * independent retries, and reassembles the result in the original order
+ */
+
+const DEFAULT_MAX_CHARS = 1500;
+
+/**
+ * Split resume text into chunks along section, entry and bullet boundaries
+ * @param {string} text - Resume text
+ * @param {Array} sections - Output of detectSections for text
+ * @param {number} maxChars - Chunks longer than this are split between lines
+ * @returns {Array} Chunks covering every line in order: { index, startLine, endLine, text,
+ *   label, tailor }. Headings and the contact header have tailor: false and are kept as written.
+ */
+export function splitResumeIntoChunks(text, sections, maxChars = DEFAULT_MAX_CHARS) {
+  const lines = text.split('\n');
+  const chunks = [];
+  const push = (start, end, label, tailor) => {
+    if (end < start) return;
+    const chunkLines = lines.slice(start - 1, end);
+    chunks.push({
+      index: chunks.length,
+      startLine: start,
+      endLine: end,
+      text: chunkLines.join('\n'),
+      label,
+      tailor: tailor && chunkLines.some(line => line.trim())
+    });
+  };
+
+  // A resume without headings is tailored as one body
+  const bodyOnly = sections.length === 1 && sections[0].kind === 'header';
+  push(1, (sections.length ? sections[0].startLine : lines.length + 1) - 1, 'Header', false);
+
+  sections.forEach((section, index) => {
+    const end = index + 1 < sections.length ? sections[index + 1].startLine - 1 : lines.length;
+    if (section.kind === 'header' && !bodyOnly) {
+      push(section.startLine, end, section.title, false);
+      return;
+    }
+
+    const bodyStart = bodyOnly ? section.startLine : section.startLine + 1;
+    if (!bodyOnly) {
+      push(section.startLine, section.startLine, section.title, false);
+    }
+
+    // Experience entries are tailored separately; text before the first entry is its own piece
+    const starts = [bodyStart, ...section.entries.map(entry => entry.startLine).filter(line => line > bodyStart)];
+    starts.forEach((start, startIndex) => {
+      const pieceEnd = startIndex + 1 < starts.length ? starts[startIndex + 1] - 1 : end;
+      const entry = section.entries.find(item => item.startLine === start);
+      const label = entry ? `${section.title} › ${entry.title}` : section.title;
+      splitBySize(lines, start, pieceEnd, maxChars).forEach(([from, to], part, parts) => {
+        push(from, to, parts.length > 1 ? `${label} (part ${part + 1})` : label, true);
+      });
+    });
+  });
+
+  return chunks;
+}
+
+/**
+ * Tailor chunks one by one and reassemble them
+ * @param {Array} chunks - Output of splitResumeIntoChunks
+ * @param {Object} options
+ * @param {Function} options.tailorChunk - (chunk, onToken) => Promise<string>, rewrites chunk.text
+ * @param {Function} [options.onProgress] - Called with { chunk, position, total, text } when a
+ *   chunk starts and as its text streams in; text is the resume assembled so far
+ * @param {AbortSignal} [options.signal] - Stops between attempts
+ * @param {number} [options.retries] - Extra attempts per chunk
+ * @returns {Promise<Object>} { text, failed } where failed lists the chunks kept as written
+ */
+export async function tailorInChunks(chunks, { tailorChunk, onProgress = () => {}, signal, retries = 2 }) {
+  const results = [];
+  const failed = [];
+  const targets = chunks.filter(chunk => chunk.tailor);
+  let position = 0;
+
+  for (const chunk of chunks) {
+    if (!chunk.tailor) {
+      results.push(chunk.text);
+      continue;
+    }
+
+    position += 1;
+    const report = partial => onProgress({
+      chunk,
+      position,
+      total: targets.length,
+      text: [...results, partial].join('\n')
+    });
+    report('');
+
+    // Surrounding blank lines are kept as written; only the content is sent
+    const [, leading, content, trailing] = chunk.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    try {
+      const tailored = await withRetries(async () => {
+        const response = cleanChunkResponse(await tailorChunk({ ...chunk, text: content }, (delta, text) => report(leading + text)));
+        if (!response || response.length > content.length * 3 + 200) {
+          throw new Error(`Unusable response for ${chunk.label}`);
+        }
+        return response;
+      }, { retries, signal });
+      results.push(leading + tailored + trailing);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn(`Chunk "${chunk.label}" kept as written:`, error);
+      failed.push(chunk);
+      results.push(chunk.text);
+    }
+  }
+
+  return { text: results.join('\n'), failed };
+}
+
+/**
+ * Line ranges within [start, end] of at most maxChars each, cut before bullets where possible
+ */
+function splitBySize(lines, start, end, maxChars) {
+  const ranges = [];
+  let from = start;
+  let size = 0;
+
+  for (let line = start; line <= end; line++) {
+    const length = lines[line - 1].length + 1;
+    if (size > 0 && size + length > maxChars) {
+      ranges.push([from, line - 1]);
+      from = line;
+      size = 0;
+    }
+    size += length;
+  }
+  if (from <= end) ranges.push([from, end]);
+  return ranges;
+}
+
+/**
+ * Strip code fences and the text markers used in chunk prompts from a response
+ */
+function cleanChunkResponse(text) {
+  return (text || '')
+    .replace(/^\s*```[a-z]*\n?/i, '')
+    .replace(/\n?```\s*$/, '')
+    .replace(/^\s*<<<\s*\n?/, '')
+    .replace(/\n?\s*>>>\s*$/, '')
+    .trim();
+}
+
+async function withRetries(run, { retries, signal }) {
+  for (let attempt = 0; ; attempt++) {
+    if (signal && signal.aborted) {
+      throw new DOMException('Tailoring cancelled', 'AbortError');
+    }
+    try {
+      return await run(attempt);
+    } catch (error) {
+      if (error.name === 'AbortError' || attempt >= retries) throw error;
+      await wait(1000 * 2 ** attempt, signal);
+    }
+  }
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Tailoring cancelled', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
@@ -1,8 +1,8 @@
 /**
  * Content Script - Handles message passing and overlay UI
  * 
- * DOM extraction functions are now imported from scraper/domExtractor.js
- * which is loaded before this script in the manifest.
+ * DOM extraction functions come from scraper/domExtractor.js and the site adapters in
+ * scraper/siteAdapters.js, which are loaded before this script in the manifest.
  */
 
 let overlayIframe = null;
@@ -34,7 +34,8 @@ function toggleOverlay() {
 
   // Create iframe for the app
   const iframe = document.createElement('iframe');
-  iframe.src = chrome.runtime.getURL('app.html');
+  // The page URL keys the workspace's autosaved session
+  iframe.src = `${chrome.runtime.getURL('app.html')}?page=${encodeURIComponent(window.location.href)}`;
   iframe.style.cssText = `
     width: 90%;
     max-width: 1100px;
@@ -0,0 +1,147 @@
+/**
+ * Cover Letter Module
+ * Candidate header from the resume text, plain-text letter assembly and a DOCX built
+ * from a simple letter template (header, date, body paragraphs)
+ */
+
+/**
+ * Tone options offered in the workspace, as described to the model
+ */
+export const COVER_LETTER_TONES = {
+  professional: 'professional and polished',
+  warm: 'warm and personable',
+  enthusiastic: 'enthusiastic and energetic',
+  direct: 'direct and concise'
+};
+
+/**
+ * Length targets in words
+ */
+export const COVER_LETTER_LENGTHS = {
+  short: 200,
+  standard: 300,
+  long: 400
+};
+
+/**
+ * Candidate name and contact lines from the top of a resume: the first block of lines
+ * before a blank line, where the first line is the name
+ * @param {string} resumeText - Resume text
+ * @returns {Object} { name, contact: [line] }
+ */
+export function extractCandidateHeader(resumeText) {
+  const lines = resumeText.split('\n').map(line => line.trim());
+  const first = lines.findIndex(Boolean);
+  if (first === -1) {
+    return { name: '', contact: [] };
+  }
+
+  const block = [];
+  for (let index = first; index < lines.length && lines[index] && block.length < 5; index++) {
+    block.push(lines[index]);
+  }
+
+  return {
+    name: block[0].length <= 60 ? block[0] : '',
+    contact: block.slice(1).filter(line => line.length <= 100)
+  };
+}
+
+/**
+ * Date line for the letter, e.g. "March 4, 2026"
+ */
+export function formatLetterDate(date = new Date()) {
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Full letter as plain text: header, date and body
+ * @param {string} body - Letter body, greeting to sign-off
+ * @param {Object} header - Output of extractCandidateHeader
+ * @param {string} date - Date line
+ * @returns {string} Letter text
+ */
+export function buildCoverLetterText(body, header, date) {
+  const top = [header.name, ...header.contact].filter(Boolean).join('\n');
+  return [top, date, body.trim()].filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Build a DOCX cover letter: name and contact line at the top, the date, then the body.
+ * Paragraphs are split on blank lines; single line breaks are kept inside a paragraph.
+ * @param {string} body - Letter body, greeting to sign-off
+ * @param {Object} header - Output of extractCandidateHeader
+ * @param {string} date - Date line
+ * @returns {Promise<Blob>} DOCX file
+ */
+export async function buildCoverLetterDocx(body, header, date) {
+  if (typeof window.JSZip === 'undefined') {
+    throw new Error('JSZip library not loaded');
+  }
+
+  const paragraphs = [];
+  if (header.name) {
+    paragraphs.push(paragraph([header.name], { bold: true, size: 32, after: 40 }));
+  }
+  if (header.contact.length) {
+    paragraphs.push(paragraph([header.contact.join(' | ')], { size: 20, color: '595959', after: 360 }));
+  }
+  paragraphs.push(paragraph([date], { after: 240 }));
+  body.trim().split(/\n\s*\n/).forEach((text) => {
+    paragraphs.push(paragraph(text.split('\n').map(line => line.trim()), {}));
+  });
+
+  const zip = new window.JSZip();
+  zip.file('[Content_Types].xml', CONTENT_TYPES);
+  zip.file('_rels/.rels', PACKAGE_RELS);
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELS);
+  zip.file('word/styles.xml', STYLES);
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORD_NS}"><w:body>${paragraphs.join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`);
+
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  });
+}
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>`;
+
+const PACKAGE_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`;
+
+// Calibri 11pt with space after each paragraph
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORD_NS}"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="200" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style></w:styles>`;
+
+/**
+ * A paragraph of one or more lines (joined with line breaks) in a single run format
+ */
+function paragraph(lines, { bold = false, size, color, after }) {
+  const runProperties = [
+    bold ? '<w:b/>' : '',
+    color ? `<w:color w:val="${color}"/>` : '',
+    size ? `<w:sz w:val="${size}"/><w:szCs w:val="${size}"/>` : ''
+  ].join('');
+  const paragraphProperties = after !== undefined ? `<w:pPr><w:spacing w:after="${after}"/></w:pPr>` : '';
+  const content = lines
+    .map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+    .join('<w:br/>');
+  return `<w:p>${paragraphProperties}<w:r>${runProperties ? `<w:rPr>${runProperties}</w:rPr>` : ''}${content}</w:r></w:p>`;
+}
+
+function escapeXml(text) {
+  return text
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,58 @@
+/**
+ * Database Module
+ * The extension's IndexedDB database: saved applications (applicationHistory.js), master
+ * resumes and the experience bank (resumeLibrary.js)
+ */
+
+const DB_NAME = 'tailor-resume';
+const DB_VERSION = 2;
+
+export const STORES = {
+  applications: 'applications',
+  resumes: 'resumes',
+  experience: 'experience'
+};
+
+let dbPromise = null;
+
+/**
+ * Run one request against a store and resolve with its result once the transaction
+ * completes
+ * @param {string} storeName - One of STORES
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+export async function withStore(storeName, mode, run) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = run(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(new Error(`Database: ${transaction.error && transaction.error.message}`));
+    transaction.onabort = () => reject(new Error(`Database: ${transaction.error ? transaction.error.message : 'transaction aborted'}`));
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        // Version 1 had only the applications store
+        Object.values(STORES).forEach((name) => {
+          if (!request.result.objectStoreNames.contains(name)) {
+            request.result.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Database: cannot open database (${request.error && request.error.message})`));
+    });
+    // Let a later call retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
@@ -0,0 +1,174 @@
+/**
+ * Diff Viewer Module
+ * Builds review hunks for diff groups (changed lines plus surrounding context) and renders
+ * them as unified or split views with word-level highlights
+ */
+
+/**
+ * Build the hunk for one diff group
+ * @param {string} originalText - Text the diffs were computed against
+ * @param {Object} group - Diff group with start/end offsets in originalText and insert text
+ * @param {number} contextSize - Unchanged lines to show before and after the change
+ * @returns {Object} { firstLine, contextBefore, contextAfter, words } where words is a
+ *   word-level diff of the changed lines (old side: equal + delete, new side: equal + insert)
+ */
+export function buildHunk(originalText, group, contextSize = 2) {
+  const insertText = group.editedText ?? group.insertText;
+  const lineStart = originalText.lastIndexOf('\n', group.start - 1) + 1;
+
+  // Changes that replace whole lines (both sides ending in a newline) stop at that line,
+  // otherwise the rest of the line is part of the hunk
+  const endsLine = Boolean(group.deleteText || insertText) &&
+    (group.deleteText ? group.deleteText.endsWith('\n') : lineStart === group.start) &&
+    (!insertText || insertText.endsWith('\n'));
+  let lineEnd = endsLine ? group.end : originalText.indexOf('\n', group.end);
+  if (lineEnd === -1) lineEnd = originalText.length;
+
+  const prefix = originalText.slice(lineStart, group.start);
+  const suffix = originalText.slice(group.end, lineEnd);
+  const stripNewline = text => (endsLine ? text.replace(/\n$/, '') : text);
+  const oldBlock = stripNewline(prefix + group.deleteText + suffix);
+  const newBlock = stripNewline(prefix + insertText + suffix);
+
+  const hasOld = oldBlock.length > 0 || group.deleteText.length > 0;
+  const firstLine = originalText.slice(0, lineStart).split('\n').length;
+  const lastLine = firstLine + (hasOld ? oldBlock.split('\n').length : 0) - 1;
+
+  const beforeLines = lineStart > 0 ? originalText.slice(0, lineStart - 1).split('\n') : [];
+  const afterText = endsLine ? originalText.slice(lineEnd) : originalText.slice(lineEnd + 1);
+  const afterLines = lineEnd < originalText.length ? afterText.split('\n') : [];
+
+  const contextBefore = beforeLines.slice(-contextSize).map((text, index, list) => ({
+    number: firstLine - list.length + index,
+    text
+  }));
+  const contextAfter = afterLines.slice(0, contextSize).map((text, index) => ({
+    number: lastLine + 1 + index,
+    text
+  }));
+
+  return {
+    firstLine,
+    contextBefore,
+    contextAfter,
+    words: diffWords(oldBlock, newBlock),
+    hasOld,
+    hasNew: newBlock.length > 0 || insertText.length > 0
+  };
+}
+
+/**
+ * Word-level diff: words, whitespace runs and punctuation are compared as whole tokens
+ * @returns {Array} diff-match-patch style [op, text] pairs
+ */
+export function diffWords(oldText, newText) {
+  if (typeof window.diff_match_patch === 'undefined') {
+    throw new Error('diff-match-patch library not loaded');
+  }
+
+  const tokens = [''];
+  const tokenIds = new Map();
+  const encode = text => (text.match(/[\p{L}\p{N}]+|\s+|[^\p{L}\p{N}\s]+/gu) || [])
+    .map((token) => {
+      if (!tokenIds.has(token)) {
+        tokenIds.set(token, tokens.length);
+        tokens.push(token);
+      }
+      return String.fromCharCode(tokenIds.get(token));
+    })
+    .join('');
+
+  const dmp = new window.diff_match_patch();
+  const diffs = dmp.diff_main(encode(oldText), encode(newText), false);
+  dmp.diff_cleanupSemantic(diffs);
+
+  return diffs.map(([op, chars]) => [
+    op,
+    chars.split('').map(char => tokens[char.charCodeAt(0)]).join('')
+  ]);
+}
+
+/**
+ * Render a hunk into a container
+ * @param {HTMLElement} container - Target element (emptied first)
+ * @param {Object} hunk - Output of buildHunk
+ * @param {string} view - 'unified' or 'split'
+ */
+export function renderHunk(container, hunk, view = 'unified') {
+  container.innerHTML = '';
+  container.className = `diff-body diff-hunk diff-hunk-${view}`;
+
+  const oldLines = hunk.hasOld ? splitSide(hunk.words, window.DIFF_DELETE) : [];
+  const newLines = hunk.hasNew ? splitSide(hunk.words, window.DIFF_INSERT) : [];
+  const numbered = lines => lines.map((parts, index) => ({ number: hunk.firstLine + index, parts }));
+  const context = line => ({ number: line.number, parts: [{ text: line.text, changed: false }] });
+
+  if (view === 'split') {
+    const left = document.createElement('div');
+    const right = document.createElement('div');
+    left.className = 'diff-side diff-side-old';
+    right.className = 'diff-side diff-side-new';
+
+    // Pad the shorter side so unchanged context lines up across both columns
+    const rows = Math.max(oldLines.length, newLines.length);
+    hunk.contextBefore.forEach((line) => {
+      left.appendChild(createLine('context', line.number, context(line).parts));
+      right.appendChild(createLine('context', line.number, context(line).parts));
+    });
+    numbered(oldLines).forEach(line => left.appendChild(createLine('delete', line.number, line.parts)));
+    newLines.forEach(parts => right.appendChild(createLine('insert', '+', parts)));
+    for (let i = oldLines.length; i < rows; i++) left.appendChild(createLine('filler', '', []));
+    for (let i = newLines.length; i < rows; i++) right.appendChild(createLine('filler', '', []));
+    hunk.contextAfter.forEach((line) => {
+      left.appendChild(createLine('context', line.number, context(line).parts));
+      right.appendChild(createLine('context', line.number, context(line).parts));
+    });
+
+    container.appendChild(left);
+    container.appendChild(right);
+    return;
+  }
+
+  hunk.contextBefore.forEach(line => container.appendChild(createLine('context', line.number, context(line).parts)));
+  numbered(oldLines).forEach(line => container.appendChild(createLine('delete', line.number, line.parts, '-')));
+  newLines.forEach(parts => container.appendChild(createLine('insert', '', parts, '+')));
+  hunk.contextAfter.forEach(line => container.appendChild(createLine('context', line.number, context(line).parts)));
+}
+
+/**
+ * One side of a word diff (equal text plus the given op), split into lines of parts
+ */
+function splitSide(words, op) {
+  const lines = [[]];
+  words.forEach(([segmentOp, text]) => {
+    if (segmentOp !== window.DIFF_EQUAL && segmentOp !== op) return;
+    text.split('\n').forEach((piece, index) => {
+      if (index > 0) lines.push([]);
+      if (piece) lines[lines.length - 1].push({ text: piece, changed: segmentOp === op });
+    });
+  });
+  return lines;
+}
+
+function createLine(kind, number, parts, sign = '') {
+  const line = document.createElement('div');
+  line.className = `diff-line diff-line-${kind}`;
+
+  const gutter = document.createElement('span');
+  gutter.className = 'diff-gutter';
+  gutter.textContent = `${number}${sign ? ` ${sign}` : ''}`;
+  line.appendChild(gutter);
+
+  const code = document.createElement('span');
+  code.className = 'diff-code';
+  parts.forEach((part) => {
+    const span = document.createElement(part.changed ? 'mark' : 'span');
+    if (part.changed) span.className = `diff-word-${kind}`;
+    span.textContent = part.text;
+    code.appendChild(span);
+  });
+  if (!parts.length) code.textContent = ' ';
+  line.appendChild(code);
+
+  return line;
+}
@@ -0,0 +1,187 @@
+/**
+ * DOCX Preview Module
+ * Renders the tailored document as HTML straight from mapTextToRuns output: paragraph
+ * styles, list markers, tables and run fonts, with inserted and deleted text highlighted
+ */
+
+import { runPropertiesToCss } from './pdfExporter.js';
+
+const ALIGNMENTS = { center: 'center', right: 'right', end: 'right', both: 'justify', distribute: 'justify' };
+
+/**
+ * Render a preview of the document
+ * @param {HTMLElement} container - Target element (emptied first)
+ * @param {Object} structure - Output of parseDocxStructure (paragraph styles, lists, cells)
+ * @param {Array} runs - Output of mapTextToRuns (with includeDeleted for deleted text)
+ * @param {Object} [options] - { showChanges: highlight inserted text and show deleted text }
+ */
+export function renderDocxPreview(container, structure, runs, { showChanges = true } = {}) {
+  container.innerHTML = '';
+
+  const listCounters = new Map();
+  let table = null;
+
+  groupParagraphs(runs).forEach((group) => {
+    const paragraph = structure.paragraphs[group.paragraphIndex] || {};
+    const element = renderParagraph(paragraph, group, listCounters, showChanges);
+
+    if (paragraph.cell) {
+      const key = `${paragraph.part}#${paragraph.cell.table}`;
+      if (!table || table.key !== key) {
+        table = { key, element: document.createElement('table') };
+        table.element.className = 'docx-table';
+        container.appendChild(table.element);
+      }
+      getCell(table.element, paragraph.cell.row, paragraph.cell.column).appendChild(element);
+      return;
+    }
+
+    table = null;
+    container.appendChild(element);
+  });
+}
+
+/**
+ * Consecutive runs with the same paragraphId form one output paragraph
+ */
+function groupParagraphs(runs) {
+  const groups = [];
+  runs.forEach((run) => {
+    const key = run.paragraphId ?? run.paragraphIndex;
+    const current = groups[groups.length - 1];
+    if (current && current.key === key) {
+      current.runs.push(run);
+    } else {
+      groups.push({
+        key,
+        paragraphIndex: run.paragraphIndex,
+        inserted: Boolean(run.insertedParagraph),
+        runs: [run]
+      });
+    }
+  });
+  return groups;
+}
+
+function renderParagraph(paragraph, group, listCounters, showChanges) {
+  const visibleRuns = group.runs.filter(run => showChanges || run.change !== 'delete');
+  const onlyDeleted = visibleRuns.length > 0 && visibleRuns.every(run => run.change === 'delete' || !run.text);
+
+  const element = document.createElement('p');
+  const classes = ['docx-paragraph', `docx-region-${paragraph.region || 'body'}`];
+  const heading = headingLevel(paragraph.style);
+  if (heading) classes.push('docx-heading', `docx-heading-${heading}`);
+  if (showChanges && group.inserted) classes.push('docx-paragraph-inserted');
+  if (showChanges && onlyDeleted && visibleRuns.some(run => run.text)) classes.push('docx-paragraph-deleted');
+  element.className = classes.join(' ');
+
+  if (ALIGNMENTS[paragraph.alignment]) {
+    element.style.textAlign = ALIGNMENTS[paragraph.alignment];
+  }
+
+  const marker = listMarker(paragraph, listCounters);
+  if (marker !== null) {
+    const level = paragraph.numbering ? paragraph.numbering.level : 0;
+    element.classList.add('docx-list-item');
+    element.style.paddingLeft = `${18 * (level + 1)}px`;
+    const markerSpan = document.createElement('span');
+    markerSpan.className = 'docx-list-marker';
+    markerSpan.textContent = marker;
+    element.appendChild(markerSpan);
+  }
+
+  visibleRuns.forEach((run) => {
+    if (!run.text) return;
+    const span = document.createElement(run.hyperlink ? 'a' : 'span');
+    const css = runPropertiesToCss(run.properties);
+    if (css) span.style.cssText = css;
+    if (run.hyperlink) span.className = 'docx-link';
+    if (showChanges && run.change) span.classList.add(`docx-${run.change}`);
+
+    run.text.split('\n').forEach((line, lineIdx) => {
+      if (lineIdx > 0) span.appendChild(document.createElement('br'));
+      if (line) span.appendChild(document.createTextNode(line));
+    });
+    element.appendChild(span);
+  });
+
+  if (!element.textContent) {
+    // Keep blank lines so spacing between sections survives
+    element.appendChild(document.createTextNode(' '));
+  }
+  return element;
+}
+
+/**
+ * Heading level from the paragraph style (Title counts as level 1), or 0
+ */
+function headingLevel(style = '') {
+  if (/^title$/i.test(style)) return 1;
+  const match = style.match(/^heading\s*(\d)$/i);
+  return match ? Math.min(parseInt(match[1], 10), 4) : 0;
+}
+
+/**
+ * Marker text for list paragraphs ('•', '3.', 'b)', ...), or null when the paragraph is not in a list
+ */
+function listMarker(paragraph, listCounters) {
+  const numbering = paragraph.numbering;
+  if (!numbering) {
+    return /list ?bullet/i.test(paragraph.style || '') ? '•' : null;
+  }
+
+  if (numbering.format === 'bullet' || numbering.format === 'none') {
+    return numbering.format === 'none' ? '' : numbering.marker || '•';
+  }
+
+  // Count items per list and level; a shallower item restarts the deeper levels
+  const counters = listCounters.get(numbering.numId) || [];
+  counters[numbering.level] = (counters[numbering.level] || 0) + 1;
+  counters.length = numbering.level + 1;
+  listCounters.set(numbering.numId, counters);
+
+  const template = numbering.marker || `%${numbering.level + 1}.`;
+  return template.replace(/%(\d)/g, (_, level) => formatNumber(counters[level - 1] || 1, numbering.format));
+}
+
+function formatNumber(value, format) {
+  switch (format) {
+    case 'lowerLetter':
+      return String.fromCharCode(96 + ((value - 1) % 26) + 1);
+    case 'upperLetter':
+      return String.fromCharCode(64 + ((value - 1) % 26) + 1);
+    case 'lowerRoman':
+      return toRoman(value).toLowerCase();
+    case 'upperRoman':
+      return toRoman(value);
+    default:
+      return String(value);
+  }
+}
+
+function toRoman(value) {
+  const numerals = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let remaining = value;
+  let result = '';
+  numerals.forEach(([amount, numeral]) => {
+    while (remaining >= amount) {
+      result += numeral;
+      remaining -= amount;
+    }
+  });
+  return result;
+}
+
+/**
+ * Table cell for a row/column, adding rows and cells as needed
+ */
+function getCell(tableElement, rowIndex, columnIndex) {
+  while (tableElement.rows.length <= rowIndex) {
+    tableElement.insertRow();
+  }
+  const row = tableElement.rows[rowIndex];
+  while (row.cells.length <= columnIndex) {
+    row.insertCell().className = 'docx-cell';
+  }
+  return row.cells[columnIndex];
+}
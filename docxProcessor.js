@@ -1,191 +1,113 @@
 /**
  * DOCX Processor Module
  * Handles parsing, modifying, and rebuilding DOCX files while preserving formatting
+ *
+ * The document model is structure-aware: paragraphs are collected from the body,
+ * table cells, text boxes (w:txbxContent), headers, footers, footnotes and endnotes.
+ * Every paragraph gets a global index in reading order, and every text run records
+ * the paragraph it belongs to, so edits are written back in place in the right part.
+ *
+ * Inside a run, content is split into segments: editable text (w:t) and inline tokens
+ * (w:tab, w:br, w:sym, field characters/instructions, drawings, ...). Tokens keep their
+ * original XML node and pass through mapTextToRuns untouched. Runs inside w:hyperlink
+ * and w:fldSimple are edited in place, so the wrapper and its relationship survive.
  */
 
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const MC_NS = 'http://schemas.openxmlformats.org/markup-compatibility/2006';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Symbol/Wingdings private-use code points that Word uses for bullets and arrows
+const SYMBOL_CHARS = {
+  F0A7: '▪',
+  F0B7: '•',
+  F0D8: '➢',
+  F0E0: '→',
+  F0FC: '✓'
+};
+
 /**
  * Parse DOCX structure to extract text runs with formatting metadata
- * @param {File} file - The DOCX file
- * @returns {Promise<Object>} Structure containing buffer, runs, plainText, and documentXml
+ * @param {File|Blob} file - The DOCX file
+ * @returns {Promise<Object>} Structure containing buffer, paragraphs, runs, plainText, and documentXml
  */
 export async function parseDocxStructure(file) {
   try {
     const buffer = await file.arrayBuffer();
-    
+
     // Load JSZip (should be available globally via script tag)
     if (typeof window.JSZip === 'undefined') {
       throw new Error('JSZip library not loaded. Please include jszip.min.js in HTML.');
     }
-    
+
     let zip;
     try {
       zip = await window.JSZip.loadAsync(buffer);
     } catch (zipError) {
       throw new Error(`Invalid DOCX file format: ${zipError.message}`);
     }
-    
-    const documentFile = zip.file('word/document.xml');
-    if (!documentFile) {
-      throw new Error('DOCX file is missing word/document.xml. File may be corrupted.');
-    }
-    
-    let documentXmlContent;
-    try {
-      documentXmlContent = await documentFile.async('string');
-    } catch (readError) {
-      throw new Error(`Failed to read document.xml: ${readError.message}`);
-    }
-    
-    // Parse XML (using DOMParser or fast-xml-parser)
-    let xmlDoc;
-    let parser;
-    
-    try {
-      if (typeof window.XMLParser !== 'undefined') {
-        // Use fast-xml-parser if available
-        parser = new window.XMLParser({
-          ignoreAttributes: false,
-          attributeNamePrefix: '@_',
-          textNodeName: '#text',
-          parseAttributeValue: true,
-          parseTrueNumberOnly: false,
-          arrayMode: false
-        });
-        xmlDoc = parser.parse(documentXmlContent);
-      } else {
-        // Fallback to DOMParser
-        const domParser = new DOMParser();
-        xmlDoc = domParser.parseFromString(documentXmlContent, 'text/xml');
-        
-        // Check for parsing errors
-        const parserError = xmlDoc.querySelector('parsererror');
-        if (parserError) {
-          throw new Error('XML parsing failed. Document may be corrupted.');
-        }
-      }
-    } catch (parseError) {
-      throw new Error(`Failed to parse XML: ${parseError.message}`);
-    }
-    
-    // Extract text runs with formatting
-    const runs = [];
-    let plainText = '';
-    let paragraphIndex = 0;
-    
-    // Handle both parsed XML (fast-xml-parser) and DOM (DOMParser)
-    let paragraphs;
-    if (xmlDoc.documentElement) {
-      // DOM structure
-      paragraphs = xmlDoc.getElementsByTagNameNS('http://schemas.openxmlformats.org/wordprocessingml/2006/main', 'p');
-    } else if (xmlDoc['w:document'] && xmlDoc['w:document']['w:body']) {
-      // fast-xml-parser structure
-      const body = xmlDoc['w:document']['w:body'];
-      paragraphs = Array.isArray(body['w:p']) ? body['w:p'] : [body['w:p']].filter(Boolean);
-    } else {
-      throw new Error('Unable to parse DOCX structure. Document may not be a valid Word document.');
-    }
-    
-    if (!paragraphs || paragraphs.length === 0) {
+
+    const model = await readDocxModel(zip);
+
+    if (model.paragraphs.length === 0) {
       throw new Error('No paragraphs found in document. Document may be empty or corrupted.');
     }
-    
-    // Process paragraphs
-    for (let pIdx = 0; pIdx < paragraphs.length; pIdx++) {
-      const paragraph = paragraphs[pIdx];
-      let runIndex = 0;
-      
-      // Get runs from paragraph
-      let runsInPara;
-      if (paragraph.getElementsByTagNameNS) {
-        // DOM structure
-        runsInPara = paragraph.getElementsByTagNameNS('http://schemas.openxmlformats.org/wordprocessingml/2006/main', 'r');
-      } else if (paragraph['w:r']) {
-        // fast-xml-parser structure
-        runsInPara = Array.isArray(paragraph['w:r']) ? paragraph['w:r'] : [paragraph['w:r']].filter(Boolean);
-      } else {
-        runsInPara = [];
-      }
-      
-      for (let rIdx = 0; rIdx < runsInPara.length; rIdx++) {
-        const run = runsInPara[rIdx];
-        
-        // Extract text
-        let text = '';
-        let textNodes;
-        
-        if (run.getElementsByTagNameNS) {
-          // DOM structure
-          textNodes = run.getElementsByTagNameNS('http://schemas.openxmlformats.org/wordprocessingml/2006/main', 't');
-          if (textNodes.length > 0) {
-            text = Array.from(textNodes).map(t => t.textContent || '').join('');
-          }
-        } else if (run['w:t']) {
-          // fast-xml-parser structure
-          const textNode = run['w:t'];
-          if (typeof textNode === 'string') {
-            text = textNode;
-          } else if (textNode['#text']) {
-            text = textNode['#text'];
-          } else if (Array.isArray(textNode)) {
-            text = textNode.map(t => (typeof t === 'string' ? t : t['#text'] || '')).join('');
-          }
-        }
-        
-        // Extract run properties (formatting)
-        let properties = {};
-        let originalRPr = null;
-        if (run.getElementsByTagNameNS) {
-          // DOM structure
-          const rPr = run.getElementsByTagNameNS('http://schemas.openxmlformats.org/wordprocessingml/2006/main', 'rPr')[0];
-          if (rPr) {
-            properties = extractPropertiesFromDOM(rPr);
-            // Clone the original rPr element for complete preservation
-            originalRPr = rPr.cloneNode(true);
-          }
-        } else if (run['w:rPr']) {
-          // fast-xml-parser structure
-          properties = extractPropertiesFromObject(run['w:rPr']);
-        }
-        
-        if (text || Object.keys(properties).length > 0) {
-          runs.push({
-            text: text || '',
-            properties: properties,
-            paragraphIndex: paragraphIndex,
-            runIndex: runIndex,
-            xmlNode: run, // Keep reference for rebuilding
-            originalRPr: originalRPr // Store cloned rPr for preservation
-          });
-          
-          plainText += text;
-          runIndex++;
-        }
-      }
-      
-      // Add paragraph break (except for last paragraph)
-      if (pIdx < paragraphs.length - 1) {
-        plainText += '\n';
-      }
-      paragraphIndex++;
-    }
-    
+
+    // Public run records (formatting metadata + where the run lives)
+    const runs = model.runs.map((run, index) => {
+      const rPr = getChild(run.element, 'rPr');
+      return {
+        text: run.text,
+        type: run.type,
+        properties: rPr ? extractPropertiesFromDOM(rPr) : {},
+        paragraphIndex: run.paragraphIndex,
+        runIndex: run.runIndex,
+        region: model.paragraphs[run.paragraphIndex].region,
+        part: model.paragraphs[run.paragraphIndex].part,
+        hyperlink: run.hyperlink,
+        sourceIndex: index,
+        xmlNode: run.element, // Keep reference for rebuilding
+        originalRPr: rPr ? rPr.cloneNode(true) : null // Store cloned rPr for preservation
+      };
+    });
+
+    const numberingFormats = await readNumberingFormats(zip);
+    const paragraphs = model.paragraphs.map(paragraph => ({
+      index: paragraph.index,
+      part: paragraph.part,
+      region: paragraph.region,
+      style: paragraph.style,
+      alignment: paragraph.alignment,
+      numbering: paragraph.numbering
+        ? { ...paragraph.numbering, ...resolveNumberingFormat(numberingFormats, paragraph.numbering) }
+        : null,
+      cell: paragraph.cell,
+      text: paragraph.text
+    }));
+
+    const plainText = paragraphs.map(paragraph => paragraph.text).join('\n');
+
     if (runs.length === 0 && plainText.trim().length === 0) {
-      throw new Error('No text content found in document. Document may be empty or contain only images/tables.');
+      throw new Error('No text content found in document. Document may be empty or contain only images.');
     }
-    
+
     return {
       buffer: buffer,
+      paragraphs: paragraphs,
       runs: runs,
       plainText: plainText.trim(),
-      documentXml: documentXmlContent
+      documentXml: model.parts.find(part => part.path === 'word/document.xml').xml
     };
   } catch (error) {
     console.error('Error parsing DOCX structure:', error);
     // Re-throw with more context if it's not already our custom error
-    if (error.message && error.message.startsWith('JSZip') || 
+    if (error.message && error.message.startsWith('JSZip') ||
         error.message && error.message.startsWith('Invalid') ||
         error.message && error.message.startsWith('Failed') ||
         error.message && error.message.startsWith('Unable') ||
+        error.message && error.message.startsWith('DOCX file') ||
+        error.message && error.message.startsWith('XML parsing') ||
         error.message && error.message.startsWith('No')) {
       throw error;
     }
@@ -193,165 +115,755 @@ export async function parseDocxStructure(file) {
   }
 }
 
+/**
+ * List the XML parts that carry editable text, in reading order:
+ * headers, main document, footnotes, endnotes, footers
+ */
+function listTextParts(zip) {
+  const byNumber = (a, b) => {
+    const num = name => parseInt((name.match(/(\d+)\.xml$/) || [])[1] || '0', 10);
+    return num(a.name) - num(b.name);
+  };
+  const headers = zip.file(/^word\/header\d*\.xml$/).sort(byNumber);
+  const footers = zip.file(/^word\/footer\d*\.xml$/).sort(byNumber);
+
+  return [
+    ...headers.map(file => ({ path: file.name, region: 'header' })),
+    { path: 'word/document.xml', region: 'body' },
+    { path: 'word/footnotes.xml', region: 'footnote' },
+    { path: 'word/endnotes.xml', region: 'endnote' },
+    ...footers.map(file => ({ path: file.name, region: 'footer' }))
+  ];
+}
+
+/**
+ * Read every text-bearing part and collect paragraphs and runs.
+ * Parsing and rebuilding both go through this function, so paragraph and run
+ * indices are stable between the two.
+ * @param {JSZip} zip - Loaded DOCX archive
+ * @returns {Promise<Object>} { parts, paragraphs, runs }
+ */
+async function readDocxModel(zip) {
+  if (!zip.file('word/document.xml')) {
+    throw new Error('DOCX file is missing word/document.xml. File may be corrupted.');
+  }
+
+  const parts = [];
+  const paragraphs = [];
+  const runs = [];
+
+  for (const { path, region } of listTextParts(zip)) {
+    const file = zip.file(path);
+    if (!file) continue;
+
+    let xml;
+    try {
+      xml = await file.async('string');
+    } catch (readError) {
+      throw new Error(`Failed to read ${path}: ${readError.message}`);
+    }
+
+    const xmlDoc = new DOMParser().parseFromString(xml, 'text/xml');
+    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error(`XML parsing failed for ${path}. Document may be corrupted.`);
+    }
+
+    const part = { path, region, xml, xmlDoc };
+    parts.push(part);
+    const relationships = await readRelationships(zip, path);
+
+    collectParagraphs(xmlDoc).forEach((element) => {
+      const paragraphIndex = paragraphs.length;
+      const paragraph = {
+        index: paragraphIndex,
+        part: path,
+        region: classifyRegion(element, region),
+        style: getParagraphStyle(element),
+        alignment: getParagraphProperty(element, 'jc'),
+        numbering: getParagraphNumbering(element),
+        cell: getCellLocation(element),
+        element,
+        text: ''
+      };
+
+      let runIndex = 0;
+      getOwnRuns(element).forEach((runElement) => {
+        const hyperlink = getHyperlink(runElement, element, relationships);
+        readRunSegments(runElement).forEach((segment) => {
+          runs.push({ ...segment, element: runElement, hyperlink, paragraphIndex, runIndex: runIndex++ });
+          paragraph.text += segment.text;
+        });
+      });
+
+      paragraphs.push(paragraph);
+    });
+  }
+
+  return { parts, paragraphs, runs };
+}
+
+/**
+ * Read a part's relationships (hyperlink targets) into a map of id -> target
+ */
+async function readRelationships(zip, partPath) {
+  const relsPath = partPath.replace(/^(.*\/)?([^/]+)$/, '$1_rels/$2.rels');
+  const file = zip.file(relsPath);
+  const relationships = new Map();
+  if (!file) return relationships;
+
+  const relsDoc = new DOMParser().parseFromString(await file.async('string'), 'text/xml');
+  Array.from(relsDoc.getElementsByTagName('Relationship')).forEach((relationship) => {
+    relationships.set(relationship.getAttribute('Id'), relationship.getAttribute('Target') || '');
+  });
+  return relationships;
+}
+
+/**
+ * Split a run into segments: consecutive w:t become one editable text segment,
+ * every other content element becomes an atomic token that keeps its XML node
+ */
+function readRunSegments(runElement) {
+  const segments = [];
+
+  Array.from(runElement.childNodes).forEach((node) => {
+    if (node.nodeType !== 1) return;
+    if (node.namespaceURI === W_NS && node.localName === 'rPr') return;
+
+    if (node.namespaceURI === W_NS && node.localName === 't') {
+      const last = segments[segments.length - 1];
+      if (last && last.type === 'text') {
+        last.text += node.textContent || '';
+      } else {
+        segments.push({ type: 'text', text: node.textContent || '', node: null });
+      }
+      return;
+    }
+
+    segments.push({ ...describeToken(node), node });
+  });
+
+  return segments;
+}
+
+/**
+ * Token type and the text it contributes to plainText
+ */
+function describeToken(node) {
+  if (node.namespaceURI !== W_NS) {
+    return { type: 'object', text: '' };
+  }
+
+  switch (node.localName) {
+    case 'tab':
+    case 'ptab':
+      return { type: 'tab', text: '\t' };
+    case 'br': {
+      // Page and column breaks do not show up as a line in the text
+      const breakType = getWordAttribute(node, 'type');
+      return { type: 'break', text: breakType && breakType !== 'textWrapping' ? '' : '\n' };
+    }
+    case 'cr':
+      return { type: 'break', text: '\n' };
+    case 'sym': {
+      const code = getWordAttribute(node, 'char').toUpperCase();
+      const text = SYMBOL_CHARS[code] || (code ? String.fromCharCode(parseInt(code, 16)) : '');
+      return { type: 'symbol', text };
+    }
+    case 'noBreakHyphen':
+      return { type: 'symbol', text: '\u2011' };
+    case 'fldChar':
+    case 'instrText':
+      // Field codes are structure, not visible text; the field result runs carry the text
+      return { type: 'field', text: '' };
+    default:
+      return { type: 'object', text: '' };
+  }
+}
+
+/**
+ * Hyperlink wrapping a run (if any), with its resolved relationship target
+ */
+function getHyperlink(runElement, paragraph, relationships) {
+  for (let node = runElement.parentNode; node && node !== paragraph; node = node.parentNode) {
+    if (node.namespaceURI === W_NS && node.localName === 'hyperlink') {
+      const id = node.getAttributeNS(R_NS, 'id') || node.getAttribute('r:id') || '';
+      return {
+        id,
+        anchor: getWordAttribute(node, 'anchor'),
+        target: id ? relationships.get(id) || '' : ''
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect the w:p elements of a part in document order, skipping the duplicate
+ * VML fallback copies of text boxes and the separator footnotes Word adds
+ */
+function collectParagraphs(xmlDoc) {
+  return Array.from(xmlDoc.getElementsByTagNameNS(W_NS, 'p')).filter((paragraph) => {
+    for (let node = paragraph.parentNode; node && node.nodeType === 1; node = node.parentNode) {
+      if (node.namespaceURI === MC_NS && node.localName === 'Fallback') return false;
+      if (node.namespaceURI === W_NS && (node.localName === 'footnote' || node.localName === 'endnote')) {
+        const type = node.getAttributeNS(W_NS, 'type') || node.getAttribute('w:type');
+        return !type || type === 'normal';
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * Runs whose nearest paragraph is this one (excludes runs of nested text-box paragraphs)
+ */
+function getOwnRuns(paragraph) {
+  return Array.from(paragraph.getElementsByTagNameNS(W_NS, 'r')).filter(
+    run => closestAncestor(run, W_NS, 'p') === paragraph
+  );
+}
+
+/**
+ * Text boxes and table cells take precedence over the part's own region
+ */
+function classifyRegion(paragraph, partRegion) {
+  if (closestAncestor(paragraph, W_NS, 'txbxContent')) return 'textbox';
+  if (closestAncestor(paragraph, W_NS, 'tc')) return partRegion === 'body' ? 'table' : partRegion;
+  return partRegion;
+}
+
+function getParagraphStyle(paragraph) {
+  return getParagraphProperty(paragraph, 'pStyle');
+}
+
+/**
+ * w:val of a paragraph property (e.g. jc for alignment), or ''
+ */
+function getParagraphProperty(paragraph, localName) {
+  const pPr = getChild(paragraph, 'pPr');
+  const property = pPr && getChild(pPr, localName);
+  return property ? getWordAttribute(property, 'val') : '';
+}
+
+/**
+ * List membership from w:numPr ({ numId, level }), or null; numId 0 switches numbering off
+ */
+function getParagraphNumbering(paragraph) {
+  const pPr = getChild(paragraph, 'pPr');
+  const numPr = pPr && getChild(pPr, 'numPr');
+  const numId = numPr && getChild(numPr, 'numId');
+  if (!numId || !getWordAttribute(numId, 'val') || getWordAttribute(numId, 'val') === '0') return null;
+
+  const ilvl = getChild(numPr, 'ilvl');
+  return {
+    numId: getWordAttribute(numId, 'val'),
+    level: ilvl ? parseInt(getWordAttribute(ilvl, 'val'), 10) || 0 : 0
+  };
+}
+
+/**
+ * Read list level formats from word/numbering.xml as numId -> level -> { format, marker }
+ */
+async function readNumberingFormats(zip) {
+  const formats = new Map();
+  const file = zip.file('word/numbering.xml');
+  if (!file) return formats;
+
+  const numberingDoc = new DOMParser().parseFromString(await file.async('string'), 'text/xml');
+  const root = numberingDoc.documentElement;
+  if (!root || numberingDoc.getElementsByTagName('parsererror').length > 0) return formats;
+
+  const abstractLevels = new Map();
+  getChildren(root, 'abstractNum').forEach((abstractNum) => {
+    const levels = new Map();
+    getChildren(abstractNum, 'lvl').forEach((lvl) => {
+      const numFmt = getChild(lvl, 'numFmt');
+      const lvlText = getChild(lvl, 'lvlText');
+      // Symbol-font bullets are stored as private-use characters
+      const marker = (lvlText ? getWordAttribute(lvlText, 'val') : '').replace(/[\uF000-\uF0FF]/g, (char) => {
+        const code = char.charCodeAt(0).toString(16).toUpperCase();
+        return SYMBOL_CHARS[code] || '•';
+      });
+      levels.set(parseInt(getWordAttribute(lvl, 'ilvl'), 10) || 0, {
+        format: numFmt ? getWordAttribute(numFmt, 'val') : 'bullet',
+        marker
+      });
+    });
+    abstractLevels.set(getWordAttribute(abstractNum, 'abstractNumId'), levels);
+  });
+
+  getChildren(root, 'num').forEach((num) => {
+    const abstractNumId = getChild(num, 'abstractNumId');
+    const levels = abstractNumId && abstractLevels.get(getWordAttribute(abstractNumId, 'val'));
+    if (levels) formats.set(getWordAttribute(num, 'numId'), levels);
+  });
+  return formats;
+}
+
+function resolveNumberingFormat(formats, numbering) {
+  const levels = formats.get(numbering.numId);
+  return (levels && levels.get(numbering.level)) || { format: 'bullet', marker: '•' };
+}
+
+/**
+ * Table/row/column position of a paragraph inside a table cell, or null
+ */
+function getCellLocation(paragraph) {
+  const cell = closestAncestor(paragraph, W_NS, 'tc');
+  if (!cell) return null;
+
+  const row = cell.parentNode;
+  const table = row && row.parentNode;
+  if (!row || !table) return null;
+
+  const tables = Array.from(paragraph.ownerDocument.getElementsByTagNameNS(W_NS, 'tbl'));
+  return {
+    table: tables.indexOf(table),
+    row: getChildren(table, 'tr').indexOf(row),
+    column: getChildren(row, 'tc').indexOf(cell)
+  };
+}
+
+function closestAncestor(node, namespace, localName) {
+  for (let current = node.parentNode; current && current.nodeType === 1; current = current.parentNode) {
+    if (current.namespaceURI === namespace && current.localName === localName) {
+      return current;
+    }
+  }
+  return null;
+}
+
+function getChildren(element, localName) {
+  return Array.from(element.childNodes).filter(
+    node => node.nodeType === 1 && node.namespaceURI === W_NS && node.localName === localName
+  );
+}
+
+function getChild(element, localName) {
+  return getChildren(element, localName)[0] || null;
+}
+
+function getWordAttribute(element, name) {
+  return element.getAttributeNS(W_NS, name) || element.getAttribute(`w:${name}`) || '';
+}
+
 /**
  * Extract run properties from DOM element
  */
 function extractPropertiesFromDOM(rPr) {
   const props = {};
   if (!rPr) return props;
-  
-  // Check for common formatting properties
-  const ns = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
-  
-  if (rPr.getElementsByTagNameNS(ns, 'b').length > 0) props.bold = true;
-  if (rPr.getElementsByTagNameNS(ns, 'i').length > 0) props.italic = true;
-  if (rPr.getElementsByTagNameNS(ns, 'u').length > 0) props.underline = true;
-  
-  const color = rPr.getElementsByTagNameNS(ns, 'color')[0];
-  if (color && color.getAttribute('w:val')) props.color = color.getAttribute('w:val');
-  
-  const sz = rPr.getElementsByTagNameNS(ns, 'sz')[0];
-  if (sz && sz.getAttribute('w:val')) props.fontSize = sz.getAttribute('w:val');
-  
-  const rFonts = rPr.getElementsByTagNameNS(ns, 'rFonts')[0];
-  if (rFonts && rFonts.getAttribute('w:ascii')) props.font = rFonts.getAttribute('w:ascii');
-  
+
+  // Check for common formatting properties (w:b w:val="0" switches bold off)
+  const isOn = (element) => element && !['0', 'false', 'none'].includes(getWordAttribute(element, 'val'));
+
+  if (isOn(getChild(rPr, 'b'))) props.bold = true;
+  if (isOn(getChild(rPr, 'i'))) props.italic = true;
+  if (isOn(getChild(rPr, 'u'))) props.underline = true;
+
+  const color = getChild(rPr, 'color');
+  if (color && getWordAttribute(color, 'val')) props.color = getWordAttribute(color, 'val');
+
+  const sz = getChild(rPr, 'sz');
+  if (sz && getWordAttribute(sz, 'val')) props.fontSize = getWordAttribute(sz, 'val');
+
+  const rFonts = getChild(rPr, 'rFonts');
+  if (rFonts && getWordAttribute(rFonts, 'ascii')) props.font = getWordAttribute(rFonts, 'ascii');
+
   // Store raw XML for complete preservation
-  props._rawXml = rPr.outerHTML || new XMLSerializer().serializeToString(rPr);
-  
+  props._rawXml = new XMLSerializer().serializeToString(rPr);
+
   return props;
 }
 
 /**
- * Extract run properties from parsed object
+ * Lay the runs out as a character stream: run text, with a '\n' separator
+ * between consecutive paragraphs (one per paragraph boundary, so empty
+ * paragraphs are represented too). This matches parseDocxStructure's plainText.
  */
-function extractPropertiesFromObject(rPr) {
-  const props = {};
-  if (!rPr) return props;
-  
-  if (rPr['w:b']) props.bold = true;
-  if (rPr['w:i']) props.italic = true;
-  if (rPr['w:u']) props.underline = true;
-  if (rPr['w:color'] && rPr['w:color']['@_w:val']) props.color = rPr['w:color']['@_w:val'];
-  if (rPr['w:sz'] && rPr['w:sz']['@_w:val']) props.fontSize = rPr['w:sz']['@_w:val'];
-  if (rPr['w:rFonts'] && rPr['w:rFonts']['@_w:ascii']) props.font = rPr['w:rFonts']['@_w:ascii'];
-  
-  return props;
+function buildTextStream(runs) {
+  const units = [];
+  let previousParagraph = null;
+
+  runs.forEach((run, index) => {
+    if (previousParagraph !== null) {
+      for (let p = previousParagraph; p < run.paragraphIndex; p++) {
+        units.push({ separator: true, text: '\n', paragraphIndex: p + 1 });
+      }
+    }
+    units.push({
+      separator: false,
+      token: Boolean(run.type && run.type !== 'text'),
+      hyperlink: Boolean(run.hyperlink),
+      text: run.text,
+      paragraphIndex: run.paragraphIndex,
+      sourceIndex: index
+    });
+    previousParagraph = run.paragraphIndex;
+  });
+
+  return units;
 }
 
 /**
  * Map text changes from LLM output back to original XML runs
- * @param {string} originalText - Original plain text
+ * Inline tokens (tabs, breaks, symbols, field codes, drawings) are atomic: they are
+ * carried over unchanged, even when the diff deletes the character they show as
+ * (deleted line breaks, and tokens of paragraphs that were removed, are dropped).
+ *
+ * Every line of the new text becomes one output paragraph (paragraphId). A line that keeps
+ * text of an original paragraph is written back into it; a new line (an added bullet, or
+ * the second half of a split line) is flagged insertedParagraph and takes its paragraph
+ * properties from paragraphIndex, the neighbouring paragraph. Original paragraphs that no
+ * line keeps were deleted or merged into another line, and rebuildDocx removes them.
+ *
+ * Text pieces are marked with change: 'insert' for new text, null for kept text. With
+ * includeDeleted, removed text comes back too, as change: 'delete' pieces at the place it
+ * was removed from (for previews; rebuildDocx skips them).
+ * @param {string} originalText - Original plain text (the alignment itself is done against the runs)
  * @param {string} newText - New text from LLM/user edits
  * @param {Array} runs - Original run mapping
- * @returns {Array} Modified runs with preserved formatting
+ * @param {Object} [options] - { includeDeleted: boolean }
+ * @returns {Array} Modified runs with preserved formatting; each keeps the sourceIndex of the run it is anchored to
  */
-export function mapTextToRuns(originalText, newText, runs) {
+export function mapTextToRuns(originalText, newText, runs, options = {}) {
+  const { includeDeleted = false } = options;
+
   if (!runs || runs.length === 0) {
     console.warn('No runs provided to mapTextToRuns');
     return [];
   }
-  
+
+  const units = buildTextStream(runs);
+  const streamText = units.map(unit => unit.text).join('');
+
   if (!originalText || !newText) {
     console.warn('Empty text provided to mapTextToRuns');
-    return runs; // Return original runs if text is empty
-  }
-  
-  // If text is completely unchanged, return original runs with all properties preserved
-  if (originalText === newText) {
-    return runs.map(run => ({
-      text: run.text,
-      properties: run.properties,
-      paragraphIndex: run.paragraphIndex,
-      runIndex: run.runIndex,
-      originalRPr: run.originalRPr // Preserve original rPr
-    }));
+    newText = streamText; // Keep the document as it is
   }
-  
-  // Use diff-match-patch to align changes
-  if (typeof window.diff_match_patch === 'undefined') {
-    throw new Error('diff-match-patch library not loaded');
-  }
-  
-  const dmp = new window.diff_match_patch();
-  const diffs = dmp.diff_main(originalText, newText);
-  dmp.diff_cleanupSemantic(diffs);
-  
-  // Apply diffs to create new runs, preserving original run boundaries when possible
-  const newRuns = [];
-  let currentRunIdx = 0;
-  let currentRunCharIdx = 0; // Character position within current run
-  let currentRun = runs[0];
-  
-  diffs.forEach(([op, text]) => {
-    if (op === window.DIFF_EQUAL) {
-      // Text unchanged - preserve original runs exactly
-      let remaining = text;
-      while (remaining.length > 0 && currentRunIdx < runs.length) {
-        currentRun = runs[currentRunIdx];
-        const runRemaining = currentRun.text.length - currentRunCharIdx;
-        const take = Math.min(remaining.length, runRemaining);
-        
-        // If we're at the start of a run and taking the whole run, preserve it exactly
-        if (currentRunCharIdx === 0 && take === currentRun.text.length) {
-          newRuns.push({
-            text: currentRun.text,
-            properties: currentRun.properties,
-            paragraphIndex: currentRun.paragraphIndex,
-            runIndex: newRuns.length,
-            originalRPr: currentRun.originalRPr // Preserve original rPr
-          });
-          remaining = remaining.substring(take);
-          currentRunIdx++;
-          currentRunCharIdx = 0;
-        } else {
-          // Partial run - need to split
-          const runText = currentRun.text.substring(currentRunCharIdx, currentRunCharIdx + take);
-          newRuns.push({
-            text: runText,
-            properties: currentRun.properties,
-            paragraphIndex: currentRun.paragraphIndex,
-            runIndex: newRuns.length,
-            originalRPr: currentRun.originalRPr // Preserve original rPr
-          });
-          currentRunCharIdx += take;
-          remaining = remaining.substring(take);
-          
-          if (currentRunCharIdx >= currentRun.text.length) {
-            currentRunIdx++;
-            currentRunCharIdx = 0;
-          }
+
+  const toPiece = (run, index, text) => ({
+    text: text,
+    type: run.type || 'text',
+    properties: run.properties,
+    paragraphIndex: run.paragraphIndex,
+    runIndex: run.runIndex,
+    region: run.region,
+    hyperlink: run.hyperlink || null,
+    sourceIndex: run.sourceIndex ?? index,
+    originalRPr: run.originalRPr, // Preserve original rPr
+    change: null
+  });
+
+  // Output lines, in order. Each records the paragraph whose separator opened it (candidate)
+  // and the original paragraphs it kept text from (kept)
+  const lines = [];
+  let line = null;
+  const startLine = (candidate) => {
+    line = { candidate, kept: [], pieces: [] };
+    lines.push(line);
+  };
+  startLine(units[0].paragraphIndex);
+
+  const deletedTokens = new Set();
+  let unitIdx = 0;
+  let charIdx = 0; // Character position within current unit
+
+  const noteKept = (paragraphIndex) => {
+    if (!line.kept.includes(paragraphIndex)) line.kept.push(paragraphIndex);
+  };
+
+  const pushText = (sourceIndex, text, change) => {
+    const run = runs[sourceIndex];
+    if (change === null) noteKept(run.paragraphIndex);
+    const last = line.pieces[line.pieces.length - 1];
+    if (last && last.type === 'text' && last.change === change && last.sourceIndex === (run.sourceIndex ?? sourceIndex)) {
+      last.text += text;
+      return;
+    }
+    const piece = toPiece(run, sourceIndex, text);
+    // Text typed next to a token still becomes a text piece with the token's run formatting
+    piece.type = 'text';
+    piece.change = change;
+    line.pieces.push(piece);
+  };
+
+  const pushToken = (unit, kept) => {
+    const piece = toPiece(runs[unit.sourceIndex], unit.sourceIndex, unit.text);
+    if (kept) {
+      noteKept(unit.paragraphIndex);
+    } else {
+      deletedTokens.add(piece);
+    }
+    line.pieces.push(piece);
+  };
+
+  // Walk the stream; equal text is copied from the run it came from, deleted text is skipped,
+  // tokens are emitted once, when the walk reaches them. A kept paragraph separator starts
+  // a new line; a deleted one merges the next paragraph into the current line.
+  const consume = (length, keep) => {
+    let remaining = length;
+    while (unitIdx < units.length) {
+      const unit = units[unitIdx];
+      if (unit.text.length === 0) {
+        // Zero-width token (field code, drawing, page break)
+        if (unit.token) pushToken(unit, keep);
+        unitIdx++;
+        continue;
+      }
+      if (remaining <= 0) break;
+
+      const take = Math.min(remaining, unit.text.length - charIdx);
+      if (unit.separator) {
+        if (keep) {
+          startLine(unit.paragraphIndex);
+        } else if (includeDeleted) {
+          pushText(insertionAnchor(), '\n', 'delete');
         }
+      } else if (unit.token) {
+        if (charIdx === 0) pushToken(unit, keep);
+      } else if (keep) {
+        pushText(unit.sourceIndex, unit.text.substr(charIdx, take), null);
+      } else if (includeDeleted) {
+        pushText(unit.sourceIndex, unit.text.substr(charIdx, take), 'delete');
+      }
+      charIdx += take;
+      remaining -= take;
+      if (charIdx >= unit.text.length) {
+        unitIdx++;
+        charIdx = 0;
+      }
+    }
+  };
+
+  // Decide which run's formatting inserted text takes
+  const insertionAnchor = () => {
+    const unit = units[unitIdx];
+    const previous = charIdx === 0 ? units[unitIdx - 1] : null;
+
+    // Inside a run, or at the start of one: use that run. Text typed just before a
+    // hyperlink goes with the preceding plain run rather than into the link.
+    if (unit && !unit.separator) {
+      if (unit.hyperlink && previous && !previous.separator && !previous.hyperlink) {
+        return previous.sourceIndex;
+      }
+      return unit.sourceIndex;
+    }
+
+    // At the end of a paragraph: use the last run of that paragraph
+    if (previous && !previous.separator) {
+      return previous.sourceIndex;
+    }
+
+    // Empty paragraph: borrow formatting from the nearest run
+    const nearest = units.slice(0, unitIdx).reverse().find(u => !u.separator) ||
+      units.slice(unitIdx).find(u => !u.separator);
+    return nearest.sourceIndex;
+  };
+
+  const insert = (text) => {
+    text.split('\n').forEach((chunk, chunkIdx) => {
+      if (chunkIdx > 0) startLine(null);
+      if (chunk) pushText(insertionAnchor(), chunk, 'insert');
+    });
+  };
+
+  if (streamText.trim() === newText.trim()) {
+    // Text is completely unchanged - every run and paragraph is kept as it is
+    consume(streamText.length, true);
+  } else {
+    // Use diff-match-patch to align changes
+    if (typeof window.diff_match_patch === 'undefined') {
+      throw new Error('diff-match-patch library not loaded');
+    }
+
+    // Leading/trailing whitespace of the document (e.g. empty header paragraphs) is never edited
+    const leading = streamText.length - streamText.trimStart().length;
+    const trailing = streamText.length - streamText.trimEnd().length;
+    const core = streamText.slice(leading, streamText.length - trailing);
+
+    const dmp = new window.diff_match_patch();
+    const diffs = dmp.diff_main(core, newText.trim());
+    dmp.diff_cleanupSemantic(diffs);
+
+    consume(leading, true);
+    realignLineBreaks(dmp, diffs).forEach(([op, text]) => {
+      if (op === window.DIFF_EQUAL) {
+        // Text unchanged - preserve original runs exactly
+        consume(text.length, true);
+      } else if (op === window.DIFF_INSERT) {
+        // New text - use formatting from the anchoring run
+        insert(text);
+      } else if (op === window.DIFF_DELETE) {
+        // Text deleted - advance through runs (tokens are kept)
+        consume(text.length, false);
       }
+    });
+    consume(trailing, true);
+  }
+
+  // Flush trailing zero-width tokens
+  consume(0, true);
+
+  return resolveLines(lines, runs, deletedTokens, toPiece);
+}
+
+/**
+ * Semantic cleanup can fold a kept paragraph break into a larger replacement
+ * (delete "\n", insert "-doe\nSenior "). Re-diff such replacements character by
+ * character so the surviving breaks show up as equalities again.
+ */
+function realignLineBreaks(dmp, diffs) {
+  const result = [];
+  let deleted = '';
+  let inserted = '';
+
+  const flush = () => {
+    if (deleted.includes('\n') && inserted.includes('\n')) {
+      result.push(...dmp.diff_main(deleted, inserted, false));
+    } else {
+      if (deleted) result.push([window.DIFF_DELETE, deleted]);
+      if (inserted) result.push([window.DIFF_INSERT, inserted]);
+    }
+    deleted = '';
+    inserted = '';
+  };
+
+  diffs.forEach(([op, text]) => {
+    if (op === window.DIFF_DELETE) {
+      deleted += text;
     } else if (op === window.DIFF_INSERT) {
-      // New text - use formatting from current run
-      const sourceRun = currentRunIdx < runs.length ? runs[currentRunIdx] : runs[runs.length - 1];
-      newRuns.push({
-        text: text,
-        properties: sourceRun?.properties || {},
-        paragraphIndex: sourceRun?.paragraphIndex || 0,
-        runIndex: newRuns.length,
-        originalRPr: sourceRun?.originalRPr || null // Preserve original rPr if available
+      inserted += text;
+    } else {
+      flush();
+      result.push([op, text]);
+    }
+  });
+  flush();
+
+  return result;
+}
+
+/**
+ * Decide which original paragraph each output line is written into, and flatten the
+ * lines into the piece list returned by mapTextToRuns
+ */
+function resolveLines(lines, runs, deletedTokens, toPiece) {
+  // Per paragraph: its text, whether it reads as a heading (all text bold, or all caps),
+  // and the last text run (formatting for wholly new lines modelled on it)
+  const paragraphInfo = new Map();
+  runs.forEach((run, index) => {
+    if (!paragraphInfo.has(run.paragraphIndex)) {
+      paragraphInfo.set(run.paragraphIndex, { text: '', bold: true, lastTextRun: undefined });
+    }
+    const info = paragraphInfo.get(run.paragraphIndex);
+    info.text += run.text;
+    if ((!run.type || run.type === 'text') && run.text.trim()) {
+      info.bold = info.bold && Boolean(run.properties && run.properties.bold);
+      info.lastTextRun = index;
+    }
+  });
+  paragraphInfo.forEach((info) => {
+    info.heading = /\w/.test(info.text) && (info.bold || (/[A-Z]{2}/.test(info.text) && info.text === info.text.toUpperCase()));
+  });
+
+  // A line takes the first paragraph it kept text from; a line that kept nothing (its text
+  // was replaced) falls back to the paragraph that opened it. Each paragraph serves one line.
+  const bound = new Set();
+  const bind = (target, paragraphIndex) => {
+    target.paragraphIndex = paragraphIndex;
+    bound.add(paragraphIndex);
+  };
+  lines.forEach((target) => {
+    target.paragraphIndex = null;
+    const paragraphIndex = target.kept.find(index => !bound.has(index));
+    if (paragraphIndex !== undefined) bind(target, paragraphIndex);
+  });
+  lines.forEach((target) => {
+    if (target.paragraphIndex === null && target.candidate !== null && !bound.has(target.candidate)) {
+      bind(target, target.candidate);
+    }
+  });
+
+  // Everything else is a new paragraph. The second half of a split line looks like the line
+  // it came from; a wholly new line (e.g. an added bullet) looks like its neighbour.
+  lines.forEach((target, lineIdx) => {
+    if (target.paragraphIndex !== null) return;
+    if (target.kept.length) {
+      target.template = target.kept[0];
+      return;
+    }
+
+    const before = lines[lineIdx - 1];
+    const after = lines.slice(lineIdx + 1).find(next => next.paragraphIndex !== null);
+    const previous = before ? before.paragraphIndex ?? before.template : null;
+    const next = after ? after.paragraphIndex : null;
+    const text = target.pieces.filter(piece => piece.change !== 'delete').map(piece => piece.text).join('');
+    target.template = pickTemplateParagraph(previous, next, text, paragraphInfo) ?? runs[0].paragraphIndex;
+
+    const styleRun = (paragraphInfo.get(target.template) || {}).lastTextRun;
+    if (styleRun !== undefined) {
+      target.pieces = target.pieces.map(piece => (
+        piece.type === 'text' && piece.change === 'insert'
+          ? { ...toPiece(runs[styleRun], styleRun, piece.text), type: 'text', change: 'insert' }
+          : piece
+      ));
+    }
+  });
+
+  const result = [];
+  lines.forEach((target, lineIdx) => {
+    const inserted = target.paragraphIndex === null;
+    const paragraphIndex = inserted ? target.template : target.paragraphIndex;
+
+    // Deleted line breaks go, and so does whatever a removed paragraph showed (its tabs, symbols)
+    const pieces = target.pieces.filter(piece => !(deletedTokens.has(piece) &&
+      (piece.text.includes('\n') || (piece.text && !bound.has(piece.paragraphIndex)))));
+
+    if (pieces.length === 0) {
+      // Blank line: a placeholder keeps the paragraph (or creates an empty one)
+      const previous = result[result.length - 1];
+      pieces.push({
+        text: '',
+        type: 'paragraph',
+        properties: {},
+        paragraphIndex,
+        runIndex: 0,
+        region: (runs.find(run => run.paragraphIndex === paragraphIndex) || previous || {}).region || null,
+        hyperlink: null,
+        sourceIndex: null,
+        originalRPr: null,
+        change: null
       });
-    } else if (op === window.DIFF_DELETE) {
-      // Text deleted - advance through runs
-      let remaining = text;
-      while (remaining.length > 0 && currentRunIdx < runs.length) {
-        currentRun = runs[currentRunIdx];
-        const runRemaining = currentRun.text.length - currentRunCharIdx;
-        const skip = Math.min(remaining.length, runRemaining);
-        remaining = remaining.substring(skip);
-        currentRunCharIdx += skip;
-        
-        if (currentRunCharIdx >= currentRun.text.length) {
-          currentRunIdx++;
-          currentRunCharIdx = 0;
-        }
-      }
     }
+
+    pieces.forEach((piece) => {
+      piece.paragraphIndex = paragraphIndex;
+      piece.paragraphId = lineIdx;
+      piece.insertedParagraph = inserted;
+      piece.runIndex = result.length;
+      result.push(piece);
+    });
   });
-  
-  return newRuns;
+
+  return result;
+}
+
+/**
+ * Paragraph a new line should copy its properties from: the one above it, unless that is a
+ * heading (or the new line is a bullet and only the paragraph below it is one)
+ */
+function pickTemplateParagraph(previous, next, text, paragraphInfo) {
+  if (previous === null || previous === undefined) return next;
+  if (next === null || next === undefined) return previous;
+
+  const above = paragraphInfo.get(previous) || { text: '', heading: false };
+  const below = paragraphInfo.get(next) || { text: '', heading: false };
+  if (above.heading && !below.heading) return next;
+
+  const bullet = /^\s*[•▪➢→✓◦‣*–-]/;
+  if (bullet.test(text) && bullet.test(below.text) && !bullet.test(above.text)) return next;
+  return previous;
 }
 
 /**
@@ -365,197 +877,162 @@ export async function rebuildDocx(originalBuffer, modifiedRuns) {
     if (typeof window.JSZip === 'undefined') {
       throw new Error('JSZip library not loaded');
     }
-    
+
     if (!originalBuffer) {
       throw new Error('Original DOCX buffer is missing');
     }
-    
+
     if (!modifiedRuns || modifiedRuns.length === 0) {
       throw new Error('No modified runs provided');
     }
-    
+
     let zip;
     try {
       zip = await window.JSZip.loadAsync(originalBuffer);
     } catch (zipError) {
       throw new Error(`Failed to load DOCX: ${zipError.message}`);
     }
-    
-    const documentFile = zip.file('word/document.xml');
-    if (!documentFile) {
-      throw new Error('Document structure corrupted: missing word/document.xml');
-    }
-    
-    let documentXmlContent;
+
+    let model;
     try {
-      documentXmlContent = await documentFile.async('string');
-    } catch (readError) {
-      throw new Error(`Failed to read document: ${readError.message}`);
-    }
-    
-    // Parse XML
-    const domParser = new DOMParser();
-    const xmlDoc = domParser.parseFromString(documentXmlContent, 'text/xml');
-    
-    // Check for parsing errors
-    const parserError = xmlDoc.querySelector('parsererror');
-    if (parserError) {
-      throw new Error('XML parsing failed during rebuild. Document may be corrupted.');
-    }
-    
-    // Get all paragraphs
-    const ns = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
-    const paragraphs = xmlDoc.getElementsByTagNameNS(ns, 'p');
-    
-    if (paragraphs.length === 0) {
+      model = await readDocxModel(zip);
+    } catch (modelError) {
+      if (modelError.message.startsWith('DOCX file')) {
+        throw new Error('Document structure corrupted: missing word/document.xml');
+      }
+      throw modelError;
+    }
+
+    if (model.paragraphs.length === 0) {
       throw new Error('No paragraphs found in document during rebuild');
     }
-    
-    // Group runs by paragraph
-    const runsByPara = {};
-    modifiedRuns.forEach(run => {
-      if (!runsByPara[run.paragraphIndex]) {
-        runsByPara[run.paragraphIndex] = [];
+
+    // One output paragraph per line of the final text (consecutive pieces share a paragraphId)
+    const outputParagraphs = [];
+    modifiedRuns.forEach((piece) => {
+      if (!model.paragraphs[piece.paragraphIndex] ||
+          (piece.sourceIndex !== null && !model.runs[piece.sourceIndex])) {
+        throw new Error('Document structure changed since it was parsed; re-extract the resume.');
+      }
+      const id = piece.paragraphId ?? `p${piece.paragraphIndex}`;
+      const current = outputParagraphs[outputParagraphs.length - 1];
+      if (current && current.id === id) {
+        current.pieces.push(piece);
+      } else {
+        outputParagraphs.push({
+          id,
+          paragraphIndex: piece.paragraphIndex,
+          inserted: Boolean(piece.insertedParagraph),
+          pieces: [piece]
+        });
       }
-      runsByPara[run.paragraphIndex].push(run);
     });
-    
-    // Replace text in runs
-    let runIndex = 0;
-    for (let pIdx = 0; pIdx < paragraphs.length; pIdx++) {
-      const paragraph = paragraphs[pIdx];
-      const runsInPara = paragraph.getElementsByTagNameNS(ns, 'r');
-      
-      const paraRuns = runsByPara[pIdx] || [];
-      let paraRunIdx = 0;
-      
-      for (let rIdx = 0; rIdx < runsInPara.length; rIdx++) {
-        const run = runsInPara[rIdx];
-        const textNodes = run.getElementsByTagNameNS(ns, 't');
-        
-        if (paraRunIdx < paraRuns.length) {
-          const newRun = paraRuns[paraRunIdx];
-          
-          // Preserve original rPr if available (complete formatting preservation)
-          const existingRPr = run.getElementsByTagNameNS(ns, 'rPr')[0];
-          if (newRun.originalRPr) {
-            // Import the cloned rPr into the current document context
-            const clonedRPr = xmlDoc.importNode(newRun.originalRPr, true);
-            // Replace rPr with the original cloned version
-            if (existingRPr) {
-              run.replaceChild(clonedRPr, existingRPr);
-            } else {
-              run.insertBefore(clonedRPr, run.firstChild);
-            }
-          }
-          
-          // Update text content
-          if (textNodes.length > 0) {
-            // Preserve xml:space if it exists
-            const xmlSpace = textNodes[0].getAttribute('xml:space');
-            textNodes[0].textContent = newRun.text;
-            if (xmlSpace) {
-              textNodes[0].setAttribute('xml:space', xmlSpace);
-            } else if (newRun.text.includes('  ') || newRun.text.startsWith(' ') || newRun.text.endsWith(' ')) {
-              // Preserve whitespace if needed
-              textNodes[0].setAttribute('xml:space', 'preserve');
-            }
-            
-            // Remove extra text nodes if any
-            for (let i = 1; i < textNodes.length; i++) {
-              textNodes[i].parentNode.removeChild(textNodes[i]);
-            }
-          } else {
-            // Create new text node if it doesn't exist
-            const textNode = xmlDoc.createElementNS(ns, 't');
-            textNode.textContent = newRun.text;
-            if (newRun.text.includes('  ') || newRun.text.startsWith(' ') || newRun.text.endsWith(' ')) {
-              textNode.setAttribute('xml:space', 'preserve');
-            }
-            run.appendChild(textNode);
-          }
-          
-          paraRunIdx++;
+
+    // Pieces anchored to a run of the paragraph they are written into go back into that w:r
+    // (in place, so hyperlink/field wrappers stay intact); pieces carried in from another
+    // paragraph (merged lines, text typed into an empty line, new paragraphs) get a new run
+    const itemsByRun = new Map();
+    const createdRuns = [];
+    const keptParagraphs = new Set();
+    const dirtyParts = new Set();
+    let previousElement = null;
+
+    outputParagraphs.forEach((output) => {
+      const paragraph = model.paragraphs[output.paragraphIndex];
+      let element = paragraph.element;
+      if (output.inserted) {
+        // New paragraph with the neighbour's properties (style, numbering, indentation)
+        element = createParagraphLike(paragraph.element);
+        if (previousElement && previousElement.ownerDocument === element.ownerDocument) {
+          previousElement.parentNode.insertBefore(element, previousElement.nextSibling);
         } else {
-          // Remove extra runs
-          run.parentNode.removeChild(run);
-          rIdx--; // Adjust index
+          paragraph.element.parentNode.insertBefore(element, paragraph.element);
         }
+        dirtyParts.add(paragraph.part);
+      } else {
+        keptParagraphs.add(output.paragraphIndex);
       }
-      
-      // Add new runs if we have more than original
-      if (paraRunIdx < paraRuns.length) {
-        const fragment = xmlDoc.createDocumentFragment();
-        for (let i = paraRunIdx; i < paraRuns.length; i++) {
-          const newRun = paraRuns[i];
-          const runElement = xmlDoc.createElementNS(ns, 'r');
-          
-          // Add run properties - use original if available, otherwise reconstruct
-          if (newRun.originalRPr) {
-            // Import the original rPr into the current document context for complete preservation
-            const clonedRPr = xmlDoc.importNode(newRun.originalRPr, true);
-            runElement.appendChild(clonedRPr);
-          } else if (Object.keys(newRun.properties).length > 0) {
-            // Fallback: reconstruct from properties (incomplete but better than nothing)
-            const rPr = xmlDoc.createElementNS(ns, 'rPr');
-            if (newRun.properties.bold) {
-              const b = xmlDoc.createElementNS(ns, 'b');
-              rPr.appendChild(b);
-            }
-            if (newRun.properties.italic) {
-              const i = xmlDoc.createElementNS(ns, 'i');
-              rPr.appendChild(i);
-            }
-            if (newRun.properties.underline) {
-              const u = xmlDoc.createElementNS(ns, 'u');
-              u.setAttributeNS(ns, 'w:val', 'single');
-              rPr.appendChild(u);
-            }
-            if (newRun.properties.color) {
-              const color = xmlDoc.createElementNS(ns, 'color');
-              color.setAttributeNS(ns, 'w:val', newRun.properties.color);
-              rPr.appendChild(color);
-            }
-            if (newRun.properties.fontSize) {
-              const sz = xmlDoc.createElementNS(ns, 'sz');
-              sz.setAttributeNS(ns, 'w:val', newRun.properties.fontSize);
-              rPr.appendChild(sz);
-            }
-            if (newRun.properties.font) {
-              const rFonts = xmlDoc.createElementNS(ns, 'rFonts');
-              rFonts.setAttributeNS(ns, 'w:ascii', newRun.properties.font);
-              rPr.appendChild(rFonts);
-            }
-            runElement.appendChild(rPr);
-          }
-          
-          // Add text node
-          const textNode = xmlDoc.createElementNS(ns, 't');
-          textNode.textContent = newRun.text;
-          if (newRun.text.includes('  ') || newRun.text.startsWith(' ') || newRun.text.endsWith(' ')) {
-            textNode.setAttribute('xml:space', 'preserve');
-          }
-          runElement.appendChild(textNode);
-          
-          fragment.appendChild(runElement);
+
+      let cursor = null; // Last run placed in this paragraph
+      let created = null;
+      output.pieces.forEach((piece) => {
+        if (piece.type === 'paragraph') return; // Blank-line placeholder
+        if (piece.change === 'delete') return; // Removed text, only listed for previews
+
+        // Text without a source run (plain-formatting fallback) gets a run with default formatting
+        const source = piece.sourceIndex === null ? null : model.runs[piece.sourceIndex];
+        const isToken = Boolean(source) && piece.type && piece.type !== 'text';
+        const item = { text: piece.text, node: isToken ? source.node : null, sourceIndex: piece.sourceIndex };
+
+        if (source && !output.inserted && source.paragraphIndex === output.paragraphIndex) {
+          if (!itemsByRun.has(source.element)) itemsByRun.set(source.element, []);
+          itemsByRun.get(source.element).push(item);
+          cursor = source.element;
+          created = null;
+          return;
         }
-        paragraph.appendChild(fragment);
-      }
+
+        if (!isToken && !item.text) return;
+        const template = source ? source.element : null;
+        if (!created || created.template !== template) {
+          created = { template, element: createRunLike(template, element.ownerDocument), items: [] };
+          placeRun(element, created.element, cursor);
+          createdRuns.push(created);
+          cursor = created.element;
+          dirtyParts.add(paragraph.part);
+        }
+        created.items.push(item);
+      });
+
+      previousElement = element;
+    });
+
+    const signature = items => items.map(item => (item.node ? `\u0000${item.sourceIndex}` : item.text)).join('');
+
+    const segmentsByRun = new Map();
+    model.runs.forEach((segment, index) => {
+      if (!segmentsByRun.has(segment.element)) segmentsByRun.set(segment.element, []);
+      segmentsByRun.get(segment.element).push({ text: segment.text, node: segment.node, sourceIndex: index });
+    });
+
+    segmentsByRun.forEach((originalItems, runElement) => {
+      const items = itemsByRun.get(runElement) || [];
+      if (signature(items) === signature(originalItems)) return;
+
+      const paragraph = model.paragraphs[model.runs[originalItems[0].sourceIndex].paragraphIndex];
+      dirtyParts.add(paragraph.part);
+      writeRunContent(runElement, items);
+    });
+
+    createdRuns.forEach(run => writeRunContent(run.element, run.items));
+
+    // Paragraphs of the text that no output line kept were deleted, or merged into another line
+    if (model.runs.length) {
+      const first = model.runs[0].paragraphIndex;
+      const last = model.runs[model.runs.length - 1].paragraphIndex;
+      model.paragraphs.slice(first, last + 1).forEach((paragraph) => {
+        if (keptParagraphs.has(paragraph.index) || !canRemoveParagraph(paragraph.element)) return;
+        paragraph.element.parentNode.removeChild(paragraph.element);
+        dirtyParts.add(paragraph.part);
+      });
     }
-    
-    // Serialize back to XML
+
+    // Serialize back to XML and update ZIP
     const serializer = new XMLSerializer();
-    const newDocumentXml = serializer.serializeToString(xmlDoc);
-    
-    // Update ZIP
-    zip.file('word/document.xml', newDocumentXml);
-    
+    model.parts.forEach((part) => {
+      if (!dirtyParts.has(part.path)) return;
+      syncTextBoxFallbacks(part.xmlDoc);
+      const declaration = (part.xml.match(/^<\?xml[^>]*\?>/) || [''])[0];
+      const serialized = serializer.serializeToString(part.xmlDoc);
+      zip.file(part.path, serialized.startsWith('<?xml') ? serialized : declaration + serialized);
+    });
+
     // Generate blob
     const blob = await zip.generateAsync({
       type: 'blob',
       mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
     });
-    
+
     return blob;
   } catch (error) {
     console.error('Error rebuilding DOCX:', error);
@@ -575,3 +1052,153 @@ export async function rebuildDocx(originalBuffer, modifiedRuns) {
     throw new Error(`Failed to rebuild DOCX: ${error.message}`);
   }
 }
+
+/**
+ * Replace the content of a run with new items: text items become w:t (with w:tab/w:br
+ * for tabs and line breaks typed in the text), token items re-use their original node.
+ * A run left with no content is removed, and so is a hyperlink left without runs.
+ */
+function writeRunContent(runElement, items) {
+  Array.from(runElement.childNodes).forEach((node) => {
+    if (!(node.nodeType === 1 && node.namespaceURI === W_NS && node.localName === 'rPr')) {
+      runElement.removeChild(node);
+    }
+  });
+
+  // Kept and inserted text of one run arrive as separate items; write them as one w:t
+  const merged = [];
+  items.forEach((item) => {
+    const last = merged[merged.length - 1];
+    if (!item.node && last && !last.node) {
+      last.text += item.text;
+    } else {
+      merged.push({ ...item });
+    }
+  });
+
+  merged.forEach((item) => {
+    if (item.node) {
+      runElement.appendChild(item.node);
+    } else {
+      appendText(runElement, item.text);
+    }
+  });
+
+  const hasContent = Array.from(runElement.childNodes).some(
+    node => node.nodeType === 1 && !(node.namespaceURI === W_NS && node.localName === 'rPr')
+  );
+  const parent = runElement.parentNode;
+  if (!hasContent && parent) {
+    parent.removeChild(runElement);
+    if (parent.namespaceURI === W_NS && parent.localName === 'hyperlink' &&
+        parent.getElementsByTagNameNS(W_NS, 'r').length === 0 && parent.parentNode) {
+      parent.parentNode.removeChild(parent);
+    }
+  }
+}
+
+/**
+ * Append text to a run as w:t elements, turning tab and newline characters into w:tab/w:br
+ */
+function appendText(runElement, text) {
+  const xmlDoc = runElement.ownerDocument;
+  text.split(/(\t|\n)/).forEach((part) => {
+    if (!part) return;
+    if (part === '\t') {
+      runElement.appendChild(xmlDoc.createElementNS(W_NS, 'w:tab'));
+    } else if (part === '\n') {
+      runElement.appendChild(xmlDoc.createElementNS(W_NS, 'w:br'));
+    } else {
+      const textNode = xmlDoc.createElementNS(W_NS, 'w:t');
+      textNode.textContent = part;
+      if (/^\s|\s$|\s{2}/.test(part)) {
+        // Preserve whitespace if needed
+        textNode.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+      }
+      runElement.appendChild(textNode);
+    }
+  });
+}
+
+/**
+ * Text boxes are stored twice (DrawingML choice + VML fallback); copy the edited
+ * choice content over the fallback so older readers show the same text
+ */
+function syncTextBoxFallbacks(xmlDoc) {
+  Array.from(xmlDoc.getElementsByTagNameNS(MC_NS, 'AlternateContent')).forEach((alternate) => {
+    const choice = alternate.getElementsByTagNameNS(MC_NS, 'Choice')[0];
+    const fallback = alternate.getElementsByTagNameNS(MC_NS, 'Fallback')[0];
+    const source = choice && choice.getElementsByTagNameNS(W_NS, 'txbxContent')[0];
+    const target = fallback && fallback.getElementsByTagNameNS(W_NS, 'txbxContent')[0];
+    if (!source || !target) return;
+
+    while (target.firstChild) target.removeChild(target.firstChild);
+    Array.from(source.childNodes).forEach(node => target.appendChild(node.cloneNode(true)));
+  });
+}
+
+/**
+ * Create an empty run carrying a copy of another run's formatting (w:rPr), or a bare run
+ * when there is no template
+ */
+function createRunLike(template, xmlDoc) {
+  const runElement = xmlDoc.createElementNS(W_NS, 'w:r');
+  const rPr = template && getChild(template, 'rPr');
+  if (rPr) {
+    runElement.appendChild(xmlDoc.importNode(rPr, true));
+  }
+  return runElement;
+}
+
+/**
+ * Create an empty paragraph carrying a copy of another paragraph's properties (w:pPr:
+ * style, numbering, indentation), without its section break
+ */
+function createParagraphLike(template) {
+  const paragraph = template.ownerDocument.createElementNS(W_NS, 'w:p');
+  const pPr = getChild(template, 'pPr');
+  if (pPr) {
+    const copy = pPr.cloneNode(true);
+    getChildren(copy, 'sectPr').forEach(sectPr => copy.removeChild(sectPr));
+    paragraph.appendChild(copy);
+  }
+  return paragraph;
+}
+
+/**
+ * Insert a run after the cursor run, or before the paragraph's first run when there is no
+ * cursor yet. The run goes next to the cursor's top-level container, so it never ends up
+ * inside a hyperlink or field wrapper.
+ */
+function placeRun(paragraph, runElement, cursor) {
+  const topLevel = (node) => {
+    while (node.parentNode && node.parentNode !== paragraph) node = node.parentNode;
+    return node;
+  };
+
+  if (cursor) {
+    const anchor = topLevel(cursor);
+    paragraph.insertBefore(runElement, anchor.nextSibling);
+    return;
+  }
+
+  const first = getOwnRuns(paragraph)[0];
+  if (first) {
+    paragraph.insertBefore(runElement, topLevel(first));
+  } else {
+    paragraph.appendChild(runElement);
+  }
+}
+
+/**
+ * A deleted paragraph is left in place (emptied) when it carries a section break, hosts a
+ * text box, or is the last paragraph of its cell, text box, header, footer or note
+ */
+function canRemoveParagraph(paragraph) {
+  const pPr = getChild(paragraph, 'pPr');
+  if (pPr && getChild(pPr, 'sectPr')) return false;
+  if (paragraph.getElementsByTagNameNS(W_NS, 'p').length > 0) return false;
+
+  const parent = paragraph.parentNode;
+  return Boolean(parent) && getChildren(parent, 'p').length > 1;
+}
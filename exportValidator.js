@@ -0,0 +1,296 @@
+/**
+ * Export Validator Module
+ * Re-reads a rebuilt DOCX and compares it line by line with the final text, so drift
+ * (missing text, merged paragraphs, lost formatting) is reported before download
+ */
+
+import { parseDocxStructure } from './docxProcessor.js';
+
+// Character formatting compared between the runs we wrote and the runs read back
+const MARKS = ['bold', 'italic', 'underline'];
+
+/**
+ * Check a rebuilt DOCX against the final text
+ * @param {Blob} docxBlob - Output of rebuildDocx
+ * @param {string} finalText - Text the exported document should contain
+ * @param {Array} modifiedRuns - Runs that were passed to rebuildDocx (output of mapTextToRuns)
+ * @returns {Promise<Object>} Report: { ok, issues, expectedLines, lineOwners }. Each issue has
+ *   kind ('missing' | 'extra' | 'changed' | 'merged' | 'split' | 'formatting'), line (1-based,
+ *   in the final text), message and paragraphIds (output paragraphs a plain-formatting
+ *   fallback would rewrite)
+ */
+export async function validateDocxExport(docxBlob, finalText, modifiedRuns) {
+  let rebuilt;
+  try {
+    rebuilt = await parseDocxStructure(docxBlob);
+  } catch (parseError) {
+    throw new Error(`Exported DOCX could not be read back: ${parseError.message}`);
+  }
+
+  if (typeof window.diff_match_patch === 'undefined') {
+    throw new Error('diff-match-patch library not loaded');
+  }
+
+  const expectedLines = finalText.replace(/\r/g, '').trim().split('\n');
+
+  const runsByParagraph = new Map();
+  rebuilt.runs.forEach((run) => {
+    if (!runsByParagraph.has(run.paragraphIndex)) runsByParagraph.set(run.paragraphIndex, []);
+    runsByParagraph.get(run.paragraphIndex).push(run);
+  });
+  const actual = toLines(rebuilt.paragraphs.map(paragraph => ({
+    key: paragraph.index,
+    runs: runsByParagraph.get(paragraph.index) || []
+  })));
+  const mapped = toLines(groupByOutputParagraph(modifiedRuns));
+
+  // Which output paragraph each line of the final text was mapped into
+  const mappedAlignment = alignLines(expectedLines, mapped.map(line => line.text));
+  const mappedLineFor = new Map();
+  mappedAlignment.forEach((operation) => {
+    if (operation.right.length === 0) return;
+    operation.left.forEach(index => mappedLineFor.set(index, operation.right[0]));
+  });
+  const lineOwners = expectedLines.map((_, index) => {
+    // Lines that were never mapped belong to the nearest mapped line before (or after) them
+    for (let offset = 0; offset < expectedLines.length; offset++) {
+      const candidate = [index - offset, index + offset].find(i => mappedLineFor.has(i));
+      if (candidate !== undefined) return mapped[mappedLineFor.get(candidate)].key;
+    }
+    return null;
+  });
+  const ownersOf = indices => [...new Set(indices.map(index => lineOwners[index]).filter(key => key !== null))];
+
+  const issues = [];
+  alignLines(expectedLines, actual.map(line => line.text)).forEach((operation) => {
+    const { type, left, right } = operation;
+    const line = left.length ? left[0] + 1 : Math.min(right[0] + 1, expectedLines.length);
+    const expected = left.map(index => expectedLines[index]).join('\n');
+    const found = right.map(index => actual[index].text).join('\n');
+
+    if (type === 'equal') {
+      const mappedLine = mappedLineFor.has(left[0]) ? mapped[mappedLineFor.get(left[0])] : null;
+      if (!mappedLine || mappedLine.text !== found) return;
+      const lost = describeFormattingDrift(mappedLine.marks, actual[right[0]].marks, found);
+      if (lost) {
+        issues.push({ kind: 'formatting', line, expected, actual: found, message: `Formatting changed: ${lost}`, paragraphIds: ownersOf(left) });
+      }
+      return;
+    }
+
+    const messages = {
+      missing: 'Missing from the document',
+      extra: found.trim()
+        ? 'Extra line in the document, not in the final text'
+        : 'Extra empty paragraph in the document (e.g. a table cell or section break that cannot be removed)',
+      changed: 'Text differs in the document',
+      merged: `${left.length} lines were merged into one paragraph`,
+      split: `Line was split into ${right.length} paragraphs`
+    };
+    issues.push({ kind: type, line, expected, actual: found, message: messages[type], paragraphIds: ownersOf(left) });
+  });
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    expectedLines,
+    lineOwners
+  };
+}
+
+/**
+ * Rewrite the output paragraphs named by a report's issues as plain text (default run
+ * formatting, paragraph properties kept), using the final text lines they should hold.
+ * Paragraphs without issues keep their runs.
+ * @param {Array} modifiedRuns - Output of mapTextToRuns
+ * @param {Object} report - Report from validateDocxExport
+ * @returns {Array} Runs to pass to rebuildDocx
+ */
+export function applyPlainFormatting(modifiedRuns, report) {
+  const affected = new Set(report.issues.flatMap(issue => issue.paragraphIds));
+  const linesByParagraph = new Map();
+  report.lineOwners.forEach((key, index) => {
+    if (!affected.has(key)) return;
+    if (!linesByParagraph.has(key)) linesByParagraph.set(key, []);
+    linesByParagraph.get(key).push(report.expectedLines[index]);
+  });
+
+  const result = [];
+  const written = new Set();
+  modifiedRuns.forEach((piece) => {
+    const key = paragraphKey(piece);
+    if (!affected.has(key)) {
+      result.push({ ...piece, runIndex: result.length });
+      return;
+    }
+    if (written.has(key)) return;
+    written.add(key);
+
+    const text = (linesByParagraph.get(key) || []).join('\n');
+    result.push({
+      text,
+      type: text ? 'text' : 'paragraph',
+      properties: {},
+      paragraphIndex: piece.paragraphIndex,
+      runIndex: result.length,
+      region: piece.region,
+      hyperlink: null,
+      sourceIndex: null, // No source run: written with default formatting
+      originalRPr: null,
+      paragraphId: piece.paragraphId,
+      insertedParagraph: piece.insertedParagraph
+    });
+  });
+
+  return result;
+}
+
+function paragraphKey(piece) {
+  return piece.paragraphId ?? piece.paragraphIndex;
+}
+
+function groupByOutputParagraph(pieces) {
+  const paragraphs = [];
+  pieces.forEach((piece) => {
+    const key = paragraphKey(piece);
+    const current = paragraphs[paragraphs.length - 1];
+    if (current && current.key === key) {
+      current.runs.push(piece);
+    } else {
+      paragraphs.push({ key, runs: [piece] });
+    }
+  });
+  return paragraphs;
+}
+
+/**
+ * Flatten paragraphs into text lines (line breaks inside a paragraph start a new line),
+ * with one formatting mark string per character. Blank lines at either end are dropped
+ * and the outer whitespace trimmed, matching how plainText is trimmed.
+ */
+function toLines(paragraphs) {
+  const lines = [];
+  paragraphs.forEach(({ key, runs }) => {
+    let line = { key, text: '', marks: [] };
+    lines.push(line);
+    runs.forEach((run) => {
+      if (run.change === 'delete') return;
+      const mark = MARKS.filter(name => run.properties && run.properties[name]).join('+');
+      (run.text || '').split('').forEach((char) => {
+        if (char === '\n') {
+          line = { key, text: '', marks: [] };
+          lines.push(line);
+          return;
+        }
+        line.text += char;
+        line.marks.push(mark);
+      });
+    });
+  });
+
+  while (lines.length && !lines[0].text.trim()) lines.shift();
+  while (lines.length && !lines[lines.length - 1].text.trim()) lines.pop();
+  if (lines.length) {
+    const first = lines[0];
+    const leading = first.text.length - first.text.trimStart().length;
+    first.text = first.text.slice(leading);
+    first.marks = first.marks.slice(leading);
+
+    const last = lines[lines.length - 1];
+    last.text = last.text.trimEnd();
+    last.marks = last.marks.slice(0, last.text.length);
+  }
+  return lines;
+}
+
+/**
+ * Describe formatting that differs between two renderings of the same line
+ * (whitespace is ignored), e.g. 'bold lost on "Led team"'
+ */
+function describeFormattingDrift(expectedMarks, actualMarks, text) {
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i]) || expectedMarks[i] === actualMarks[i]) continue;
+
+    let end = i;
+    while (end < text.length && (/\s/.test(text[end]) || expectedMarks[end] !== actualMarks[end])) end++;
+    const wanted = (expectedMarks[i] || '').split('+').filter(Boolean);
+    const got = (actualMarks[i] || '').split('+').filter(Boolean);
+    const lost = wanted.filter(mark => !got.includes(mark));
+    const added = got.filter(mark => !wanted.includes(mark));
+    const changes = [
+      ...lost.map(mark => `${mark} lost`),
+      ...added.map(mark => `${mark} added`)
+    ].join(', ');
+    return `${changes} on "${text.slice(i, end).trim()}"`;
+  }
+  return '';
+}
+
+/**
+ * Align two lists of lines (diff-match-patch line mode) and classify each difference
+ * @returns {Array} Operations { type, left, right } with line indices on each side
+ */
+function alignLines(left, right) {
+  const dmp = new window.diff_match_patch();
+  const encoded = dmp.diff_linesToChars_(
+    left.map(line => `${line}\n`).join(''),
+    right.map(line => `${line}\n`).join('')
+  );
+  const diffs = dmp.diff_main(encoded.chars1, encoded.chars2, false);
+
+  const operations = [];
+  let leftIdx = 0;
+  let rightIdx = 0;
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    if (removed.length || added.length) {
+      operations.push(...classifyChange(removed, added, left, right));
+    }
+    removed = [];
+    added = [];
+  };
+
+  diffs.forEach(([op, chars]) => {
+    // In line mode every character stands for one line
+    for (let i = 0; i < chars.length; i++) {
+      if (op === window.DIFF_EQUAL) {
+        flush();
+        operations.push({ type: 'equal', left: [leftIdx++], right: [rightIdx++] });
+      } else if (op === window.DIFF_DELETE) {
+        removed.push(leftIdx++);
+      } else {
+        added.push(rightIdx++);
+      }
+    }
+  });
+  flush();
+
+  return operations;
+}
+
+/**
+ * Turn a block of removed/added lines into merged, split, changed, missing and extra operations
+ */
+function classifyChange(removed, added, left, right) {
+  const squash = text => text.replace(/\s+/g, ' ').trim();
+  const joins = lines => [' ', ''].map(separator => squash(lines.join(separator)));
+
+  if (added.length === 1 && removed.length > 1 &&
+      joins(removed.map(index => left[index])).includes(squash(right[added[0]]))) {
+    return [{ type: 'merged', left: removed, right: added }];
+  }
+  if (removed.length === 1 && added.length > 1 &&
+      joins(added.map(index => right[index])).includes(squash(left[removed[0]]))) {
+    return [{ type: 'split', left: removed, right: added }];
+  }
+
+  const operations = [];
+  const paired = Math.min(removed.length, added.length);
+  for (let i = 0; i < paired; i++) {
+    operations.push({ type: 'changed', left: [removed[i]], right: [added[i]] });
+  }
+  removed.slice(paired).forEach(index => operations.push({ type: 'missing', left: [index], right: [] }));
+  added.slice(paired).forEach(index => operations.push({ type: 'extra', left: [], right: [index] }));
+  return operations;
+}
@@ -0,0 +1,57 @@
+/**
+ * Anthropic Provider Module
+ * Adapter for the Anthropic Messages API
+ */
+
+import { postJson, readErrorMessage, parseJson, DEFAULT_TEMPERATURE } from './providerHttp.js';
+import { getStreamFormat, readEventStream } from './llmStream.js';
+
+const ANTHROPIC_ENDPOINT = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic',
+
+  isConfigured(settings) {
+    return Boolean(settings.anthropicApiKey);
+  },
+
+  async complete(settings, { system, prompt, signal, onToken, temperature = DEFAULT_TEMPERATURE }) {
+    const response = await postJson(this.label, ANTHROPIC_ENDPOINT, {
+      'x-api-key': settings.anthropicApiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      // Required for requests made from a browser context
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }, {
+      model: settings.anthropicModel || 'claude-sonnet-4-5',
+      max_tokens: 4000,
+      temperature,
+      ...(system ? { system } : {}),
+      messages: [{ role: 'user', content: prompt }],
+      stream: Boolean(onToken)
+    }, signal);
+
+    if (!onToken || getStreamFormat(response) !== 'sse') {
+      const data = await response.json();
+      return (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    }
+
+    let content = '';
+    await readEventStream(response, (eventData) => {
+      const event = parseJson(eventData);
+      if (!event) return;
+      if (event.type === 'error') {
+        throw new Error(`${this.label} stream failed: ${readErrorMessage(event)}`);
+      }
+      if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+        content += event.delta.text;
+        onToken(event.delta.text, content);
+      }
+    });
+    return content;
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Azure OpenAI Provider Module
+ * Adapter for Azure OpenAI deployments: the model is chosen by the deployment name in the
+ * URL, the API version is a query parameter and the key goes in the api-key header
+ */
+
+import { requestChatCompletion, buildMessages } from './openaiProvider.js';
+
+export const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+export const azureProvider = {
+  id: 'azure',
+  label: 'Azure OpenAI',
+
+  isConfigured(settings) {
+    return Boolean(settings.azureEndpoint && settings.azureDeployment && settings.azureApiKey);
+  },
+
+  async complete(settings, { system, prompt, signal, onToken, temperature }) {
+    return requestChatCompletion(this.label, buildAzureUrl(settings), { 'api-key': settings.azureApiKey }, {
+      messages: buildMessages(system, prompt)
+    }, { signal, onToken, temperature });
+  }
+};
+
+/**
+ * Chat completions URL for a deployment, from the resource endpoint
+ * (e.g. https://my-resource.openai.azure.com)
+ */
+function buildAzureUrl(settings) {
+  const base = settings.azureEndpoint.replace(/\/+$/, '').replace(/\/openai$/, '');
+  const deployment = encodeURIComponent(settings.azureDeployment);
+  const version = encodeURIComponent(settings.azureApiVersion || DEFAULT_AZURE_API_VERSION);
+  return `${base}/openai/deployments/${deployment}/chat/completions?api-version=${version}`;
+}
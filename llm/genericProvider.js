@@ -0,0 +1,57 @@
+/**
+ * Generic Provider Module
+ * Adapter for custom JSON endpoints: the caller's payload is posted as is and the text is
+ * read from tailoredText, text, response or content. With onToken, chunked text and
+ * newline-delimited JSON bodies are read as they arrive.
+ */
+
+import { postJson, parseJson } from './providerHttp.js';
+import { getStreamFormat, readChunks, readLines } from './llmStream.js';
+
+export const genericProvider = {
+  id: 'generic',
+  label: 'Generic endpoint',
+
+  isConfigured(settings) {
+    return Boolean(settings.llmEndpoint);
+  },
+
+  async complete(settings, { system, prompt, payload, signal, onToken }) {
+    const headers = settings.llmApiKey ? { Authorization: `Bearer ${settings.llmApiKey}` } : {};
+    const response = await postJson(this.label, settings.llmEndpoint, headers, payload || { prompt, system }, signal);
+
+    const format = onToken ? getStreamFormat(response) : null;
+    if (format === 'ndjson') {
+      let text = '';
+      await readLines(response, (line) => {
+        const piece = line.trim() ? readGenericText(parseJson(line) || '') : '';
+        if (piece) {
+          text += piece;
+          onToken(piece, text);
+        }
+      });
+      return text;
+    }
+
+    if (format === 'text') {
+      let text = '';
+      const body = await readChunks(response, (chunk) => {
+        text += chunk;
+        onToken(chunk, text);
+      });
+      // Some servers send a JSON document as text/plain
+      const parsed = parseJson(body);
+      return parsed ? readGenericText(parsed) : body;
+    }
+
+    return readGenericText(await response.json());
+  }
+};
+
+function readGenericText(data) {
+  // Support multiple response formats
+  if (typeof data === 'string') {
+    return data;
+  }
+  return data.tailoredText || data.text || data.response || data.content || '';
+}
@@ -0,0 +1,56 @@
+/**
+ * LLM Service Module
+ * Provider registry: picks the adapter for the configured provider (settings.llmMode)
+ * and runs completions through it
+ *
+ * Every adapter has the same shape:
+ *   { id, label, isConfigured(settings), complete(settings, request) }
+ * where request is { system, prompt, payload, signal, onToken(delta, text), temperature }.
+ * Chat providers use system + prompt; the generic provider posts payload when given.
+ * temperature is optional (DEFAULT_TEMPERATURE in providerHttp.js when left out).
+ */
+
+import { openaiProvider } from './openaiProvider.js';
+import { azureProvider } from './azureProvider.js';
+import { anthropicProvider } from './anthropicProvider.js';
+import { ollamaProvider } from './ollamaProvider.js';
+import { genericProvider } from './genericProvider.js';
+
+const PROVIDERS = [openaiProvider, azureProvider, anthropicProvider, ollamaProvider, genericProvider];
+
+/**
+ * Adapter for the configured provider (OpenAI when the setting is unknown)
+ * @param {Object} settings - Stored settings
+ * @returns {Object} Provider adapter
+ */
+export function getProvider(settings) {
+  return PROVIDERS.find(provider => provider.id === settings.llmMode) || openaiProvider;
+}
+
+/**
+ * Whether the configured provider has everything it needs to make requests
+ * @param {Object} settings - Stored settings
+ * @returns {boolean}
+ */
+export function isLlmConfigured(settings) {
+  return getProvider(settings).isConfigured(settings);
+}
+
+/**
+ * Run a completion with the configured provider
+ * @param {Object} settings - Stored settings
+ * @param {Object} request - { system, prompt, payload, signal, onToken, temperature }
+ * @returns {Promise<string>} Trimmed response text
+ */
+export async function callLlm(settings, request) {
+  const provider = getProvider(settings);
+  if (!provider.isConfigured(settings)) {
+    throw new Error(`${provider.label} is not configured. Add its details in Settings.`);
+  }
+
+  const text = await provider.complete(settings, request);
+  if (!text || !text.trim()) {
+    throw new Error(`Empty response from ${provider.label}`);
+  }
+  return text.trim();
+}
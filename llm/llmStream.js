@@ -0,0 +1,80 @@
+/**
+ * LLM Stream Module
+ * Reads streamed LLM responses: server-sent events from OpenAI-compatible endpoints,
+ * newline-delimited JSON and plain chunked bodies
+ */
+
+/**
+ * Whether a response is streamed in a format these readers understand
+ * @param {Response} response - Fetch response
+ * @returns {string|null} 'sse', 'ndjson', 'text' or null (a single JSON document)
+ */
+export function getStreamFormat(response) {
+  if (!response.body) return null;
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+  if (contentType.includes('text/event-stream')) return 'sse';
+  if (/ndjson|jsonlines|jsonl/.test(contentType)) return 'ndjson';
+  if (contentType.includes('json')) return null;
+  return 'text';
+}
+
+/**
+ * Read a body chunk by chunk
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onChunk - Called with each decoded chunk
+ * @returns {Promise<string>} The whole body
+ */
+export async function readChunks(response, onChunk) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    const chunk = done ? decoder.decode() : decoder.decode(value, { stream: true });
+    if (chunk) {
+      text += chunk;
+      onChunk(chunk);
+    }
+    if (done) return text;
+  }
+}
+
+/**
+ * Read a body line by line (the last line may end without a newline)
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onLine - Called with each line, without its line ending
+ */
+export async function readLines(response, onLine) {
+  let pending = '';
+  await readChunks(response, (chunk) => {
+    pending += chunk;
+    const lines = pending.split(/\r?\n/);
+    pending = lines.pop();
+    lines.forEach(onLine);
+  });
+  if (pending) onLine(pending);
+}
+
+/**
+ * Read server-sent events
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with the data of each event ('[DONE]' included)
+ */
+export async function readEventStream(response, onEvent) {
+  let data = [];
+  const dispatch = () => {
+    if (data.length) onEvent(data.join('\n'));
+    data = [];
+  };
+
+  await readLines(response, (line) => {
+    if (!line) {
+      dispatch();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+    // Comments (':') and other fields (event, id, retry) carry no text
+  });
+  dispatch();
+}
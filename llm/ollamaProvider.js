@@ -0,0 +1,61 @@
+/**
+ * Local Provider Module
+ * Adapter for local servers: Ollama's native chat API, or any OpenAI-compatible local
+ * endpoint such as llama.cpp's server or Ollama's /v1 API (used when the endpoint has /v1)
+ */
+
+import { postJson, readErrorMessage, parseJson, DEFAULT_TEMPERATURE } from './providerHttp.js';
+import { getStreamFormat, readLines } from './llmStream.js';
+import { requestChatCompletion, buildMessages } from './openaiProvider.js';
+
+export const DEFAULT_OLLAMA_ENDPOINT = 'http://localhost:11434';
+
+export const ollamaProvider = {
+  id: 'ollama',
+  label: 'Local model (Ollama / llama.cpp)',
+
+  isConfigured(settings) {
+    return Boolean(settings.ollamaEndpoint && settings.ollamaModel);
+  },
+
+  async complete(settings, { system, prompt, signal, onToken, temperature = DEFAULT_TEMPERATURE }) {
+    const base = settings.ollamaEndpoint.replace(/\/+$/, '');
+    const messages = buildMessages(system, prompt);
+    // Local servers usually run without a key; send one only when configured
+    const headers = settings.ollamaApiKey ? { Authorization: `Bearer ${settings.ollamaApiKey}` } : {};
+
+    if (/\/v1(\/|$)/.test(base)) {
+      const url = /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+      return requestChatCompletion(this.label, url, headers, { model: settings.ollamaModel, messages }, { signal, onToken, temperature });
+    }
+
+    const url = /\/api\/chat$/.test(base) ? base : `${base}/api/chat`;
+    const response = await postJson(this.label, url, headers, {
+      model: settings.ollamaModel,
+      messages,
+      stream: Boolean(onToken),
+      options: { temperature, num_predict: 4000 }
+    }, signal);
+
+    if (!onToken || !getStreamFormat(response)) {
+      const data = await response.json();
+      return data.message ? data.message.content || '' : '';
+    }
+
+    // Streamed as one JSON object per line
+    let content = '';
+    await readLines(response, (line) => {
+      const chunk = line.trim() ? parseJson(line) : null;
+      if (!chunk) return;
+      if (chunk.error) {
+        throw new Error(`${this.label} stream failed: ${readErrorMessage(chunk)}`);
+      }
+      const delta = chunk.message ? chunk.message.content || '' : '';
+      if (delta) {
+        content += delta;
+        onToken(delta, content);
+      }
+    });
+    return content;
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * OpenAI Provider Module
+ * Adapter for OpenAI and OpenAI-compatible endpoints, using either the Chat Completions
+ * API or the Responses API. The chat request is shared with the Azure and local adapters.
+ */
+
+import { postJson, readErrorMessage, parseJson, DEFAULT_TEMPERATURE } from './providerHttp.js';
+import { getStreamFormat, readEventStream } from './llmStream.js';
+
+export const openaiProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+
+  isConfigured(settings) {
+    return Boolean(settings.llmEndpoint && settings.llmApiKey);
+  },
+
+  async complete(settings, { system, prompt, signal, onToken, temperature }) {
+    const headers = { Authorization: `Bearer ${settings.llmApiKey}` };
+    const model = settings.llmModel || 'gpt-4o-mini';
+
+    if (settings.openaiApi === 'responses' || /\/responses\/?$/.test(settings.llmEndpoint)) {
+      return requestResponse(this.label, settings.llmEndpoint, headers, { model, system, prompt }, { signal, onToken, temperature });
+    }
+    return requestChatCompletion(this.label, settings.llmEndpoint, headers, {
+      model,
+      messages: buildMessages(system, prompt)
+    }, { signal, onToken, temperature });
+  }
+};
+
+/**
+ * System + user messages in chat format (the system message is left out when empty)
+ */
+export function buildMessages(system, prompt) {
+  return [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    { role: 'user', content: prompt }
+  ];
+}
+
+/**
+ * Run a Chat Completions request, streaming deltas when onToken is given
+ * @param {string} label - Provider name for errors
+ * @param {string} url - Chat completions URL
+ * @param {Object} headers - Auth headers
+ * @param {Object} body - model (optional for Azure) and messages
+ * @param {Object} options - { signal, onToken(delta, text), temperature }
+ * @returns {Promise<string>} Message content
+ */
+export async function requestChatCompletion(label, url, headers, body, { signal, onToken, temperature = DEFAULT_TEMPERATURE } = {}) {
+  const response = await postJson(label, url, headers, {
+    ...body,
+    temperature,
+    max_completion_tokens: 4000,  // Token limit for cost control and reasonable response length
+    stream: Boolean(onToken)
+  }, signal);
+
+  if (!onToken || getStreamFormat(response) !== 'sse') {
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+    return choice && choice.message ? choice.message.content || '' : '';
+  }
+
+  let content = '';
+  await readEventStream(response, (eventData) => {
+    if (eventData === '[DONE]') return;
+    const chunk = parseJson(eventData);
+    if (!chunk) return;
+    if (chunk.error) {
+      throw new Error(`${label} stream failed: ${readErrorMessage(chunk)}`);
+    }
+    // Some servers (e.g. Azure) send chunks without choices for content filtering results
+    const choice = chunk.choices && chunk.choices[0];
+    const delta = choice && choice.delta ? choice.delta.content || '' : '';
+    if (delta) {
+      content += delta;
+      onToken(delta, content);
+    }
+  });
+  return content;
+}
+
+/**
+ * Run a Responses API request, streaming output_text deltas when onToken is given.
+ * Temperature is sent only when the request sets one (reasoning models reject it).
+ */
+async function requestResponse(label, url, headers, { model, system, prompt }, { signal, onToken, temperature }) {
+  const response = await postJson(label, url, headers, {
+    model,
+    ...(system ? { instructions: system } : {}),
+    ...(temperature !== undefined ? { temperature } : {}),
+    input: prompt,
+    max_output_tokens: 4000,
+    stream: Boolean(onToken)
+  }, signal);
+
+  if (!onToken || getStreamFormat(response) !== 'sse') {
+    return readResponseOutput(await response.json());
+  }
+
+  let content = '';
+  await readEventStream(response, (eventData) => {
+    const event = parseJson(eventData);
+    if (!event) return;
+    if (event.type === 'error' || event.type === 'response.failed') {
+      throw new Error(`${label} stream failed: ${readErrorMessage(event.response || event) || 'unknown error'}`);
+    }
+    if (event.type === 'response.output_text.delta' && event.delta) {
+      content += event.delta;
+      onToken(event.delta, content);
+    }
+  });
+  return content;
+}
+
+function readResponseOutput(data) {
+  if (typeof data.output_text === 'string') return data.output_text;
+  return (data.output || [])
+    .filter(item => item.type === 'message')
+    .flatMap(item => item.content || [])
+    .filter(part => part.type === 'output_text')
+    .map(part => part.text)
+    .join('');
+}
@@ -0,0 +1,81 @@
+/**
+ * Provider HTTP Module
+ * Shared request and error handling for the LLM provider adapters, so every provider
+ * fails with the same message shape: "<Provider> request failed (<status>): <detail>. <hint>"
+ */
+
+const STATUS_HINTS = {
+  400: 'Check the model name and request settings.',
+  401: 'Check the API key.',
+  403: 'Check the API key and that this extension is allowed to call the endpoint.',
+  404: 'Check the endpoint, model or deployment name.',
+  429: 'Rate limited or out of quota; try again shortly.'
+};
+
+// Lower temperature for more consistent, focused responses; requests may override it
+export const DEFAULT_TEMPERATURE = 0.3;
+
+/**
+ * POST a JSON body to a provider
+ * @param {string} label - Provider name for error messages
+ * @param {string} url - Endpoint URL
+ * @param {Object} headers - Extra headers (auth, versions)
+ * @param {Object} body - Request body
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Response>} The response (status 2xx)
+ */
+export async function postJson(label, url, headers, body, signal) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new Error(`${label} could not be reached at ${url}: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw await toProviderError(label, response);
+  }
+  return response;
+}
+
+/**
+ * Build an error from a failed provider response
+ * @param {string} label - Provider name
+ * @param {Response} response - Non-2xx response
+ * @returns {Promise<Error>}
+ */
+export async function toProviderError(label, response) {
+  const body = await response.text().catch(() => '');
+  const detail = readErrorMessage(parseJson(body)) || body.replace(/\s+/g, ' ').trim().slice(0, 200);
+  const hint = STATUS_HINTS[response.status] || '';
+  return new Error(`${label} request failed (${response.status})${detail ? `: ${detail}` : ''}${hint ? `. ${hint}` : ''}`);
+}
+
+/**
+ * Error text from the error shapes providers use: { error: { message } }, { error: '...' },
+ * { message }, { detail }
+ * @param {*} data - Parsed response body or stream event
+ * @returns {string} Message, or '' when there is none
+ */
+export function readErrorMessage(data) {
+  if (!data || typeof data !== 'object') return '';
+  if (data.error && typeof data.error === 'object' && data.error.message) return data.error.message;
+  if (typeof data.error === 'string') return data.error;
+  if (typeof data.message === 'string') return data.message;
+  if (typeof data.detail === 'string') return data.detail;
+  return '';
+}
+
+export function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
@@ -6,7 +6,17 @@ const fields = {
   llmEndpoint: document.getElementById('llmEndpoint'),
   llmModel: document.getElementById('llmModel'),
   llmMode: document.getElementById('llmMode'),
-  llmKey: document.getElementById('llmKey')
+  llmKey: document.getElementById('llmKey'),
+  openaiApi: document.getElementById('openaiApi'),
+  azureEndpoint: document.getElementById('azureEndpoint'),
+  azureDeployment: document.getElementById('azureDeployment'),
+  azureApiVersion: document.getElementById('azureApiVersion'),
+  azureKey: document.getElementById('azureKey'),
+  anthropicModel: document.getElementById('anthropicModel'),
+  anthropicKey: document.getElementById('anthropicKey'),
+  ollamaEndpoint: document.getElementById('ollamaEndpoint'),
+  ollamaModel: document.getElementById('ollamaModel'),
+  ollamaKey: document.getElementById('ollamaKey')
 };
 
 const defaults = {
@@ -14,7 +24,17 @@ const defaults = {
   llmEndpoint: 'https://api.openai.com/v1/chat/completions',
   llmModel: 'gpt-5.2',
   llmMode: 'openai',
-  llmApiKey: ''
+  llmApiKey: '',
+  openaiApi: 'chat',
+  azureEndpoint: '',
+  azureDeployment: '',
+  azureApiVersion: '2024-10-21',
+  azureApiKey: '',
+  anthropicModel: 'claude-sonnet-4-5',
+  anthropicApiKey: '',
+  ollamaEndpoint: 'http://localhost:11434',
+  ollamaModel: 'llama3.1',
+  ollamaApiKey: ''
 };
 
 function setStatus(message, tone = 'neutral') {
@@ -29,8 +49,28 @@ async function loadSettings() {
   fields.llmModel.value = saved.llmModel || '';
   fields.llmMode.value = saved.llmMode || 'openai';
   fields.llmKey.value = saved.llmApiKey || '';
+  fields.openaiApi.value = saved.openaiApi || 'chat';
+  fields.azureEndpoint.value = saved.azureEndpoint || '';
+  fields.azureDeployment.value = saved.azureDeployment || '';
+  fields.azureApiVersion.value = saved.azureApiVersion || '';
+  fields.azureKey.value = saved.azureApiKey || '';
+  fields.anthropicModel.value = saved.anthropicModel || '';
+  fields.anthropicKey.value = saved.anthropicApiKey || '';
+  fields.ollamaEndpoint.value = saved.ollamaEndpoint || '';
+  fields.ollamaModel.value = saved.ollamaModel || '';
+  fields.ollamaKey.value = saved.ollamaApiKey || '';
+  showProviderFields();
 }
 
+// Show only the fields the selected provider uses
+function showProviderFields() {
+  document.querySelectorAll('[data-providers]').forEach((field) => {
+    field.hidden = !field.dataset.providers.split(' ').includes(fields.llmMode.value);
+  });
+}
+
+fields.llmMode.addEventListener('change', showProviderFields);
+
 form.addEventListener('submit', async (event) => {
   event.preventDefault();
   await chrome.storage.sync.set({
@@ -38,7 +78,17 @@ form.addEventListener('submit', async (event) => {
     llmEndpoint: fields.llmEndpoint.value.trim(),
     llmModel: fields.llmModel.value.trim(),
     llmMode: fields.llmMode.value,
-    llmApiKey: fields.llmKey.value.trim()
+    llmApiKey: fields.llmKey.value.trim(),
+    openaiApi: fields.openaiApi.value,
+    azureEndpoint: fields.azureEndpoint.value.trim(),
+    azureDeployment: fields.azureDeployment.value.trim(),
+    azureApiVersion: fields.azureApiVersion.value.trim(),
+    azureApiKey: fields.azureKey.value.trim(),
+    anthropicModel: fields.anthropicModel.value.trim(),
+    anthropicApiKey: fields.anthropicKey.value.trim(),
+    ollamaEndpoint: fields.ollamaEndpoint.value.trim(),
+    ollamaModel: fields.ollamaModel.value.trim(),
+    ollamaApiKey: fields.ollamaKey.value.trim()
   });
   setStatus('Settings saved.');
 });
@@ -0,0 +1,140 @@
+/**
+ * PDF Exporter Module
+ * Renders the final resume as styled HTML and saves it as a PDF via html2pdf
+ */
+
+/**
+ * Build a download filename from the company and role
+ * @param {string} company - Company name
+ * @param {string} role - Role title
+ * @param {string} extension - File extension without the dot
+ * @param {string} [documentType] - Last part of the name, e.g. 'cover-letter'
+ * @returns {string} e.g. "acme-labs-product-designer-resume.pdf"
+ */
+export function buildExportFilename(company, role, extension, documentType = 'resume') {
+  const slug = [company, role]
+    .map(part => (part || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .join('-');
+  return `${slug || 'tailored'}-${documentType}.${extension}`;
+}
+
+/**
+ * Convert DOCX run properties to inline CSS
+ * @param {Object} properties - Run properties from parseDocxStructure
+ * @returns {string} CSS declarations
+ */
+export function runPropertiesToCss(properties = {}) {
+  const css = [];
+  if (properties.bold) css.push('font-weight: 700');
+  if (properties.italic) css.push('font-style: italic');
+  if (properties.underline) css.push('text-decoration: underline');
+  if (properties.fontSize) {
+    // w:sz is stored in half-points
+    const points = Number(properties.fontSize) / 2;
+    if (points > 0) css.push(`font-size: ${points}pt`);
+  }
+  if (properties.color && /^[0-9a-f]{6}$/i.test(properties.color)) {
+    css.push(`color: #${properties.color}`);
+  }
+  if (properties.font) {
+    css.push(`font-family: "${properties.font.replace(/"/g, '')}", "Georgia", serif`);
+  }
+  return css.join('; ');
+}
+
+function createParagraph() {
+  const paragraph = document.createElement('p');
+  paragraph.className = 'pdf-paragraph';
+  return paragraph;
+}
+
+function finishParagraph(container, paragraph) {
+  if (!paragraph.textContent) {
+    // Keep blank lines so spacing between sections survives
+    paragraph.textContent = ' ';
+  }
+  container.appendChild(paragraph);
+}
+
+/**
+ * Render formatted runs (output of mapTextToRuns) into a container, one <p> per paragraph
+ * @param {HTMLElement} container - Target element (emptied first)
+ * @param {Array} runs - Runs with text, properties and paragraphId (or paragraphIndex)
+ */
+export function renderRunsToHtml(container, runs) {
+  container.innerHTML = '';
+
+  const paragraphKey = run => run.paragraphId ?? run.paragraphIndex;
+  let paragraph = createParagraph();
+  let currentParagraph = runs.length ? paragraphKey(runs[0]) : null;
+
+  runs.forEach((run) => {
+    if (paragraphKey(run) !== currentParagraph) {
+      finishParagraph(container, paragraph);
+      paragraph = createParagraph();
+      currentParagraph = paragraphKey(run);
+    }
+
+    if (run.change === 'delete') return;
+
+    const style = runPropertiesToCss(run.properties);
+    // Inserted text may carry its own line breaks
+    (run.text || '').split('\n').forEach((line, lineIdx) => {
+      if (lineIdx > 0) {
+        finishParagraph(container, paragraph);
+        paragraph = createParagraph();
+      }
+      if (!line) return;
+      const span = document.createElement('span');
+      span.textContent = line;
+      if (style) span.style.cssText = style;
+      paragraph.appendChild(span);
+    });
+  });
+
+  finishParagraph(container, paragraph);
+}
+
+/**
+ * Render plain text into a container, one <p> per line
+ * @param {HTMLElement} container - Target element (emptied first)
+ * @param {string} text - Plain resume text
+ */
+export function renderPlainTextToHtml(container, text) {
+  container.innerHTML = '';
+  text.split('\n').forEach((line) => {
+    const paragraph = createParagraph();
+    paragraph.textContent = line;
+    finishParagraph(container, paragraph);
+  });
+}
+
+/**
+ * Save a rendered element as a PDF download
+ * @param {HTMLElement} element - Rendered resume content
+ * @param {string} filename - Download filename
+ * @returns {Promise<Blob>} The downloaded PDF
+ */
+export async function exportElementToPdf(element, filename) {
+  if (typeof window.html2pdf === 'undefined') {
+    throw new Error('html2pdf library not loaded. Please include html2pdf.bundle.min.js in HTML.');
+  }
+
+  const worker = window.html2pdf()
+    .set({
+      margin: [12, 14, 12, 14],
+      filename,
+      image: { type: 'jpeg', quality: 0.98 },
+      html2canvas: { scale: 2, useCORS: true, backgroundColor: '#ffffff' },
+      jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' },
+      pagebreak: { mode: ['css', 'legacy'] }
+    })
+    .from(element)
+    .toPdf();
+
+  // Both calls reuse the PDF rendered by toPdf
+  const blob = await worker.outputPdf('blob');
+  await worker.save();
+  return blob;
+}
@@ -0,0 +1,293 @@
+/**
+ * PDF Processor Module
+ * Rebuilds resume text (reading order, line breaks, bullets) from the PDF text layer using pdf.js
+ */
+
+// Glyphs PDF generators commonly use for list bullets, including the Symbol/Wingdings
+// private-use code points Word emits when a resume is printed to PDF
+const BULLET_PATTERN = /^\s*(?:[•●○◦▪■□►▸‣⁃∙·*]|[\uF0A7\uF0B7\uF076\uF0D8\uF0FC]|[-–](?=\s))\s*/;
+
+let pdfjsPromise = null;
+
+/**
+ * Lazily load the bundled pdf.js build and point it at the bundled worker
+ * @returns {Promise<Object>} pdf.js module namespace
+ */
+function loadPdfJs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('./vendor/pdf.mjs').then((pdfjsLib) => {
+      pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('vendor/pdf.worker.mjs');
+      return pdfjsLib;
+    });
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Check whether a selected file is a PDF (by MIME type or extension)
+ * @param {File} file - The selected file
+ * @returns {boolean} True if the file looks like a PDF
+ */
+export function isPdfFile(file) {
+  if (!file) return false;
+  return file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+}
+
+/**
+ * Extract resume text from a PDF, reconstructing reading order, line breaks and bullets
+ * @param {File} file - The PDF file
+ * @returns {Promise<Object>} Structure containing plainText, lines and pageCount
+ */
+export async function extractPdfStructure(file) {
+  try {
+    const buffer = await file.arrayBuffer();
+
+    let pdfjsLib;
+    try {
+      pdfjsLib = await loadPdfJs();
+    } catch (loadError) {
+      throw new Error(`PDF library not loaded: ${loadError.message}`);
+    }
+
+    let pdf;
+    try {
+      pdf = await pdfjsLib.getDocument({ data: new Uint8Array(buffer) }).promise;
+    } catch (pdfError) {
+      throw new Error(`Invalid PDF file: ${pdfError.message}`);
+    }
+
+    const lines = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+      const pageLines = buildPageLines(content.items, viewport.width);
+
+      if (pageNumber > 1 && lines.length > 0 && pageLines.length > 0) {
+        lines.push({ text: '', page: pageNumber, bullet: false, blank: true });
+      }
+      pageLines.forEach((line) => lines.push({ ...line, page: pageNumber }));
+    }
+
+    const plainText = lines
+      .map(line => line.text)
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    if (!plainText) {
+      throw new Error('No text layer found in PDF. Scanned (image-only) resumes are not supported.');
+    }
+
+    return {
+      plainText,
+      lines: lines.filter(line => !line.blank),
+      pageCount: pdf.numPages
+    };
+  } catch (error) {
+    console.error('Error extracting PDF text:', error);
+    if (error.message && (
+        error.message.startsWith('PDF library') ||
+        error.message.startsWith('Invalid PDF') ||
+        error.message.startsWith('No text layer')
+      )) {
+      throw error;
+    }
+    throw new Error(`Failed to parse PDF: ${error.message}`);
+  }
+}
+
+/**
+ * Turn pdf.js text items for one page into ordered logical lines
+ * @param {Array} items - pdf.js TextItem list
+ * @param {number} pageWidth - Page width in PDF units
+ * @returns {Array} Lines with text, bullet flag and geometry
+ */
+function buildPageLines(items, pageWidth) {
+  const glyphs = items
+    .filter(item => typeof item.str === 'string' && item.str.length > 0)
+    .map(item => {
+      const fontSize = Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+      return {
+        text: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width || 0,
+        fontSize
+      };
+    });
+
+  if (glyphs.length === 0) {
+    return [];
+  }
+
+  const visualLines = groupIntoVisualLines(glyphs);
+  const gutter = findColumnGutter(visualLines, pageWidth);
+
+  // Order lines: full-width rows flow top to bottom, two-column blocks are read left column first
+  const ordered = [];
+  let leftBlock = [];
+  let rightBlock = [];
+  const flushColumns = () => {
+    ordered.push(...leftBlock, ...rightBlock);
+    leftBlock = [];
+    rightBlock = [];
+  };
+
+  visualLines.forEach((line) => {
+    if (gutter === null || line.glyphs.some(g => g.x < gutter && g.x + g.width > gutter)) {
+      flushColumns();
+      ordered.push(composeLine(line.glyphs));
+      return;
+    }
+    const left = line.glyphs.filter(g => g.x + g.width <= gutter);
+    const right = line.glyphs.filter(g => g.x >= gutter);
+    if (left.length) leftBlock.push(composeLine(left));
+    if (right.length) rightBlock.push(composeLine(right));
+  });
+  flushColumns();
+
+  return mergeWrappedLines(ordered);
+}
+
+/**
+ * Group glyphs that share a baseline into visual lines, top of the page first
+ */
+function groupIntoVisualLines(glyphs) {
+  const sorted = [...glyphs].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+  const lines = [];
+
+  sorted.forEach((glyph) => {
+    const current = lines[lines.length - 1];
+    const tolerance = Math.max(2, glyph.fontSize * 0.4);
+    if (current && Math.abs(current.y - glyph.y) <= tolerance) {
+      current.glyphs.push(glyph);
+    } else {
+      lines.push({ y: glyph.y, glyphs: [glyph] });
+    }
+  });
+
+  lines.forEach(line => line.glyphs.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+/**
+ * Find an x position in the middle of the page that separates two text columns.
+ * Returns null for single-column layouts.
+ */
+function findColumnGutter(lines, pageWidth) {
+  if (!pageWidth || lines.length < 6) {
+    return null;
+  }
+
+  let best = null;
+  for (let x = pageWidth * 0.25; x <= pageWidth * 0.75; x += 2) {
+    let crossing = 0;
+    let leftLines = 0;
+    let rightLines = 0;
+    lines.forEach((line) => {
+      if (line.glyphs.some(g => g.x < x && g.x + g.width > x)) {
+        crossing++;
+        return;
+      }
+      if (line.glyphs.some(g => g.x + g.width <= x)) leftLines++;
+      if (line.glyphs.some(g => g.x >= x)) rightLines++;
+    });
+    if (!best || crossing < best.crossing) {
+      best = { x, crossing, leftLines, rightLines };
+    }
+  }
+
+  // A real gutter is crossed by few lines (e.g. the name header) and has text on both sides
+  const minSide = lines.length * 0.2;
+  if (best && best.crossing <= lines.length * 0.15 && best.leftLines >= minSide && best.rightLines >= minSide) {
+    return best.x;
+  }
+  return null;
+}
+
+/**
+ * Join the glyphs of one visual line, inserting spaces where the gap between glyphs calls for one
+ */
+function composeLine(glyphs) {
+  let text = '';
+  let previous = null;
+
+  glyphs.forEach((glyph) => {
+    if (previous) {
+      const gap = glyph.x - (previous.x + previous.width);
+      const needsSpace = gap > glyph.fontSize * 0.2 && !/\s$/.test(text) && !/^\s/.test(glyph.text);
+      if (needsSpace) {
+        text += gap > glyph.fontSize * 2 ? '\t' : ' ';
+      }
+    }
+    text += glyph.text;
+    previous = glyph;
+  });
+
+  const first = glyphs[0];
+  const last = glyphs[glyphs.length - 1];
+  const bullet = BULLET_PATTERN.test(text);
+  const cleaned = text.replace(/[ \u00A0]+/g, ' ').trim();
+
+  return {
+    text: bullet ? `• ${cleaned.replace(BULLET_PATTERN, '')}` : cleaned,
+    bullet,
+    x: first.x,
+    right: last.x + last.width,
+    y: first.y,
+    fontSize: Math.max(...glyphs.map(g => g.fontSize))
+  };
+}
+
+/**
+ * Merge lines that are soft-wrapped continuations (bullet text or paragraph text) and
+ * insert blank lines where the vertical gap indicates a new section
+ */
+function mergeWrappedLines(lines) {
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const gaps = [];
+  for (let i = 1; i < lines.length; i++) {
+    const gap = lines[i - 1].y - lines[i].y;
+    if (gap > 0) gaps.push(gap);
+  }
+  gaps.sort((a, b) => a - b);
+  const typicalGap = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+  const maxRight = Math.max(...lines.map(line => line.right));
+
+  const result = [];
+  lines.forEach((line) => {
+    const previous = result[result.length - 1];
+    const gap = previous ? previous.y - line.y : 0;
+    const normalSpacing = previous && gap > 0 && typicalGap > 0 && gap <= typicalGap * 1.3;
+    const sameSize = previous && Math.abs(previous.fontSize - line.fontSize) < 0.5;
+
+    const continuesBullet = previous && previous.bullet && !line.bullet && normalSpacing && sameSize &&
+      line.x >= previous.x + 2 && line.x <= previous.x + previous.fontSize * 3;
+    const continuesParagraph = previous && !previous.bullet && !line.bullet && normalSpacing && sameSize &&
+      Math.abs(line.x - previous.x) <= 2 && previous.lastRight >= maxRight * 0.9;
+
+    if (continuesBullet || continuesParagraph) {
+      // A line ending in a hyphenated word ("cross-", "full-") is joined without a space.
+      // The hyphen is kept: compounds wrapped at their hyphen cannot be told apart from
+      // words split by hyphenation, and dropping it would change real words.
+      previous.text = /\S-$/.test(previous.text)
+        ? previous.text + line.text
+        : `${previous.text} ${line.text}`;
+      previous.y = line.y;
+      previous.lastRight = line.right;
+      return;
+    }
+
+    // Section spacing, or jumping back up to the top of the next column
+    if (previous && (gap < 0 || (typicalGap > 0 && gap > typicalGap * 1.6))) {
+      result.push({ text: '', bullet: false, blank: true, y: previous.y, x: previous.x, fontSize: previous.fontSize });
+    }
+    result.push({ ...line, lastRight: line.right });
+  });
+
+  return result.map(({ text, bullet, blank, fontSize }) => ({ text, bullet, blank: Boolean(blank), fontSize }));
+}
@@ -19,7 +19,7 @@ openAppButton.addEventListener('click', async () => {
       console.log('Content script not available, injecting...');
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['contentScript.js']
+        files: chrome.runtime.getManifest().content_scripts[0].js
       });
       // Try sending message again
       await chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_OVERLAY' });
@@ -0,0 +1,179 @@
+/**
+ * Prompt Editor Module
+ * Template editor on the options page: edit the prompt templates, save them as named
+ * presets, preview them with sample data and reset to the built-in defaults
+ */
+
+import {
+  BUILT_IN_PRESET_ID,
+  TEMPLATE_FIELDS,
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  findUnknownVariables,
+  loadPromptPresets,
+  getPresetTemplates,
+  savePromptPreset,
+  deletePromptPreset,
+  setActivePromptPreset
+} from './promptTemplates.js';
+
+// Stand-in values for the preview
+const SAMPLE_VARIABLES = {
+  resume: 'Jane Doe\njane@example.com\n\nEXPERIENCE\nSoftware Engineer, Acme Corp (2021 - Present)\n- Built REST APIs in Node.js serving 2M requests a day\n- Led migration from a monolith to services',
+  job: {
+    title: 'Senior Backend Engineer',
+    company: 'Example Inc',
+    url: 'https://example.com/jobs/123',
+    description: 'We are looking for a backend engineer with Node.js and AWS experience...',
+    additional: 'Remote, Europe time zones'
+  },
+  requirements: '  1. 5+ years building backend services\n  2. Experience with AWS',
+  skills: '  - Node.js\n  - AWS\n  - PostgreSQL',
+  preferred: '  - Kubernetes',
+  experience: '  - Cut AWS costs 30% by moving batch jobs to spot instances [Role: Software Engineer, Acme Corp]',
+  name: 'Jane Doe',
+  tone: 'professional and polished',
+  words: 300,
+  section: 'Experience › Software Engineer, Acme Corp',
+  text: 'Software Engineer, Acme Corp (2021 - Present)\n- Built REST APIs in Node.js serving 2M requests a day',
+  url: 'https://example.com/jobs/123',
+  listing: 'Senior Backend Engineer at Example Inc. We are looking for...'
+};
+
+const editor = {
+  preset: document.getElementById('presetSelect'),
+  name: document.getElementById('presetName'),
+  fields: document.getElementById('templateFields'),
+  previewField: document.getElementById('previewField'),
+  preview: document.getElementById('templatePreview'),
+  save: document.getElementById('savePreset'),
+  saveAsNew: document.getElementById('savePresetAsNew'),
+  remove: document.getElementById('deletePreset'),
+  reset: document.getElementById('resetTemplates'),
+  status: document.getElementById('templateStatus')
+};
+
+const textareas = {};
+let presets = [];
+
+function setTemplateStatus(message, tone = 'neutral') {
+  editor.status.textContent = message;
+  editor.status.style.color = tone === 'error' ? '#b42318' : '#1b7f79';
+}
+
+function buildTemplateFields() {
+  TEMPLATE_FIELDS.forEach((field) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'field';
+
+    const label = document.createElement('label');
+    label.htmlFor = `template-${field.key}`;
+    label.textContent = field.label;
+
+    const textarea = document.createElement('textarea');
+    textarea.id = `template-${field.key}`;
+    textarea.rows = field.variables.length ? 10 : 4;
+    textarea.spellcheck = false;
+    textarea.addEventListener('input', renderPreview);
+
+    const hint = document.createElement('p');
+    hint.className = 'hint';
+    hint.textContent = field.variables.length
+      ? `Variables: ${field.variables.map(name => `{{${name}}}`).join(' ')}`
+      : 'No variables.';
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(textarea);
+    wrapper.appendChild(hint);
+    editor.fields.appendChild(wrapper);
+    textareas[field.key] = textarea;
+
+    const option = document.createElement('option');
+    option.value = field.key;
+    option.textContent = field.label;
+    editor.previewField.appendChild(option);
+  });
+}
+
+function readTemplates() {
+  return Object.fromEntries(TEMPLATE_FIELDS.map(field => [field.key, textareas[field.key].value]));
+}
+
+function fillTemplates(templates) {
+  TEMPLATE_FIELDS.forEach((field) => {
+    textareas[field.key].value = templates[field.key];
+  });
+  renderPreview();
+}
+
+function renderPreview() {
+  const key = editor.previewField.value;
+  const template = textareas[key].value;
+  const unknown = findUnknownVariables(key, template);
+  editor.preview.textContent = renderTemplate(template, SAMPLE_VARIABLES);
+  if (unknown.length) {
+    setTemplateStatus(`Unknown variables in ${TEMPLATE_FIELDS.find(field => field.key === key).label}: ${unknown.join(', ')}`, 'error');
+  } else {
+    setTemplateStatus('');
+  }
+}
+
+async function loadPresets(selectedId) {
+  const loaded = await loadPromptPresets();
+  presets = loaded.presets;
+  editor.preset.innerHTML = '';
+  presets.forEach((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    editor.preset.appendChild(option);
+  });
+  editor.preset.value = selectedId || loaded.activeId;
+  showPreset();
+}
+
+function showPreset() {
+  const preset = presets.find(item => item.id === editor.preset.value);
+  const builtIn = preset.id === BUILT_IN_PRESET_ID;
+  editor.name.value = builtIn ? '' : preset.name;
+  editor.save.disabled = builtIn;
+  editor.remove.disabled = builtIn;
+  fillTemplates(getPresetTemplates(preset));
+}
+
+async function savePreset(asNew) {
+  try {
+    const id = await savePromptPreset({
+      id: asNew ? null : editor.preset.value,
+      name: editor.name.value,
+      templates: readTemplates()
+    });
+    await setActivePromptPreset(id);
+    await loadPresets(id);
+    setTemplateStatus('Preset saved and selected.');
+  } catch (error) {
+    setTemplateStatus(error.message, 'error');
+  }
+}
+
+editor.preset.addEventListener('change', async () => {
+  await setActivePromptPreset(editor.preset.value);
+  showPreset();
+});
+editor.previewField.addEventListener('change', renderPreview);
+editor.save.addEventListener('click', () => savePreset(false));
+editor.saveAsNew.addEventListener('click', () => savePreset(true));
+editor.remove.addEventListener('click', async () => {
+  await deletePromptPreset(editor.preset.value);
+  await loadPresets();
+  setTemplateStatus('Preset deleted.');
+});
+editor.reset.addEventListener('click', () => {
+  fillTemplates(DEFAULT_TEMPLATES);
+  setTemplateStatus('Built-in templates restored in the editor. Save to keep them in this preset.');
+});
+
+buildTemplateFields();
+loadPresets().catch(() => {
+  setTemplateStatus('Failed to load prompt presets.', 'error');
+});
@@ -0,0 +1,310 @@
+/**
+ * Prompt Templates Module
+ * Built-in prompt templates, {{variable}} rendering and named presets stored in
+ * chrome.storage.local. Used by the workspace (app.js, scraper/jobParser.js) and the
+ * template editor on the options page (promptEditor.js).
+ *
+ * Template syntax:
+ *   {{name}}                 value of a variable (dotted paths such as {{job.title}})
+ *   {{#name}}...{{/name}}    included only when the variable is not empty
+ *   {{^name}}...{{/name}}    included only when the variable is empty
+ */
+
+export const BUILT_IN_PRESET_ID = 'default';
+
+const JOB_VARIABLES = ['job.title', 'job.company', 'job.url', 'job.description', 'job.additional', 'requirements', 'skills', 'preferred'];
+
+/**
+ * Editable templates, in the order the editor shows them, with the variables each one gets
+ */
+export const TEMPLATE_FIELDS = [
+  { key: 'system', label: 'System message', variables: [] },
+  { key: 'tailor', label: 'Tailoring prompt (whole resume)', variables: ['resume', 'experience', ...JOB_VARIABLES] },
+  { key: 'section', label: 'Section-by-section prompt', variables: ['section', 'text', 'experience', ...JOB_VARIABLES] },
+  { key: 'edits', label: 'Explained edits prompt', variables: ['resume', 'experience', ...JOB_VARIABLES] },
+  { key: 'coverLetter', label: 'Cover letter prompt', variables: ['resume', 'name', 'tone', 'words', ...JOB_VARIABLES] },
+  { key: 'jobParseSystem', label: 'Job parser system message', variables: [] },
+  { key: 'jobParse', label: 'Job parser prompt', variables: ['url', 'listing'] }
+];
+
+export const DEFAULT_TEMPLATES = {
+  system: `You are an expert resume writer and recruiter with over 15 years of experience. Your expertise includes:
+- Identifying key qualifications and skills from job descriptions
+- Highlighting relevant candidate experience to match job requirements
+- Maintaining truthfulness and ethical standards in resume tailoring
+- Using strong action verbs and achievement-focused language
+- Understanding industry-specific terminology and best practices
+
+Your goal is to tailor resumes to job descriptions by strategically emphasizing the most relevant experience and skills while always remaining truthful. Never invent information, but do reorganize and reframe existing content to best match the target role.`,
+
+  tailor: `You are an expert resume writer specializing in tailoring resumes to job postings.
+
+ORIGINAL RESUME:
+{{resume}}
+
+POSITION DETAILS:
+- Role: {{job.title}}
+- Company: {{job.company}}
+{{#job.url}}- URL: {{job.url}}{{/job.url}}
+
+KEY REQUIREMENTS TO ADDRESS (PRIORITY):
+{{requirements}}
+
+REQUIRED SKILLS & TECHNOLOGIES:
+{{skills}}{{#preferred}}
+
+Preferred qualifications:
+{{preferred}}{{/preferred}}{{#experience}}
+
+EXPERIENCE BANK (the candidate's own stored bullets and projects that are not in this resume):
+{{experience}}{{/experience}}
+
+COMPANY CONTEXT:
+{{#job.additional}}{{job.additional}}{{/job.additional}}{{^job.additional}}(No additional context provided){{/job.additional}}
+
+INSTRUCTIONS:
+1. Analyze each key requirement and identify matching experience in the resume
+2. Rewrite sections to emphasize relevant skills and experience
+3. Use terminology and keywords from the job description where truthful
+4. Reorganize bullet points to highlight most relevant experience first
+5. Maintain truthfulness - do NOT invent roles, companies, degrees, dates, or achievements
+6. Preserve the overall structure and professional tone
+7. Make each bullet point impactful and achievement-focused
+8. Remove or de-emphasize less relevant experience
+9. Highlight transferable skills that align with the role{{#experience}}
+10. Add an experience bank item only where it addresses a key requirement: put it under the role or section it belongs to and keep its facts as written{{/experience}}
+
+OUTPUT:
+Return ONLY the tailored resume text. No explanations or markdown formatting.`,
+
+  section: `You are an expert resume writer tailoring ONE PART of a resume to a job posting. The other parts are tailored separately and joined back in order.
+
+POSITION DETAILS:
+- Role: {{job.title}}
+- Company: {{job.company}}
+
+KEY REQUIREMENTS TO ADDRESS (PRIORITY):
+{{requirements}}
+
+REQUIRED SKILLS & TECHNOLOGIES:
+{{skills}}{{#preferred}}
+
+Preferred qualifications:
+{{preferred}}{{/preferred}}{{#experience}}
+
+EXPERIENCE BANK (the candidate's own stored bullets and projects that are not in this resume):
+{{experience}}{{/experience}}
+
+RESUME PART: {{section}}
+<<<
+{{text}}
+>>>
+
+INSTRUCTIONS:
+1. Rewrite only the text between <<< and >>>
+2. Keep its line structure and bullet markers; reorder bullets only to put the most relevant first
+3. Keep names, job titles, companies and dates exactly as written
+4. Use terminology and keywords from the job description where truthful
+5. Do NOT add headings, other sections, roles, companies, degrees, dates, or achievements
+6. Change as little as needed; leave lines that are already relevant as they are{{#experience}}
+7. Add an experience bank item only if it belongs in this part and addresses a key requirement; keep its facts as written{{/experience}}
+
+OUTPUT:
+Return ONLY the rewritten text, without the <<< >>> markers, explanations or markdown formatting.`,
+
+  edits: `You are an expert resume writer proposing targeted edits that tailor a resume to a job posting.
+
+ORIGINAL RESUME:
+{{resume}}
+
+POSITION DETAILS:
+- Role: {{job.title}}
+- Company: {{job.company}}
+
+KEY REQUIREMENTS TO ADDRESS (PRIORITY):
+{{requirements}}
+
+REQUIRED SKILLS & TECHNOLOGIES:
+{{skills}}{{#preferred}}
+
+Preferred qualifications:
+{{preferred}}{{/preferred}}{{#experience}}
+
+EXPERIENCE BANK (the candidate's own stored bullets and projects that are not in this resume):
+{{experience}}{{/experience}}
+
+COMPANY CONTEXT:
+{{#job.additional}}{{job.additional}}{{/job.additional}}{{^job.additional}}(No additional context provided){{/job.additional}}
+
+INSTRUCTIONS:
+1. Propose only edits that bring the resume closer to a specific requirement above
+2. "original" must be copied exactly from the resume: a phrase, a bullet or a line, never the whole resume
+3. To add text, include the neighbouring resume text in "original" and keep it in "replacement"
+4. Edits must not overlap each other
+5. Maintain truthfulness - do NOT invent roles, companies, degrees, dates, or achievements
+6. "rationale" is one short sentence on why the edit helps for this job{{#experience}}
+7. An experience bank item may be added where it addresses a requirement: quote the neighbouring resume line in "original" and keep its facts as written{{/experience}}
+
+OUTPUT:
+Return ONLY JSON in this shape, with no explanations or markdown formatting:
+{"edits": [{"original": "...", "replacement": "...", "requirement": "...", "rationale": "..."}]}`,
+
+  coverLetter: `You are an expert career writer drafting a cover letter for a job application.
+
+CANDIDATE RESUME:
+{{resume}}
+
+POSITION DETAILS:
+- Role: {{job.title}}
+- Company: {{job.company}}
+
+KEY REQUIREMENTS:
+{{requirements}}
+
+REQUIRED SKILLS & TECHNOLOGIES:
+{{skills}}{{#preferred}}
+
+Preferred qualifications:
+{{preferred}}{{/preferred}}
+
+COMPANY CONTEXT:
+{{#job.additional}}{{job.additional}}{{/job.additional}}{{^job.additional}}(No additional context provided){{/job.additional}}
+
+INSTRUCTIONS:
+1. Write in a {{tone}} tone, about {{words}} words
+2. Ground every statement in the resume above - do NOT invent roles, companies, degrees, dates, numbers, or achievements
+3. Connect two or three of the candidate's most relevant experiences to the key requirements
+4. Open with the role being applied for and close with a short call to action
+5. Start with the greeting (e.g. "Dear Hiring Manager,") and end with a sign-off and the candidate's name{{#name}} ({{name}}){{/name}}
+6. Leave out addresses, contact details and the date; they are added separately
+
+OUTPUT:
+Return ONLY the letter text, with paragraphs separated by blank lines. No explanations or markdown formatting.`,
+
+  jobParseSystem: 'You are a helpful assistant that extracts structured information from job listings. Always return valid JSON.',
+
+  jobParse: `Extract structured information from this job listing:
+
+URL: {{url}}
+
+Job Listing Text:
+{{listing}}
+
+Extract and return a JSON object with the following fields:
+- jobTitle: The actual job title/role name (not the page title)
+- companyName: The hiring company name (not the job board name)
+- description: Job description, overview, and key responsibilities (clean, well-formatted)
+- requirements: Required skills, qualifications, experience, education (separate from description)
+- additionalContext: Tech stack, tools, location, salary range, benefits, company culture, team info, etc.
+
+Return ONLY valid JSON in this format:
+{
+  "jobTitle": "...",
+  "companyName": "...",
+  "description": "...",
+  "requirements": "...",
+  "additionalContext": "..."
+}
+
+If a field cannot be determined, use an empty string.`
+};
+
+const BUILT_IN_PRESET = { id: BUILT_IN_PRESET_ID, name: 'Built-in default', templates: DEFAULT_TEMPLATES };
+
+/**
+ * Render a template with the given variables; unknown variables render as empty text
+ * @param {string} template - Template text
+ * @param {Object} variables - Values, possibly nested (job.title)
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, variables) {
+  return template
+    .replace(/{{([#^])\s*([\w.]+)\s*}}([\s\S]*?){{\/\s*\2\s*}}/g, (match, kind, name, inner) => (
+      hasValue(lookup(variables, name)) === (kind === '#') ? inner : ''
+    ))
+    .replace(/{{\s*([\w.]+)\s*}}/g, (match, name) => {
+      const value = lookup(variables, name);
+      return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Variables used in a template that the template does not receive
+ * @param {string} key - Template key from TEMPLATE_FIELDS
+ * @param {string} template - Template text
+ * @returns {Array<string>} Unknown variable names
+ */
+export function findUnknownVariables(key, template) {
+  const field = TEMPLATE_FIELDS.find(item => item.key === key);
+  const known = new Set(field ? field.variables : []);
+  const used = [...template.matchAll(/{{[#^/]?\s*([\w.]+)\s*}}/g)].map(match => match[1]);
+  return [...new Set(used)].filter(name => !known.has(name));
+}
+
+/**
+ * Stored presets (the built-in preset first) and the id of the active one
+ * @returns {Promise<Object>} { presets: [{ id, name, templates }], activeId }
+ */
+export async function loadPromptPresets() {
+  const saved = await chrome.storage.local.get({ promptPresets: [], promptPresetId: BUILT_IN_PRESET_ID });
+  const presets = [BUILT_IN_PRESET, ...saved.promptPresets];
+  const activeId = presets.some(preset => preset.id === saved.promptPresetId) ? saved.promptPresetId : BUILT_IN_PRESET_ID;
+  return { presets, activeId };
+}
+
+/**
+ * Templates of the active preset; templates a preset does not set come from the defaults
+ * @returns {Promise<Object>} Templates keyed as in TEMPLATE_FIELDS
+ */
+export async function getActiveTemplates() {
+  const { presets, activeId } = await loadPromptPresets();
+  return getPresetTemplates(presets.find(preset => preset.id === activeId));
+}
+
+export function getPresetTemplates(preset) {
+  return { ...DEFAULT_TEMPLATES, ...(preset ? preset.templates : {}) };
+}
+
+export async function setActivePromptPreset(id) {
+  await chrome.storage.local.set({ promptPresetId: id });
+}
+
+/**
+ * Create or update a named preset. The built-in preset cannot be overwritten, so saving
+ * it creates a new preset.
+ * @param {Object} preset - { id (optional), name, templates }
+ * @returns {Promise<string>} The preset's id
+ */
+export async function savePromptPreset({ id, name, templates }) {
+  if (!name || !name.trim()) {
+    throw new Error('Prompt preset: a name is required');
+  }
+  const { promptPresets } = await chrome.storage.local.get({ promptPresets: [] });
+  const presetId = id && id !== BUILT_IN_PRESET_ID ? id : `preset-${Date.now()}`;
+  const preset = { id: presetId, name: name.trim(), templates };
+
+  const index = promptPresets.findIndex(item => item.id === presetId);
+  if (index === -1) {
+    promptPresets.push(preset);
+  } else {
+    promptPresets[index] = preset;
+  }
+  await chrome.storage.local.set({ promptPresets });
+  return presetId;
+}
+
+export async function deletePromptPreset(id) {
+  const saved = await chrome.storage.local.get({ promptPresets: [], promptPresetId: BUILT_IN_PRESET_ID });
+  await chrome.storage.local.set({
+    promptPresets: saved.promptPresets.filter(preset => preset.id !== id),
+    promptPresetId: saved.promptPresetId === id ? BUILT_IN_PRESET_ID : saved.promptPresetId
+  });
+}
+
+function lookup(variables, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), variables);
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
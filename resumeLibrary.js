@@ -0,0 +1,132 @@
+/**
+ * Resume Library Module
+ * Stored master resumes (text and original DOCX) and an experience bank of tagged
+ * bullets and projects, both in IndexedDB (database.js). Tailoring can offer bank items
+ * that match the job and are missing from the resume being tailored.
+ */
+
+import { STORES, withStore } from './database.js';
+import { scoreResume } from './atsScore.js';
+
+export const EXPERIENCE_KINDS = {
+  bullet: 'Bullet',
+  project: 'Project'
+};
+
+/**
+ * Create or update a master resume
+ * @param {Object} resume - { id (optional), name, text, source ('docx' | 'pdf' | 'text'), docxBuffer }
+ * @returns {Promise<Object>} The stored record
+ */
+export async function saveMasterResume(resume) {
+  if (!resume.name || !resume.name.trim()) {
+    throw new Error('Resume library: a name is required');
+  }
+  if (!resume.text || !resume.text.trim()) {
+    throw new Error('Resume library: the resume has no text');
+  }
+  const record = {
+    ...resume,
+    id: resume.id || `resume-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: resume.name.trim(),
+    updatedAt: Date.now()
+  };
+  await withStore(STORES.resumes, 'readwrite', store => store.put(record));
+  return record;
+}
+
+export async function getMasterResume(id) {
+  return withStore(STORES.resumes, 'readonly', store => store.get(id));
+}
+
+/**
+ * All master resumes by name
+ */
+export async function listMasterResumes() {
+  const records = await withStore(STORES.resumes, 'readonly', store => store.getAll());
+  return records.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function deleteMasterResume(id) {
+  await withStore(STORES.resumes, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Create or update an experience bank item
+ * @param {Object} item - { id (optional), kind (EXPERIENCE_KINDS key), text, context (role or project), tags: [string] }
+ * @returns {Promise<Object>} The stored record
+ */
+export async function saveExperienceItem(item) {
+  if (!item.text || !item.text.trim()) {
+    throw new Error('Experience bank: the item has no text');
+  }
+  const record = {
+    kind: 'bullet',
+    context: '',
+    tags: [],
+    createdAt: Date.now(),
+    ...item,
+    id: item.id || `experience-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    text: item.text.trim()
+  };
+  await withStore(STORES.experience, 'readwrite', store => store.put(record));
+  return record;
+}
+
+/**
+ * All experience bank items, newest first
+ */
+export async function listExperienceItems() {
+  const records = await withStore(STORES.experience, 'readonly', store => store.getAll());
+  return records.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function deleteExperienceItem(id) {
+  await withStore(STORES.experience, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Tags from comma-separated input, lowercased and without duplicates
+ */
+export function parseTags(text) {
+  return [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Bank items worth offering for a job: items that match at least one job term (in their
+ * text, context or tags) and are not already in the resume, best matches first
+ * @param {Array} items - Experience bank items
+ * @param {string} resumeText - Resume being tailored
+ * @param {Object} terms - { required, preferred } from buildJobTerms
+ * @param {number} [limit] - Maximum number of items
+ * @returns {Array} Items with matchedTerms: [term]
+ */
+export function selectRelevantExperience(items, resumeText, terms, limit = 6) {
+  const resume = squash(resumeText);
+  return items
+    .filter(item => !resume.includes(squash(item.text)))
+    .map((item) => {
+      const result = scoreResume([item.text, item.context, ...item.tags].join('\n'), terms);
+      const matchedTerms = [...result.required, ...result.preferred]
+        .filter(entry => entry.status === 'matched')
+        .map(entry => entry.term);
+      return { ...item, matchedTerms, score: result.score };
+    })
+    .filter(item => item.matchedTerms.length)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Bank items as a prompt list: "- text [Role: context]"
+ */
+export function formatExperienceForPrompt(items) {
+  return items
+    .map(item => `  - ${item.text}${item.context ? ` [${item.kind === 'project' ? 'Project' : 'Role'}: ${item.context}]` : ''}`)
+    .join('\n');
+}
+
+// Lowercase words only, so bullet markers and punctuation do not hide a match
+function squash(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
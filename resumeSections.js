@@ -0,0 +1,141 @@
+/**
+ * Resume Sections Module
+ * Detects resume sections (Summary, Experience and its entries, Education, Skills, ...)
+ * in the resume text so diff groups can be labelled and reviewed section by section
+ */
+
+// Headings recognised by name; other headings are only picked up from styles or capitals
+const SECTION_PATTERNS = [
+  { kind: 'summary', pattern: /^((professional|career|executive)\s+)?(summary|profile)$|^(career\s+)?objective$|^about(\s+me)?$/ },
+  { kind: 'experience', pattern: /^((work|professional|relevant)\s+)?experience$|^(employment|work|career)(\s+history)?$/ },
+  { kind: 'education', pattern: /^education(\s+(and|&)\s+\w+)?$|^academic\s+\w+$/ },
+  { kind: 'skills', pattern: /^((technical|core|key)\s+)?(skills|competencies)(\s+(and|&)\s+\w+)?$|^technologies$|^tech(nical)?\s+stack$|^tools$/ },
+  { kind: 'other', pattern: /^(projects?|certifications?|licen[cs]es?|awards|honou?rs|publications|languages|volunteer(ing)?|interests|references|achievements)(\s+(and|&)\s+\w+)?$/ }
+];
+
+const BULLET = /^\s*([•▪➢→✓◦‣*–-]|\d+[.)])\s/;
+
+/**
+ * Split resume text into sections
+ * @param {string} text - Resume text (one line per paragraph)
+ * @param {Set<string>} [headings] - Lines known to be headings (e.g. from DOCX heading styles)
+ * @returns {Array} Sections in document order: { id, kind, title, startLine, entries }, where
+ *   entries ({ title, startLine }) are the roles inside Experience sections. Lines before the
+ *   first heading form a 'header' section.
+ */
+export function detectSections(text, headings = new Set()) {
+  const lines = text.replace(/\r/g, '').split('\n');
+  const sections = [];
+  let current = null;
+  let previousLine = '';
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const trimmed = line.trim();
+    const kind = headingKind(trimmed, headings, {
+      // Unnamed capitalised lines before the first section are usually the name or contact line
+      allowUnnamed: sections.some(section => section.kind !== 'header'),
+      inExperience: Boolean(current && current.kind === 'experience')
+    });
+
+    if (kind) {
+      current = { id: sections.length, kind, title: formatTitle(trimmed), startLine: lineNumber, entries: [] };
+      sections.push(current);
+    } else if (trimmed) {
+      if (!current) {
+        current = { id: sections.length, kind: 'header', title: 'Header', startLine: lineNumber, entries: [] };
+        sections.push(current);
+      }
+
+      // A role starts at a plain line right after the heading, a bullet or a blank line
+      const startsEntry = current.kind === 'experience' && !BULLET.test(line) &&
+        (current.startLine === lineNumber - 1 || !previousLine.trim() || BULLET.test(previousLine));
+      if (startsEntry) {
+        current.entries.push({ title: truncate(trimmed.replace(/\s+/g, ' '), 50), startLine: lineNumber });
+      }
+    }
+
+    previousLine = line;
+  });
+
+  if (sections.length === 1 && sections[0].kind === 'header') {
+    sections[0].title = 'Resume';
+  }
+  return sections;
+}
+
+/**
+ * Headings of a parsed DOCX: short paragraphs with a Heading style
+ * @param {Object|null} structure - Output of parseDocxStructure
+ * @returns {Set<string>} Trimmed heading texts
+ */
+export function getDocxHeadings(structure) {
+  const headings = new Set();
+  if (!structure) return headings;
+
+  structure.paragraphs.forEach((paragraph) => {
+    const text = paragraph.text.trim();
+    if (text && text.length <= 60 && /^heading\s*\d$/i.test(paragraph.style || '')) {
+      headings.add(text);
+    }
+  });
+  return headings;
+}
+
+/**
+ * Attach section information to diff groups
+ * @param {Array} groups - Diff groups with a start offset in the original text
+ * @param {string} originalText - Text the diffs were computed against
+ * @param {Array} sections - Output of detectSections for originalText
+ * @returns {Array} The same groups, each with line and section: { id, title, kind, entry }
+ */
+export function labelGroupsBySection(groups, originalText, sections) {
+  groups.forEach((group) => {
+    group.line = originalText.slice(0, group.start).split('\n').length;
+
+    const section = [...sections].reverse().find(item => item.startLine <= group.line) || sections[0];
+    if (!section) {
+      group.section = { id: 0, title: 'Resume', kind: 'header', entry: null };
+      return;
+    }
+
+    const entry = [...section.entries].reverse().find(item => item.startLine <= group.line);
+    group.section = {
+      id: section.id,
+      title: section.title,
+      kind: section.kind,
+      entry: entry ? entry.title : null
+    };
+  });
+  return groups;
+}
+
+/**
+ * Section kind for a heading line, or null when the line is not a heading
+ */
+function headingKind(line, headings, { allowUnnamed, inExperience }) {
+  if (!line || line.length > 60 || BULLET.test(line)) return null;
+
+  const name = line.replace(/[:\s]+$/, '').toLowerCase();
+  if (name.includes(':') || /[.,;]$/.test(name) || name.split(/\s+/).length > 5) return null;
+
+  const known = SECTION_PATTERNS.find(({ pattern }) => pattern.test(name));
+  if (known) return known.kind;
+
+  // Other headings inside Experience are usually role or company lines, not new sections
+  if (inExperience) return null;
+  if (headings.has(line)) return 'other';
+
+  const capitalised = /[A-Z]{3}/.test(line) && line === line.toUpperCase() && name.split(/\s+/).length <= 3;
+  return capitalised && allowUnnamed ? 'other' : null;
+}
+
+function formatTitle(line) {
+  const title = line.replace(/[:\s]+$/, '');
+  if (title !== title.toUpperCase()) return title;
+  return title.toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
@@ -3,12 +3,15 @@
  * 
  * This module contains all functions for extracting job listing data from web pages.
  * It runs in the content script context and has access to the page's DOM.
+ * Content scripts are classic scripts, so its functions are shared as globals rather
+ * than exported.
  * 
  * The extraction process:
- * 1. Filters out non-content elements (nav, footer, ads, etc.)
- * 2. Uses priority selectors to find job-related content
- * 3. Extracts structured data (title, company, description) from various sources
- * 4. Falls back to less specific selectors if priority ones fail
+ * 1. Uses the site adapter registered for the page's hostname, if any (siteAdapters.js)
+ * 2. Filters out non-content elements (nav, footer, ads, etc.)
+ * 3. Uses priority selectors to find job-related content
+ * 4. Extracts structured data (title, company, description) from various sources
+ * 5. Falls back to less specific selectors if priority ones fail
  */
 
 /**
@@ -161,10 +164,194 @@ function extractJobText() {
   return bodyText.length > 0 ? bodyText : '';
 }
 
+/**
+ * Finds the first JobPosting in the page's JSON-LD. Every ld+json block is checked,
+ * including arrays, @graph lists and mainEntity.
+ *
+ * @returns {Object|null} - Raw JobPosting object or null
+ */
+function findJobPostingData() {
+  const findIn = (node, depth) => {
+    if (!node || typeof node !== 'object' || depth > 6) {
+      return null;
+    }
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        const found = findIn(item, depth + 1);
+        if (found) return found;
+      }
+      return null;
+    }
+    if ([].concat(node['@type'] || []).includes('JobPosting')) {
+      return node;
+    }
+    return findIn(node['@graph'], depth + 1) || findIn(node.mainEntity, depth + 1);
+  };
+
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const found = findIn(JSON.parse(script.textContent), 0);
+      if (found) {
+        return found;
+      }
+    } catch (e) {
+      // Invalid JSON, try the next block
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts an HTML fragment (as used in JobPosting descriptions) to line-structured
+ * text. HTML that was escaped inside the JSON string is decoded first.
+ *
+ * @param {string} html - HTML or plain text
+ * @returns {string} - Text from extractBlockText
+ */
+function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+  const parser = new DOMParser();
+  let doc = parser.parseFromString(String(html), 'text/html');
+  if (/<\/?[a-z][^>]*>/i.test(doc.body.textContent || '')) {
+    doc = parser.parseFromString(doc.body.textContent, 'text/html');
+  }
+  return extractBlockText(doc.body);
+}
+
+/**
+ * Readable text for a schema.org value: text, a list, or an object with a name,
+ * description, credential category or months of experience
+ *
+ * @param {*} value - Schema value
+ * @returns {string} - Text, one line per list item
+ */
+function schemaText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(schemaText).filter(Boolean).join('\n');
+  }
+  if (typeof value !== 'object') {
+    return htmlToText(String(value));
+  }
+  if (value.monthsOfExperience) {
+    const months = Number(value.monthsOfExperience);
+    const amount = months >= 12 && months % 12 === 0 ? `${months / 12}+ years` : `${months}+ months`;
+    return [amount + ' of experience', schemaText(value.description)].filter(Boolean).join(': ');
+  }
+  return schemaText(value.name || value.description || value.credentialCategory || '');
+}
+
+/**
+ * Salary text from a JobPosting baseSalary, e.g. "USD 120,000 - 150,000 per year"
+ *
+ * @param {Object|number|string} baseSalary - MonetaryAmount, number or text
+ * @returns {string} - Salary text or empty string
+ */
+function formatBaseSalary(baseSalary) {
+  if (!baseSalary) {
+    return '';
+  }
+  if (typeof baseSalary !== 'object') {
+    return String(baseSalary);
+  }
+
+  const amount = baseSalary.value ?? '';
+  const quantity = typeof amount === 'object' ? amount : { value: amount };
+  const number = value => (Number.isFinite(Number(value)) && value !== '' ? Number(value).toLocaleString('en-US') : String(value));
+  let range = '';
+  if (quantity.minValue !== undefined && quantity.maxValue !== undefined && quantity.minValue !== quantity.maxValue) {
+    range = `${number(quantity.minValue)} - ${number(quantity.maxValue)}`;
+  } else {
+    const single = quantity.value ?? quantity.minValue ?? quantity.maxValue;
+    range = single !== undefined && single !== '' ? number(single) : '';
+  }
+  if (!range) {
+    return '';
+  }
+
+  const unit = quantity.unitText || baseSalary.unitText;
+  return [baseSalary.currency || quantity.currency, range, unit ? `per ${String(unit).toLowerCase()}` : '']
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Location text from jobLocation places, remote jobs (jobLocationType TELECOMMUTE) and
+ * applicantLocationRequirements
+ *
+ * @param {Object} posting - Raw JobPosting
+ * @returns {string} - Locations separated by "; "
+ */
+function formatJobLocation(posting) {
+  const names = value => [].concat(value || []).map((item) => {
+    if (!item) return '';
+    if (typeof item !== 'object') return String(item);
+    return item.name || (typeof item.address === 'object' ? item.address.name : item.address) || '';
+  }).filter(Boolean);
+
+  const places = [].concat(posting.jobLocation || []).map((place) => {
+    const address = place && typeof place === 'object' ? place.address : place;
+    if (!address || typeof address !== 'object') {
+      return address ? String(address) : (place && place.name) || '';
+    }
+    const country = typeof address.addressCountry === 'object' ? address.addressCountry.name : address.addressCountry;
+    return [address.addressLocality, address.addressRegion, country].filter(Boolean).join(', ');
+  }).filter(Boolean);
+
+  const remote = [].concat(posting.jobLocationType || []).some(type => /telecommute/i.test(type));
+  const applicantLocations = names(posting.applicantLocationRequirements);
+  if (remote) {
+    places.push(applicantLocations.length ? `Remote (${applicantLocations.join(', ')})` : 'Remote');
+  } else if (applicantLocations.length) {
+    places.push(`Applicants from ${applicantLocations.join(', ')}`);
+  }
+  return [...new Set(places)].join('; ');
+}
+
+/**
+ * The page's JobPosting structured data as plain fields
+ *
+ * @returns {Object|null} - Null when the page has no JobPosting, otherwise:
+ *   - title, company, description (HTML stripped), location, salary
+ *   - employmentType: e.g. "Full time, Contractor"
+ *   - datePosted, validThrough: Dates as given (time part removed)
+ *   - qualifications, skills, experienceRequirements, educationRequirements, responsibilities: Text
+ */
+function extractJobPosting() {
+  const posting = findJobPostingData();
+  if (!posting) {
+    return null;
+  }
+
+  const organization = posting.hiringOrganization;
+  const date = value => (value ? String(value).split('T')[0] : '');
+  return {
+    title: normalize(htmlToText(posting.title || '')),
+    company: normalize(typeof organization === 'object' && organization ? organization.name || '' : organization || ''),
+    description: htmlToText(posting.description || ''),
+    location: formatJobLocation(posting),
+    salary: formatBaseSalary(posting.baseSalary || posting.estimatedSalary),
+    employmentType: [].concat(posting.employmentType || [])
+      .map(type => String(type).toLowerCase().replace(/[_-]+/g, ' ').replace(/^\w/, letter => letter.toUpperCase()))
+      .join(', '),
+    datePosted: date(posting.datePosted),
+    validThrough: date(posting.validThrough),
+    qualifications: schemaText(posting.qualifications),
+    skills: schemaText(posting.skills),
+    experienceRequirements: schemaText(posting.experienceRequirements),
+    educationRequirements: schemaText(posting.educationRequirements),
+    responsibilities: schemaText(posting.responsibilities)
+  };
+}
+
 /**
  * Extracts the job title from the page
  * Uses multiple strategies in order of reliability:
- * 1. Structured data (JSON-LD with JobPosting schema)
+ * 1. Structured data (JSON-LD JobPosting, see extractJobPosting)
  * 2. Open Graph meta tags
  * 3. Common job title selectors (h1, job-title classes, etc.)
  * 4. Page title (cleaned to remove job board suffixes)
@@ -173,19 +360,9 @@ function extractJobText() {
  */
 function extractJobTitle() {
   // Try structured data first (most reliable)
-  const jsonLd = document.querySelector('script[type="application/ld+json"]');
-  if (jsonLd) {
-    try {
-      const data = JSON.parse(jsonLd.textContent);
-      if (data['@type'] === 'JobPosting' && data.title) {
-        return data.title;
-      }
-      if (Array.isArray(data) && data[0]?.['@type'] === 'JobPosting' && data[0].title) {
-        return data[0].title;
-      }
-    } catch (e) {
-      // Invalid JSON, continue
-    }
+  const posting = extractJobPosting();
+  if (posting && posting.title) {
+    return posting.title;
   }
 
   // Try meta tags
@@ -228,7 +405,7 @@ function extractJobTitle() {
 /**
  * Extracts the company name from the page
  * Uses multiple strategies:
- * 1. Structured data (JSON-LD with hiringOrganization)
+ * 1. Structured data (JSON-LD JobPosting hiringOrganization)
  * 2. Company-specific meta tags
  * 3. Common company name selectors in the DOM
  * 4. Site name from meta tags (less reliable, often the job board name)
@@ -237,19 +414,9 @@ function extractJobTitle() {
  */
 function extractCompanyName() {
   // Try structured data first
-  const jsonLd = document.querySelector('script[type="application/ld+json"]');
-  if (jsonLd) {
-    try {
-      const data = JSON.parse(jsonLd.textContent);
-      if (data['@type'] === 'JobPosting' && data.hiringOrganization?.name) {
-        return data.hiringOrganization.name;
-      }
-      if (Array.isArray(data) && data[0]?.['@type'] === 'JobPosting' && data[0].hiringOrganization?.name) {
-        return data[0].hiringOrganization.name;
-      }
-    } catch (e) {
-      // Invalid JSON, continue
-    }
+  const posting = extractJobPosting();
+  if (posting && posting.company) {
+    return posting.company;
   }
 
   // Try meta tags (but prefer content over site name)
@@ -289,31 +456,205 @@ function extractCompanyName() {
   return siteName || author || '';
 }
 
+/**
+ * Extracts text from a DOM node keeping its line structure: block elements and <br>
+ * start new lines, list items get a "- " marker. Text hidden by CSS (e.g. a collapsed
+ * "show more" description) is included.
+ *
+ * @param {Node} node - DOM node to extract text from
+ * @returns {string} - Text with one line per block, without blank runs
+ */
+function extractBlockText(node) {
+  if (!node) {
+    return '';
+  }
+
+  const clone = node.cloneNode(true);
+  clone.querySelectorAll('script, style, noscript, iframe, svg, button').forEach(el => el.remove());
+  clone.querySelectorAll('br').forEach(el => el.replaceWith('\n'));
+  clone.querySelectorAll('li').forEach(el => el.prepend('\n- '));
+  clone.querySelectorAll('p, div, section, h1, h2, h3, h4, h5, h6, ul, ol, tr').forEach((el) => {
+    el.prepend('\n');
+    el.append('\n');
+  });
+
+  return (clone.textContent || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line && line !== '-')
+    .join('\n');
+}
+
+/**
+ * Text of the first element matching any of the selectors (in order)
+ *
+ * @param {Array<string>} selectors - CSS selectors, most specific first
+ * @param {Object} options - block: keep line structure (descriptions); maxLength: skip longer matches
+ * @returns {string} - Text, or empty string when nothing matches
+ */
+function queryText(selectors, { block = false, maxLength = Infinity } = {}) {
+  for (const selector of selectors) {
+    try {
+      for (const element of document.querySelectorAll(selector)) {
+        const text = block ? extractBlockText(element) : normalize(element.textContent || '');
+        if (text && text.length <= maxLength) {
+          return text;
+        }
+      }
+    } catch (e) {
+      // Invalid selector, continue
+    }
+  }
+  return '';
+}
+
+/**
+ * Value shown next to a label such as "Location" or "Compensation" in a details list
+ * (the label's next sibling element, or the rest of the label's own text)
+ *
+ * @param {Array<string>} labels - Label texts to look for (case-insensitive)
+ * @returns {string} - Value text or empty string
+ */
+function findLabeledValue(labels) {
+  const wanted = labels.map(label => label.toLowerCase());
+  const candidates = document.querySelectorAll('dt, th, h2, h3, h4, label, span, div, p');
+  for (const element of candidates) {
+    if (element.children.length > 1) continue;
+    const text = normalize(element.textContent || '').replace(/:$/, '').toLowerCase();
+    if (!wanted.includes(text)) continue;
+
+    const sibling = element.nextElementSibling;
+    const value = sibling ? normalize(sibling.textContent || '') : '';
+    if (value && value.length < 200) {
+      return value;
+    }
+  }
+  return '';
+}
+
+/**
+ * First salary-like amount or range in a text, e.g. "$120,000 - $150,000 a year"
+ *
+ * @param {string} text - Text to search
+ * @returns {string} - Salary text or empty string
+ */
+function findSalary(text) {
+  const match = (text || '').match(/(?:[$£€]|USD|EUR|GBP)\s?\d[\d,.]*\s?[kK]?(?:\s*(?:-|–|to)\s*(?:[$£€]|USD|EUR|GBP)?\s?\d[\d,.]*\s?[kK]?)?(?:\s*(?:per|a|an|\/)\s*(?:year|yr|annum|hour|hr|month))?/);
+  return match ? match[0].trim() : '';
+}
+
+/**
+ * Splits a line-structured description into the description and its requirements
+ * section (from a "Requirements"/"Qualifications"-style heading up to the next heading
+ * about benefits, the company or the application process)
+ *
+ * @param {string} text - Description from extractBlockText
+ * @returns {Object} - { description, requirements } (requirements empty when no heading is found)
+ */
+function splitRequirements(text) {
+  const lines = text.split('\n');
+  const isHeading = (line, pattern) => line.length <= 60 && pattern.test(line.replace(/[:\s]+$/, ''));
+  const requirementHeading = /^(?:(?:minimum|basic|preferred|required|key)\s+)?(?:requirements|qualifications|skills(?: (?:and|&) experience)?|what you(?:'|’)ll need|what we(?:'|’)re looking for|what you bring|who you are|you have|about you|must haves?)\b/i;
+  const endHeading = /^(?:benefits|perks|what we offer|compensation|salary|about (?:us|the company)|why join|how to apply|equal opportunity|our values)\b/i;
+
+  const start = lines.findIndex(line => isHeading(line, requirementHeading));
+  if (start === -1) {
+    return { description: text, requirements: '' };
+  }
+  let end = lines.findIndex((line, index) => index > start && isHeading(line, endHeading));
+  if (end === -1) end = lines.length;
+
+  return {
+    description: [...lines.slice(0, start), ...lines.slice(end)].join('\n').trim(),
+    requirements: lines.slice(start + 1, end).join('\n').trim()
+  };
+}
+
+/**
+ * Site adapters registered with registerJobSiteAdapter, checked in registration order
+ */
+const JOB_SITE_ADAPTERS = [];
+
+/**
+ * Registers an extractor for specific job sites. Adapters live in their own scripts
+ * (see siteAdapters.js) loaded after this one, so new sites need no change here.
+ *
+ * @param {Object} adapter - Adapter definition:
+ *   - id: Short name, reported as the scrape source
+ *   - hosts: Hostnames (subdomains match too) or RegExps tested against the hostname
+ *   - extract(): Returns any of { title, company, location, salary, description, requirements }
+ */
+function registerJobSiteAdapter(adapter) {
+  if (!adapter || !adapter.id || !Array.isArray(adapter.hosts) || typeof adapter.extract !== 'function') {
+    throw new Error('Site adapter: id, hosts and extract() are required');
+  }
+  JOB_SITE_ADAPTERS.push(adapter);
+}
+
+/**
+ * Finds the adapter for a hostname
+ *
+ * @param {string} hostname - Page hostname, e.g. "boards.greenhouse.io"
+ * @returns {Object|null} - Matching adapter or null
+ */
+function findJobSiteAdapter(hostname) {
+  const host = hostname.toLowerCase();
+  return JOB_SITE_ADAPTERS.find(adapter => adapter.hosts.some(pattern => (
+    pattern instanceof RegExp ? pattern.test(host) : host === pattern || host.endsWith(`.${pattern}`)
+  ))) || null;
+}
+
 /**
  * Main extraction function that combines all extractors
- * Extracts all available job data from the current page
+ * Extracts all available job data from the current page. Fields come from the site
+ * adapter first, then the page's JSON-LD JobPosting, then the generic extractors.
  * 
  * @returns {Object} - Object containing:
  *   - title: Job title
  *   - url: Current page URL
  *   - description: Main job description text
+ *   - requirements: Requirements section, when the site adapter could separate it
+ *   - location: Job location (site adapter or JSON-LD)
+ *   - salary: Salary or compensation (site adapter or JSON-LD)
  *   - metaDescription: Meta description or OG description
  *   - company: Company name
+ *   - posting: JSON-LD JobPosting fields (extractJobPosting) or null
+ *   - source: Id of the site adapter used, 'json-ld', or 'generic'
  */
 function extractJobData() {
-  const title = extractJobTitle();
-  const url = window.location.href;
-  const description = extractJobText();
+  const adapter = findJobSiteAdapter(window.location.hostname);
+  let site = {};
+  if (adapter) {
+    try {
+      site = adapter.extract() || {};
+    } catch (error) {
+      console.warn(`Site adapter "${adapter.id}" failed, using the generic extractor:`, error);
+    }
+  }
+
+  const posting = extractJobPosting();
+  const structured = posting || {};
   const metaDescription = getMetaContent('meta[name="description"]');
   const ogDescription = getMetaContent('meta[property="og:description"]');
-  const company = extractCompanyName();
+
+  let source = 'generic';
+  if (adapter && Object.values(site).some(Boolean)) {
+    source = adapter.id;
+  } else if (posting && posting.description) {
+    source = 'json-ld';
+  }
 
   return {
-    title,
-    url,
-    description,
+    title: site.title || extractJobTitle(),
+    url: window.location.href,
+    description: site.description || structured.description || extractJobText(),
+    requirements: site.requirements || '',
+    location: site.location || structured.location || '',
+    salary: site.salary || structured.salary || '',
     metaDescription: metaDescription || ogDescription,
-    company
+    company: site.company || extractCompanyName(),
+    posting,
+    source
   };
 }
 
@@ -328,30 +669,14 @@ if (typeof window !== 'undefined') {
   window.getMetaContent = getMetaContent;
   window.isLikelyContent = isLikelyContent;
   window.extractTextFromNode = extractTextFromNode;
-}
-
-// Export functions for use in ES6 modules
-export {
-  normalize,
-  getMetaContent,
-  isLikelyContent,
-  extractTextFromNode,
-  extractJobText,
-  extractJobTitle,
-  extractCompanyName,
-  extractJobData
-};
-
-// Also support CommonJS for backward compatibility
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    normalize,
-    getMetaContent,
-    isLikelyContent,
-    extractTextFromNode,
-    extractJobText,
-    extractJobTitle,
-    extractCompanyName,
-    extractJobData
-  };
+  window.extractBlockText = extractBlockText;
+  window.queryText = queryText;
+  window.findLabeledValue = findLabeledValue;
+  window.findSalary = findSalary;
+  window.findJobPostingData = findJobPostingData;
+  window.extractJobPosting = extractJobPosting;
+  window.htmlToText = htmlToText;
+  window.splitRequirements = splitRequirements;
+  window.registerJobSiteAdapter = registerJobSiteAdapter;
+  window.findJobSiteAdapter = findJobSiteAdapter;
 }
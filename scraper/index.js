@@ -8,13 +8,9 @@
 // Note: In a browser extension context, these will be loaded as separate scripts
 // This index file is for documentation and potential future bundling
 
-export {
-  // DOM extraction (runs in content script context)
-  extractJobData,
-  extractJobText,
-  extractJobTitle,
-  extractCompanyName
-} from './domExtractor.js';
+// DOM extraction (domExtractor.js, siteAdapters.js) runs as classic content scripts and
+// shares its functions as globals (extractJobData, registerJobSiteAdapter, ...), so it
+// is not re-exported here.
 
 export {
   // Job parsing (runs in app context)
@@ -14,6 +14,8 @@
  * - additionalContext: Tech stack, location, salary, benefits, culture, etc.
  */
 
+import { DEFAULT_TEMPLATES, renderTemplate } from '../promptTemplates.js';
+
 /**
  * Safely parses JSON text, returning null if parsing fails
  * @param {string} text - JSON string to parse
@@ -42,44 +44,23 @@ function safeJsonParse(text) {
  * @param {Object} settings - LLM settings object containing:
  *   - llmEndpoint: API endpoint URL
  *   - llmApiKey: API key for authentication
- *   - llmMode: 'openai' or 'generic'
+ *   - llmMode: Provider id; 'generic' receives a JSON payload, other providers a prompt
  *   - llmModel: Model name (for OpenAI mode)
- * @param {Function} callOpenAi - Function to call OpenAI-compatible API
+ * @param {Function} callOpenAi - Function to call a chat provider with (settings, prompt, systemMessage)
  * @param {Function} callGeneric - Function to call generic JSON API
+ * @param {Object} [templates] - Prompt templates; jobParse and jobParseSystem are used
+ *   (see promptTemplates.js, variables: url, listing)
  * @returns {Promise<Object>} - Parsed job data with fields: jobTitle, companyName, description, requirements, additionalContext
  * @throws {Error} - If LLM parsing fails or response is invalid
  */
-async function parseJobWithLLM(rawText, url, settings, callOpenAi, callGeneric) {
+async function parseJobWithLLM(rawText, url, settings, callOpenAi, callGeneric, templates = DEFAULT_TEMPLATES) {
   // Truncate text if too long (keep first ~8000 chars to leave room for prompt and response)
   const maxLength = 8000;
   const truncatedText = rawText.length > maxLength 
     ? rawText.substring(0, maxLength) + '\n\n[... content truncated ...]'
     : rawText;
 
-  const prompt = `Extract structured information from this job listing:
-
-URL: ${url}
-
-Job Listing Text:
-${truncatedText}
-
-Extract and return a JSON object with the following fields:
-- jobTitle: The actual job title/role name (not the page title)
-- companyName: The hiring company name (not the job board name)
-- description: Job description, overview, and key responsibilities (clean, well-formatted)
-- requirements: Required skills, qualifications, experience, education (separate from description)
-- additionalContext: Tech stack, tools, location, salary range, benefits, company culture, team info, etc.
-
-Return ONLY valid JSON in this format:
-{
-  "jobTitle": "...",
-  "companyName": "...",
-  "description": "...",
-  "requirements": "...",
-  "additionalContext": "..."
-}
-
-If a field cannot be determined, use an empty string.`;
+  const prompt = renderTemplate(templates.jobParse, { url, listing: truncatedText });
 
   try {
     let responseText = '';
@@ -91,7 +72,7 @@ If a field cannot be determined, use an empty string.`;
         url
       });
     } else {
-      const systemMessage = 'You are a helpful assistant that extracts structured information from job listings. Always return valid JSON.';
+      const systemMessage = templates.jobParseSystem;
       responseText = await callOpenAi(settings, prompt, systemMessage);
     }
 
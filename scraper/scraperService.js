@@ -5,14 +5,52 @@
  * It coordinates between the extension and content scripts to scrape job listings
  * from URLs that the user provides.
  * 
- * The service:
+ * A tab that already shows the URL is read in place (scrapeOpenTab), which keeps
+ * logged-in sessions and pages the user has interacted with. Otherwise scrapeUrl:
  * 1. Creates a hidden tab with the target URL
  * 2. Waits for the page to load
- * 3. Injects the content script to extract data
+ * 3. Asks the content scripts to extract data, injecting them first if the page has none
  * 4. Returns the extracted data
  * 5. Cleans up by closing the tab
  */
 
+/**
+ * Content script files in load order (extractor core, site adapters, message handler),
+ * taken from the manifest so both injection paths load the same scripts
+ *
+ * @returns {Array<string>} - Script paths
+ */
+function getContentScriptFiles() {
+  const [entry] = chrome.runtime.getManifest().content_scripts || [];
+  return entry ? entry.js : ['contentScript.js'];
+}
+
+/**
+ * Sends SCRAPE_JOB to a tab's content scripts. Scripts declared in the manifest are
+ * usually there already; injecting them again would register a second listener, so
+ * they are only injected when nothing answers.
+ *
+ * @param {number} tabId - Chrome tab ID
+ * @param {Array<string>} scriptFiles - Scripts to inject when the page has none
+ * @returns {Promise<Object>} - Extracted job data
+ */
+async function requestJobData(tabId, scriptFiles) {
+  try {
+    const data = await chrome.tabs.sendMessage(tabId, { type: 'SCRAPE_JOB' });
+    if (data) {
+      return data;
+    }
+  } catch (error) {
+    // No content script in the page yet
+  }
+
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: scriptFiles
+  });
+  return chrome.tabs.sendMessage(tabId, { type: 'SCRAPE_JOB' });
+}
+
 /**
  * Waits for a Chrome tab to finish loading
  * 
@@ -43,6 +81,33 @@ function waitForTabLoad(tabId, timeoutMs = 15000) {
   });
 }
 
+// URLs compared without their fragment, which SPAs change freely
+function withoutHash(url) {
+  return (url || '').split('#')[0];
+}
+
+/**
+ * Scrapes an open tab that shows the URL, without reloading it
+ *
+ * @param {string} url - Job listing URL
+ * @param {Object} [preferredTab] - Tab to check first (e.g. the tab hosting the workspace overlay)
+ * @param {Array<string>} scriptFiles - Content scripts to inject (default: the manifest's)
+ * @returns {Promise<Object>} - Extracted job data (see scrapeUrl)
+ * @throws {Error} - If no open tab shows the URL or extraction fails
+ */
+async function scrapeOpenTab(url, preferredTab, scriptFiles = getContentScriptFiles()) {
+  const target = withoutHash(url);
+  let tab = preferredTab && withoutHash(preferredTab.url) === target ? preferredTab : null;
+  if (!tab) {
+    const tabs = await chrome.tabs.query({});
+    tab = tabs.find(candidate => withoutHash(candidate.url) === target);
+  }
+  if (!tab) {
+    throw new Error('No open tab shows this URL.');
+  }
+  return requestJobData(tab.id, scriptFiles);
+}
+
 /**
  * Scrapes a job listing URL by creating a hidden tab and extracting data
  * 
@@ -50,22 +115,23 @@ function waitForTabLoad(tabId, timeoutMs = 15000) {
  * 1. Validates the URL format
  * 2. Creates a hidden tab with the URL
  * 3. Waits for the page to load completely
- * 4. Injects the content script (contentScript.js)
- * 5. Sends a message to the content script to extract job data
- * 6. Returns the extracted data
- * 7. Closes the tab (cleanup)
+ * 4. Sends a message to the content scripts to extract job data, injecting
+ *    them first when the page has none
+ * 5. Returns the extracted data
+ * 6. Closes the tab (cleanup)
  * 
  * @param {string} url - Job listing URL to scrape
- * @param {string} contentScriptPath - Path to content script file (default: 'contentScript.js')
- * @returns {Promise<Object>} - Extracted job data object containing:
- *   - title: Job title
+ * @param {Array<string>} scriptFiles - Content scripts to inject (default: the manifest's)
+ * @returns {Promise<Object>} - Extracted job data object (see extractJobData in domExtractor.js):
+ *   - title, company, location, salary: Job details
  *   - url: Job URL
- *   - description: Job description text
+ *   - description, requirements: Job description text and its requirements section
  *   - metaDescription: Meta description
- *   - company: Company name
+ *   - posting: JSON-LD JobPosting fields, or null
+ *   - source: Site adapter used, 'json-ld', or 'generic'
  * @throws {Error} - If URL is invalid, tab creation fails, or extraction fails
  */
-async function scrapeUrl(url, contentScriptPath = 'contentScript.js') {
+async function scrapeUrl(url, scriptFiles = getContentScriptFiles()) {
   if (!url || !/^https?:\/\//i.test(url)) {
     throw new Error('Please provide a valid http(s) URL.');
   }
@@ -76,16 +142,8 @@ async function scrapeUrl(url, contentScriptPath = 'contentScript.js') {
     // Wait for the page to load
     await waitForTabLoad(tab.id);
     
-    // Inject the content script
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: [contentScriptPath]
-    });
-    
-    // Send message to content script to extract job data
-    const data = await chrome.tabs.sendMessage(tab.id, { type: 'SCRAPE_JOB' });
-    
-    return data;
+    // Ask the content scripts to extract job data
+    return await requestJobData(tab.id, scriptFiles);
   } finally {
     // Always clean up the tab, even if there was an error
     if (tab.id) {
@@ -95,12 +153,13 @@ async function scrapeUrl(url, contentScriptPath = 'contentScript.js') {
 }
 
 // Export functions
-export { scrapeUrl, waitForTabLoad };
+export { scrapeUrl, scrapeOpenTab, waitForTabLoad };
 
 // Also support CommonJS for backward compatibility
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     scrapeUrl,
+    scrapeOpenTab,
     waitForTabLoad
   };
 }
@@ -0,0 +1,215 @@
+/**
+ * Site Adapters
+ *
+ * Per-site extractors for major job boards and applicant tracking systems, registered
+ * with registerJobSiteAdapter from domExtractor.js (loaded first). Each returns the
+ * fields it can find; extractJobData fills the rest from the generic extractors.
+ *
+ * To support another site, add a registerJobSiteAdapter call here or in a new script
+ * listed after domExtractor.js in the manifest's content_scripts.
+ */
+
+/**
+ * Description and requirements from a description element: the site's own requirements
+ * section when it has one, otherwise a split on the requirements heading
+ */
+function describeJob(descriptionSelectors, requirementSelectors = []) {
+  const description = queryText(descriptionSelectors, { block: true });
+  const requirements = requirementSelectors.length ? queryText(requirementSelectors, { block: true }) : '';
+  if (requirements) {
+    return { description, requirements };
+  }
+  return splitRequirements(description);
+}
+
+registerJobSiteAdapter({
+  id: 'linkedin',
+  hosts: ['linkedin.com'],
+  extract() {
+    const job = describeJob([
+      '#job-details',
+      '.jobs-description__content .jobs-box__html-content',
+      '.jobs-description-content__text',
+      '.show-more-less-html__markup',
+      '.description__text'
+    ]);
+    const insights = queryText([
+      '.job-details-jobs-unified-top-card__job-insight',
+      '.job-details-preferences-and-skills',
+      '.compensation__salary'
+    ]);
+    return {
+      title: queryText([
+        '.job-details-jobs-unified-top-card__job-title',
+        '.jobs-unified-top-card__job-title',
+        '.top-card-layout__title',
+        '.topcard__title'
+      ], { maxLength: 200 }),
+      company: queryText([
+        '.job-details-jobs-unified-top-card__company-name',
+        '.jobs-unified-top-card__company-name',
+        '.topcard__org-name-link',
+        '.top-card-layout__second-subline a'
+      ], { maxLength: 100 }),
+      location: queryText([
+        '.job-details-jobs-unified-top-card__primary-description-container .tvm__text',
+        '.jobs-unified-top-card__bullet',
+        '.topcard__flavor--bullet'
+      ], { maxLength: 100 }),
+      salary: findSalary(insights) || findSalary(job.description),
+      ...job
+    };
+  }
+});
+
+registerJobSiteAdapter({
+  id: 'indeed',
+  hosts: [/(?:^|\.)indeed\.[a-z.]+$/],
+  extract() {
+    const job = describeJob(['#jobDescriptionText', '[data-testid="jobDescriptionText"]']);
+    return {
+      title: queryText([
+        '[data-testid="jobsearch-JobInfoHeader-title"]',
+        'h1.jobsearch-JobInfoHeader-title'
+      ], { maxLength: 200 }).replace(/\s*-\s*job post$/i, ''),
+      company: queryText([
+        '[data-testid="inlineHeader-companyName"]',
+        '[data-company-name="true"]',
+        '.jobsearch-CompanyInfoContainer a'
+      ], { maxLength: 100 }),
+      location: queryText([
+        '[data-testid="inlineHeader-companyLocation"]',
+        '[data-testid="job-location"]',
+        '#jobLocationText'
+      ], { maxLength: 100 }),
+      salary: findSalary(queryText(['#salaryInfoAndJobType', '[data-testid="jobsearch-OtherJobDetailsContainer"]'])) ||
+        findSalary(job.description),
+      ...job
+    };
+  }
+});
+
+registerJobSiteAdapter({
+  id: 'greenhouse',
+  hosts: ['greenhouse.io'],
+  extract() {
+    const job = describeJob(['.job__description', '#content', '[class*="job-post-content"]']);
+    // Board URLs are /<company>/jobs/<id>
+    const boardName = window.location.pathname.split('/').filter(Boolean)[0] || '';
+    return {
+      title: queryText(['.job__title h1', 'h1.app-title', 'h1.section-header', 'h1'], { maxLength: 200 }),
+      company: queryText(['.company-name', '.job__header .company'], { maxLength: 100 }).replace(/^at\s+/i, '') ||
+        boardName.replace(/[-_]+/g, ' '),
+      location: queryText(['.job__location', '#header .location', '.location'], { maxLength: 100 }),
+      salary: queryText(['.pay-range', '.job__pay-ranges'], { maxLength: 200 }) || findSalary(job.description),
+      ...job
+    };
+  }
+});
+
+registerJobSiteAdapter({
+  id: 'lever',
+  hosts: ['lever.co'],
+  extract() {
+    // Lever pages have a description block plus titled list sections
+    const sections = Array.from(document.querySelectorAll('.posting-page .section.page-centered, .section-wrapper .section'));
+    const requirementSections = sections.filter((section) => {
+      const heading = section.querySelector('h3');
+      return heading && /requirement|qualification|you have|you bring|you'll need|looking for|about you/i.test(heading.textContent || '');
+    });
+    const requirements = requirementSections.map(section => extractBlockText(section.querySelector('ul') || section)).join('\n');
+    const description = sections
+      .filter(section => !requirementSections.includes(section))
+      .map(extractBlockText)
+      .filter(Boolean)
+      .join('\n\n') || queryText(['[data-qa="job-description"]', '.posting-page'], { block: true });
+
+    return {
+      title: queryText(['.posting-headline h2', '.posting-header h2'], { maxLength: 200 }),
+      // Page titles read "<Company> - <Role>"
+      company: (document.title.split(' - ')[0] || '').trim(),
+      location: queryText(['.posting-categories .location', '.posting-category.location', '.sort-by-location'], { maxLength: 100 }),
+      salary: queryText(['.posting-salary', '[data-qa="salary-range"]'], { maxLength: 200 }) || findSalary(description),
+      ...(requirements ? { description, requirements } : splitRequirements(description))
+    };
+  }
+});
+
+registerJobSiteAdapter({
+  id: 'workday',
+  hosts: ['myworkdayjobs.com', 'myworkdaysite.com'],
+  extract() {
+    const job = describeJob(['[data-automation-id="jobPostingDescription"]']);
+    // Tenants are the first hostname label, e.g. "acme" in acme.wd5.myworkdayjobs.com
+    const tenant = window.location.hostname.split('.')[0];
+    return {
+      title: queryText(['[data-automation-id="jobPostingHeader"]'], { maxLength: 200 }),
+      company: getMetaContent('meta[property="og:site_name"]') || tenant.replace(/[-_]+/g, ' '),
+      location: queryText(['[data-automation-id="locations"] dd', '[data-automation-id="locations"]'], { maxLength: 200 }).replace(/^locations?\s*/i, ''),
+      salary: findSalary(job.description),
+      ...job
+    };
+  }
+});
+
+registerJobSiteAdapter({
+  id: 'ashby',
+  hosts: ['ashbyhq.com'],
+  extract() {
+    const job = describeJob([
+      '.ashby-job-posting-description',
+      '[class*="_descriptionText"]',
+      '[class*="descriptionText"]'
+    ]);
+    // Posting URLs are /<company>/<posting id>
+    const boardName = window.location.pathname.split('/').filter(Boolean)[0] || '';
+    return {
+      title: queryText(['.ashby-job-posting-heading', 'h1[class*="_title"]', 'h1'], { maxLength: 200 }),
+      company: getMetaContent('meta[property="og:site_name"]') || boardName.replace(/[-_]+/g, ' '),
+      location: findLabeledValue(['Location']),
+      salary: findLabeledValue(['Compensation']) || findSalary(job.description),
+      ...job
+    };
+  }
+});
+
+registerJobSiteAdapter({
+  id: 'smartrecruiters',
+  hosts: ['smartrecruiters.com'],
+  extract() {
+    const job = describeJob(
+      ['#st-jobDescription', '[itemprop="description"]'],
+      ['#st-qualifications']
+    );
+    return {
+      title: queryText(['h1.job-title', '[itemprop="title"]'], { maxLength: 200 }),
+      company: queryText(['[itemprop="hiringOrganization"] [itemprop="name"]'], { maxLength: 100 }) ||
+        getMetaContent('meta[itemprop="hiringOrganization"]'),
+      location: queryText(['[itemprop="jobLocation"]', 'spl-job-location', '.job-details .location'], { maxLength: 200 }),
+      salary: findSalary(job.description),
+      ...job
+    };
+  }
+});
+
+registerJobSiteAdapter({
+  id: 'glassdoor',
+  hosts: [/(?:^|\.)glassdoor\.[a-z.]+$/],
+  extract() {
+    const job = describeJob([
+      '[class*="JobDetails_jobDescription"]',
+      '.jobDescriptionContent',
+      '#JobDescriptionContainer'
+    ]);
+    return {
+      title: queryText(['[data-test="job-title"]', '[class*="JobDetails_jobTitle"]'], { maxLength: 200 }),
+      // Employer names are followed by their star rating
+      company: queryText(['[data-test="employer-name"]', '[class*="EmployerProfile_employerName"]'], { maxLength: 100 })
+        .replace(/\s*\d(?:\.\d)?\s*★?$/, ''),
+      location: queryText(['[data-test="location"]', '[class*="JobDetails_location"]'], { maxLength: 100 }),
+      salary: queryText(['[data-test="detailSalary"]', '[class*="SalaryEstimate_salaryRange"]'], { maxLength: 200 }) ||
+        findSalary(job.description),
+      ...job
+    };
+  }
+});
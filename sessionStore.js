@@ -0,0 +1,77 @@
+/**
+ * Session Store Module
+ * Autosaved workspace sessions in chrome.storage.local, one per page the workspace was
+ * opened on, so closing the overlay by accident does not lose the work in progress.
+ * The original DOCX buffer is stored as base64 next to the rest of the session.
+ */
+
+const KEY_PREFIX = 'session:';
+const INDEX_KEY = 'sessionIndex';
+
+// Oldest sessions are dropped beyond this, to stay well inside the storage quota
+const MAX_SESSIONS = 10;
+
+/**
+ * Save the session for a page, replacing the previous one
+ * @param {string} pageUrl - Page the workspace belongs to
+ * @param {Object} session - Workspace snapshot; docxBuffer may be an ArrayBuffer
+ * @returns {Promise<Object>} The stored session (with savedAt)
+ */
+export async function saveSession(pageUrl, session) {
+  const key = KEY_PREFIX + pageUrl;
+  const stored = {
+    ...session,
+    docxBuffer: session.docxBuffer ? encodeBuffer(session.docxBuffer) : null,
+    savedAt: Date.now()
+  };
+
+  const { [INDEX_KEY]: index = [] } = await chrome.storage.local.get(INDEX_KEY);
+  const keys = [key, ...index.filter(item => item !== key)];
+  const dropped = keys.splice(MAX_SESSIONS);
+
+  if (dropped.length) {
+    await chrome.storage.local.remove(dropped);
+  }
+  await chrome.storage.local.set({ [key]: stored, [INDEX_KEY]: keys });
+  return stored;
+}
+
+/**
+ * The saved session for a page, with docxBuffer decoded to an ArrayBuffer
+ * @returns {Promise<Object|null>} Session or null when none is saved
+ */
+export async function loadSession(pageUrl) {
+  const key = KEY_PREFIX + pageUrl;
+  const { [key]: session } = await chrome.storage.local.get(key);
+  if (!session) return null;
+  return {
+    ...session,
+    docxBuffer: session.docxBuffer ? decodeBuffer(session.docxBuffer) : null
+  };
+}
+
+export async function clearSession(pageUrl) {
+  const key = KEY_PREFIX + pageUrl;
+  const { [INDEX_KEY]: index = [] } = await chrome.storage.local.get(INDEX_KEY);
+  await chrome.storage.local.remove(key);
+  await chrome.storage.local.set({ [INDEX_KEY]: index.filter(item => item !== key) });
+}
+
+function encodeBuffer(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so large files do not exceed the argument limit of fromCharCode
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function decodeBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes.buffer;
+}
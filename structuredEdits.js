@@ -0,0 +1,184 @@
+/**
+ * Structured Edits Module
+ * Reads a model's list of explained edits ({ original, replacement, requirement, rationale })
+ * and maps them onto the original resume as diff segments and groups, in the same shape
+ * computeDiffs produces, so each change keeps the requirement and rationale it came with
+ */
+
+/**
+ * Parse the edit list from a model response
+ * Accepts { "edits": [...] }, a bare array, and either wrapped in a code fence
+ * @param {string} text - Response text
+ * @returns {Array} Edits: { original, replacement, requirement, rationale }
+ */
+export function parseEditList(text) {
+  const body = (text || '')
+    .replace(/^\s*```[a-z]*\s*/i, '')
+    .replace(/\s*```\s*$/, '');
+
+  let data = parseJson(body);
+  if (!data) {
+    // Models sometimes wrap the JSON in a sentence; take the outermost object or array
+    const match = body.match(/[[{][\s\S]*[\]}]/);
+    data = match ? parseJson(match[0]) : null;
+  }
+  if (!data) {
+    throw new Error('Structured output: response is not valid JSON');
+  }
+
+  const edits = Array.isArray(data) ? data : data.edits;
+  if (!Array.isArray(edits)) {
+    throw new Error('Structured output: expected an "edits" array');
+  }
+
+  return edits
+    .filter(edit => edit && typeof edit.original === 'string' && typeof edit.replacement === 'string')
+    .map(edit => ({
+      original: edit.original,
+      replacement: edit.replacement,
+      requirement: typeof edit.requirement === 'string' ? edit.requirement.trim() : '',
+      rationale: typeof edit.rationale === 'string' ? edit.rationale.trim() : ''
+    }));
+}
+
+/**
+ * Map edits onto the original text
+ * Each edit's original span is located in the text (exactly, then ignoring whitespace
+ * differences). Edits that cannot be found, overlap an earlier edit or change nothing
+ * are returned as skipped. Text shared by the start or end of a span and its replacement
+ * is left out of the change, so groups cover only the words that differ.
+ * @param {string} originalText - Original resume text
+ * @param {Array} edits - Output of parseEditList
+ * @returns {Object} { tailoredText, diffsWithGroup, groups, skipped }
+ */
+export function editsToDiffs(originalText, edits) {
+  const placed = [];
+  const skipped = [];
+
+  edits.forEach((edit) => {
+    const span = edit.original.trim() ? locateSpan(originalText, edit.original, placed) : null;
+    if (!span) {
+      skipped.push(edit);
+      return;
+    }
+
+    const original = originalText.slice(span.start, span.end);
+    const { head, tail } = sharedEnds(original, edit.replacement);
+    const deleteText = original.slice(head, original.length - tail);
+    const insertText = edit.replacement.slice(head, edit.replacement.length - tail);
+    if (deleteText === insertText) {
+      skipped.push(edit);
+      return;
+    }
+
+    placed.push({
+      start: span.start + head,
+      end: span.end - tail,
+      insertText,
+      requirement: edit.requirement,
+      rationale: edit.rationale
+    });
+  });
+
+  const { tailoredText, diffsWithGroup, groups } = changesToDiffs(originalText, placed);
+  return { tailoredText, diffsWithGroup, groups, skipped };
+}
+
+/**
+ * Diff segments and groups for non-overlapping changes to the original text
+ * @param {string} originalText - Original resume text
+ * @param {Array} changes - { start, end, insertText, ...fields }: start/end are offsets of the
+ *   replaced text in the original; other fields (rationale, section, ...) are copied onto the group
+ * @returns {Object} { tailoredText, diffsWithGroup, groups } shaped like computeDiffs output
+ */
+export function changesToDiffs(originalText, changes) {
+  const diffsWithGroup = [];
+  const groups = [];
+  let offset = 0;
+  let tailoredText = '';
+
+  [...changes].sort((a, b) => a.start - b.start).forEach((change, id) => {
+    const equal = originalText.slice(offset, change.start);
+    const deleteText = originalText.slice(change.start, change.end);
+    if (equal) diffsWithGroup.push({ op: window.DIFF_EQUAL, text: equal, groupId: null });
+    if (deleteText) diffsWithGroup.push({ op: window.DIFF_DELETE, text: deleteText, groupId: id });
+    if (change.insertText) diffsWithGroup.push({ op: window.DIFF_INSERT, text: change.insertText, groupId: id });
+    tailoredText += equal + change.insertText;
+    offset = change.end;
+
+    groups.push({
+      ...change,
+      id,
+      deleteText,
+      insertText: change.insertText,
+      editedText: null,
+      start: change.start,
+      end: change.end,
+      accepted: true
+    });
+  });
+
+  const rest = originalText.slice(offset);
+  if (rest) diffsWithGroup.push({ op: window.DIFF_EQUAL, text: rest, groupId: null });
+  tailoredText += rest;
+
+  return { tailoredText, diffsWithGroup, groups };
+}
+
+/**
+ * First occurrence of span in text that does not overlap an already placed edit
+ */
+function locateSpan(text, span, placed) {
+  const free = (start, end) => placed.every(other => end <= other.start || start >= other.end);
+
+  for (let start = text.indexOf(span); start !== -1; start = text.indexOf(span, start + 1)) {
+    if (free(start, start + span.length)) {
+      return { start, end: start + span.length };
+    }
+  }
+
+  // Models often reflow whitespace or drop bullet indentation when quoting
+  const words = span.trim().split(/\s+/).map(escapeRegExp);
+  const pattern = new RegExp(words.join('\\s+'), 'g');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (free(match.index, match.index + match[0].length)) {
+      return { start: match.index, end: match.index + match[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Lengths of the shared prefix and suffix of two strings, cut back to whitespace
+ * so a change never starts or ends inside a word
+ */
+function sharedEnds(original, replacement) {
+  const limit = Math.min(original.length, replacement.length);
+  const atBoundary = (text, index) => index <= 0 || index >= text.length || /\s/.test(text[index - 1]) || /\s/.test(text[index]);
+  const cutsCleanly = (fromEnd, length) => fromEnd
+    ? atBoundary(original, original.length - length) && atBoundary(replacement, replacement.length - length)
+    : atBoundary(original, length) && atBoundary(replacement, length);
+
+  let head = 0;
+  while (head < limit && original[head] === replacement[head]) head++;
+  while (head > 0 && !cutsCleanly(false, head)) head--;
+
+  let tail = 0;
+  while (tail < limit - head && original[original.length - 1 - tail] === replacement[replacement.length - 1 - tail]) tail++;
+  while (tail > 0 && !cutsCleanly(true, tail)) tail--;
+
+  return { head, tail };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
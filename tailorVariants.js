@@ -0,0 +1,59 @@
+/**
+ * Tailor Variants Module
+ * Styles for generating several tailored versions of a resume in one run, and combining
+ * changes picked from different versions into one set of diffs
+ */
+
+import { changesToDiffs } from './structuredEdits.js';
+
+/**
+ * Variant styles, in the order they are generated. Each adds an instruction to the
+ * tailoring prompt and runs at its own temperature.
+ */
+export const VARIANT_STYLES = [
+  {
+    id: 'conservative',
+    label: 'Conservative',
+    temperature: 0.2,
+    instruction: 'Make the smallest changes that address the key requirements. Reword only the most relevant bullets and leave everything else as written.'
+  },
+  {
+    id: 'keywords',
+    label: 'Keyword aligned',
+    temperature: 0.5,
+    instruction: 'Align the wording closely with the job description: use its exact skill names, tools and phrases wherever they truthfully describe existing experience.'
+  },
+  {
+    id: 'concise',
+    label: 'Concise',
+    temperature: 0.4,
+    instruction: 'Tighten the resume: shorten bullets, cut filler and less relevant detail, and keep each bullet to one line where possible.'
+  },
+  {
+    id: 'impact',
+    label: 'Impact first',
+    temperature: 0.7,
+    instruction: 'Lead each bullet with its outcome and a strong action verb. Use only results and numbers already in the resume.'
+  }
+];
+
+/**
+ * Whether two diff groups change overlapping parts of the original
+ * (insertions at the same point count as overlapping)
+ */
+export function groupsOverlap(a, b) {
+  return a.start === b.start || (a.start < b.end && b.start < a.end);
+}
+
+/**
+ * Combine groups picked from several variants of the same original
+ * @param {string} originalText - Original resume text all variants were diffed against
+ * @param {Array} picks - Non-overlapping groups; each keeps its section, line, warnings and variant label
+ * @returns {Object} { tailoredText, diffsWithGroup, groups } shaped like computeDiffs output
+ */
+export function combineGroups(originalText, picks) {
+  return changesToDiffs(originalText, picks.map(group => ({
+    ...group,
+    insertText: group.editedText ?? group.insertText
+  })));
+}
@@ -0,0 +1,176 @@
+/**
+ * Truth Guard Module
+ * Checks the tailored resume for claims the original does not support: employers, job
+ * titles, dates, degrees, numbers/metrics and certifications that appear only in the output
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+export const CLAIM_LABELS = {
+  employer: 'employer',
+  title: 'job title',
+  date: 'date',
+  degree: 'degree',
+  number: 'number',
+  certification: 'certification'
+};
+
+// Order matters: text inside an earlier match (e.g. the year of a date) is not counted again.
+// Claims never cross a line break.
+const CLAIM_PATTERNS = [
+  {
+    kind: 'date',
+    pattern: /\b(?:(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\.?[ \t]+|(?:0?[1-9]|1[0-2])\/)?(?:19|20)\d{2}\b/g
+  },
+  {
+    kind: 'degree',
+    pattern: /\b(?:Bachelor|Master)(?:'?s)?(?:[ \t]+of[ \t]+(?:[A-Z][\w&-]*[ \t]*)+)?|\b(?:Associate'?s?[ \t]+degree|Doctorate|Ph\.?[ \t]?D\.?|MBA|B\.?[ \t]?Sc\.?|M\.?[ \t]?Sc\.?|B\.?[ \t]?Eng\.?|M\.?[ \t]?Eng\.?|B\.A\.|M\.A\.|B\.S\.|M\.S\.)(?=\W|$)/g
+  },
+  {
+    kind: 'certification',
+    pattern: /\b(?:[A-Z][\w+-]*[ \t]+){0,4}(?:Certified|Certification|Certificate)\b(?:[ \t]+(?:in[ \t]+|of[ \t]+)?[A-Z][\w+-]*){0,4}|\b(?:PMP|CISSP|CISA|CISM|CPA|CFA|CCNA|CCNP|CSM|PSM|ITIL|CKA|CKAD|Six Sigma)\b/g
+  },
+  {
+    kind: 'employer',
+    pattern: /\b(?:[A-Z][\w&.'-]*[ \t]+){0,3}[A-Z][\w&.'-]*,?[ \t]+(?:Inc\.?|LLC|Ltd\.?|Limited|Corp\.?|Corporation|Company|GmbH|PLC|plc|Group|Technologies|Labs|Systems|Solutions)(?=\W|$)/g
+  },
+  {
+    kind: 'employer',
+    pattern: /(?:\bat|@)[ \t]+([A-Z][\w&.'-]*(?:[ \t]+[A-Z][\w&.'-]*){0,3})/g,
+    capture: 1
+  },
+  {
+    kind: 'title',
+    pattern: /\b(?:(?:Senior|Sr\.?|Junior|Jr\.?|Lead|Principal|Staff|Chief|Head of|Associate|Assistant|Vice President(?: of)?|VP(?: of)?)[ \t]+)*(?:[A-Z][\w+#/&-]*[ \t]+){0,3}(?:Engineer|Developer|Manager|Director|Analyst|Designer|Scientist|Architect|Consultant|Specialist|Coordinator|Officer|Administrator|Intern|President|Founder|Co-Founder|CTO|CEO|CFO|COO)s?\b/g
+  },
+  {
+    kind: 'number',
+    pattern: /[$€£]?\d+(?:[.,]\d+)*(?:[ \t]?(?:%|\+|k|m|bn|x|million|billion|thousand))?(?![\w])/gi
+  }
+];
+
+/**
+ * Claims in a text, in document order
+ * @param {string} text - Resume text
+ * @returns {Array} Claims: { kind, value, index, end }
+ */
+export function extractClaims(text) {
+  const claims = [];
+  const covered = [];
+
+  CLAIM_PATTERNS.forEach(({ kind, pattern, capture }) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const value = (capture ? match[capture] : match[0]).trim();
+      if (!value) continue;
+      const index = match.index + match[0].indexOf(value);
+      const end = index + value.length;
+      if (covered.some(span => index < span.end && end > span.index)) continue;
+
+      claims.push({ kind, value, index, end });
+      covered.push({ index, end });
+    }
+  });
+
+  return claims.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Claims in tailoredText that the original resume does not contain
+ * @param {string} originalText - Original resume text
+ * @param {string} tailoredText - Tailored resume text
+ * @returns {Array} Unsupported claims: { kind, value, index, end } (offsets in tailoredText)
+ */
+export function findUnsupportedClaims(originalText, tailoredText) {
+  const original = indexOriginal(originalText);
+  return extractClaims(tailoredText).filter(claim => !isSupported(claim, original));
+}
+
+/**
+ * Attach warnings to diff groups whose inserted text contains an unsupported claim, and
+ * leave those groups unaccepted
+ * @param {Array} groups - Diff groups (from computeDiffs)
+ * @param {Array} diffsWithGroup - Diff segments with groupId (from computeDiffs)
+ * @param {string} originalText - Text the diffs were computed from
+ * @param {string} tailoredText - Text the diffs were computed to
+ * @param {Array<string>} [extraSources] - Other texts that support claims (experience bank items)
+ * @returns {number} Number of flagged groups
+ */
+export function flagUnsupportedClaims(groups, diffsWithGroup, originalText, tailoredText, extraSources = []) {
+  const claims = findUnsupportedClaims([originalText, ...extraSources].join('\n'), tailoredText);
+  const byId = new Map(groups.map(group => [group.id, group]));
+  groups.forEach((group) => {
+    group.warnings = [];
+  });
+
+  let tailoredOffset = 0;
+  diffsWithGroup.forEach((segment) => {
+    if (segment.op === window.DIFF_DELETE) return;
+
+    const start = tailoredOffset;
+    tailoredOffset += segment.text.length;
+    if (segment.op !== window.DIFF_INSERT) return;
+
+    const group = byId.get(segment.groupId);
+    claims
+      .filter(claim => claim.index < tailoredOffset && claim.end > start)
+      .forEach((claim) => {
+        if (!group.warnings.some(warning => warning.kind === claim.kind && warning.value === claim.value)) {
+          group.warnings.push({ kind: claim.kind, value: claim.value });
+        }
+      });
+  });
+
+  const flagged = groups.filter(group => group.warnings.length > 0);
+  flagged.forEach((group) => {
+    group.accepted = false;
+  });
+  return flagged.length;
+}
+
+/**
+ * Lookup data for the original resume: squashed lowercase text, numbers and dates
+ */
+function indexOriginal(text) {
+  const claims = extractClaims(text);
+  return {
+    text: squash(text),
+    numbers: new Set(claims.filter(claim => claim.kind === 'number').map(claim => numericValue(claim.value))),
+    dates: new Set(claims.filter(claim => claim.kind === 'date').map(claim => normalizeDate(claim.value))),
+    years: new Set((text.match(/\b(?:19|20)\d{2}\b/g) || []))
+  };
+}
+
+function isSupported(claim, original) {
+  switch (claim.kind) {
+    case 'number':
+      return original.numbers.has(numericValue(claim.value));
+    case 'date': {
+      const date = normalizeDate(claim.value);
+      // A bare year is supported by any date in that year
+      return original.dates.has(date) || (/^\d{4}$/.test(date) && original.years.has(date));
+    }
+    default:
+      return original.text.includes(squash(claim.value));
+  }
+}
+
+function squash(text) {
+  return text.toLowerCase().replace(/[.']/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function numericValue(value) {
+  return value.replace(/[^\d.]/g, '').replace(/\.$/, '');
+}
+
+/**
+ * 'January 2020' and 'Jan. 2020' -> 'jan 2020', '03/2020' -> 'mar 2020', '2020' -> '2020'
+ */
+function normalizeDate(value) {
+  const year = value.match(/(?:19|20)\d{2}/)[0];
+  const numeric = value.match(/^(\d{1,2})\//);
+  if (numeric) return `${MONTHS[parseInt(numeric[1], 10) - 1]} ${year}`;
+  const month = value.match(/^[A-Za-z]{3}/);
+  return month ? `${month[0].toLowerCase()} ${year}` : year;
+}